@@ -0,0 +1,295 @@
+// backend/evaluate.js - Offline evaluation of retrieval and answer quality
+//
+// Usage:
+//   npm run eval -- --golden eval/golden.json              # retrieval and answers
+//   npm run eval -- --golden eval/golden.json --no-answers # retrieval metrics only
+//   npm run eval -- --k 5 --mode hybrid --max-distance 1.2 --label tighter-threshold
+//   npm run eval -- --judge llm --compare eval/results/<earlier run>.json
+//
+// Every golden question runs through the same pipeline as /api/query over the shared
+// corpus (filters, retrieval, re-ranking, context, answer). Retrieval is scored before and
+// after re-ranking (recall@k, MRR, nDCG@k; see lib/eval/metrics.js) and answers for
+// faithfulness (lib/eval/judges) and citation coverage. The run, including the settings it
+// used, is saved as JSON under eval/results/ so runs can be diffed across config changes;
+// --compare prints the change in each summary metric against an earlier run.
+//
+// Other options: --limit N (first N questions), --candidates N (chunks retrieved before
+// re-ranking), --provider/--model (answer model), --out FILE, --cache (allow cached
+// embeddings and answers; off by default so runs measure the current configuration).
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chroma, COLLECTION_NAME } from './lib/chroma.js';
+import { getEmbeddingSignature, checkEmbeddingSignature } from './lib/embeddings/index.js';
+import { retrieveMatches, generateAnswer, extractCitations, RETRIEVAL_MODES, DEFAULT_RETRIEVAL_MODE } from './lib/rag.js';
+import { RERANK_CANDIDATES, rerankMatches } from './lib/rerank/index.js';
+import { CONTEXT_MAX_CHUNKS, buildContext } from './lib/context.js';
+import { resolveFilters } from './lib/filters.js';
+import { loadGoldenSet } from './lib/eval/golden.js';
+import { createJudge, JUDGE_NAMES } from './lib/eval/judges/index.js';
+import {
+  gradeChunks,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  splitClaims,
+  citationCoverage,
+  mean
+} from './lib/eval/metrics.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RESULTS_DIR = path.join(__dirname, 'eval', 'results');
+
+// Settings that change what the pipeline does, recorded with every run
+const RECORDED_SETTINGS = [
+  'EMBEDDING_PROVIDER', 'EMBEDDING_MODEL', 'RETRIEVAL_MODE', 'HYBRID_CANDIDATES',
+  'RERANKER', 'RERANK_CANDIDATES', 'RERANK_MAX_PER_DOCUMENT', 'RERANK_LLM_PROVIDER', 'RERANK_MODEL',
+  'CONTEXT_MAX_CHUNKS', 'CONTEXT_TOKEN_BUDGET', 'CONTEXT_STRATEGY', 'CONTEXT_DEDUPE_THRESHOLD', 'CONTEXT_PROFILES',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDER', 'LLM_GEMINI_MODELS', 'LLM_OPENAI_MODELS', 'LLM_TEMPERATURE',
+  'EVAL_JUDGE', 'EVAL_JUDGE_PROVIDER', 'LEXICAL_SUPPORT_THRESHOLD'
+];
+
+// Command line flags
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const numberOption = (name, fallback) => {
+  const value = parseFloat(option(name, ''));
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const options = {
+  golden: option('golden', path.join('eval', 'golden.json')),
+  k: numberOption('k', 10),
+  mode: option('mode', undefined),
+  maxDistance: numberOption('max-distance', 1.5),
+  candidates: numberOption('candidates', RERANK_CANDIDATES),
+  limit: numberOption('limit', Infinity),
+  answers: !args.includes('--no-answers'),
+  judge: option('judge', process.env.EVAL_JUDGE || 'lexical'),
+  provider: option('provider', undefined),
+  model: option('model', undefined),
+  label: option('label', ''),
+  out: option('out', undefined),
+  compare: option('compare', undefined),
+  cache: args.includes('--cache')
+};
+
+// Runs measure the current configuration, not whatever an earlier run left in the cache
+if (!options.cache) {
+  process.env.CACHE_STORE = 'none';
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Number(value.toFixed(4));
+}
+
+// recall@k, MRR and nDCG@k of one ranked list, plus what was retrieved
+function scoreRanking(chunks, expected, k) {
+  const grades = gradeChunks(chunks, expected);
+  return {
+    recall: round(recallAtK(chunks, expected, k)),
+    mrr: round(reciprocalRank(grades)),
+    ndcg: round(ndcgAtK(grades, expected, k)),
+    top: chunks.slice(0, k).map((chunk, i) => ({
+      id: chunk.id,
+      filename: chunk.metadata?.filename || null,
+      grade: grades[i],
+      distance: chunk.distance === null ? null : round(chunk.distance)
+    }))
+  };
+}
+
+async function scoreAnswer(item, matches, judge) {
+  const { context, sources } = buildContext(matches, { provider: options.provider, model: options.model });
+  const startedAt = Date.now();
+  const generation = await generateAnswer(context, item.question, {
+    provider: options.provider,
+    model: options.model,
+    sources
+  });
+  const latencyMs = Date.now() - startedAt;
+
+  const claims = splitClaims(generation.answer);
+  const verdicts = claims.length > 0 && sources.length > 0
+    ? await judge.judge({ question: item.question, answer: generation.answer, claims, sources })
+    : claims.map(() => ({ supported: false, score: 0 }));
+  const { coverage, invalidCitations } = citationCoverage(claims, sources);
+
+  return {
+    text: generation.answer,
+    provider: generation.provider,
+    model: generation.model,
+    fallback: generation.fallback,
+    latencyMs,
+    sources: sources.length,
+    citations: extractCitations(generation.answer, sources),
+    faithfulness: round(claims.length > 0 ? verdicts.filter(verdict => verdict.supported).length / claims.length : null),
+    citationCoverage: round(coverage),
+    invalidCitations,
+    claims: claims.map((claim, i) => ({ ...claim, ...verdicts[i] }))
+  };
+}
+
+async function evaluateItem(collection, item, judge) {
+  const { where, documentCount, filenames } = await resolveFilters(collection, item.filters);
+  if (documentCount === 0) {
+    throw new Error('The filters match no documents');
+  }
+
+  const retrieved = await retrieveMatches(collection, item.question, {
+    k: options.candidates,
+    maxDistance: options.maxDistance,
+    where,
+    filenames,
+    mode: item.mode || options.mode || DEFAULT_RETRIEVAL_MODE,
+    citations: true
+  });
+  // Like /api/query, re-ranking keeps what goes into the context
+  const reranked = await rerankMatches(item.question, retrieved.matches, { k: CONTEXT_MAX_CHUNKS, boosts: retrieved.boosts });
+
+  const result = {
+    retrievalMode: retrieved.mode,
+    reranker: reranked.reranker,
+    retrieval: scoreRanking(retrieved.matches, item.expected, options.k),
+    rerank: scoreRanking(reranked.matches, item.expected, options.k)
+  };
+  if (options.answers) {
+    result.answer = await scoreAnswer(item, reranked.matches, judge);
+  }
+  return result;
+}
+
+function summarize(results) {
+  const scored = results.filter(result => !result.error);
+  const stage = (name) => ({
+    recall: round(mean(scored.map(result => result[name].recall))),
+    mrr: round(mean(scored.map(result => result[name].mrr))),
+    ndcg: round(mean(scored.map(result => result[name].ndcg)))
+  });
+
+  const summary = {
+    questions: results.length,
+    errors: results.length - scored.length,
+    k: options.k,
+    retrieval: stage('retrieval'),
+    rerank: stage('rerank')
+  };
+  if (options.answers) {
+    const answers = scored.map(result => result.answer);
+    summary.answers = {
+      faithfulness: round(mean(answers.map(answer => answer.faithfulness))),
+      citationCoverage: round(mean(answers.map(answer => answer.citationCoverage))),
+      withInvalidCitations: answers.filter(answer => answer.invalidCitations.length > 0).length,
+      fallbacks: answers.filter(answer => answer.fallback).length,
+      meanLatencyMs: Math.round(mean(answers.map(answer => answer.latencyMs)) || 0)
+    };
+  }
+  return summary;
+}
+
+// Flatten { retrieval: { recall } } into { 'retrieval.recall': value } for comparisons
+function flatten(summary, prefix = '') {
+  return Object.entries(summary).reduce((flat, [key, value]) => (
+    value && typeof value === 'object'
+      ? { ...flat, ...flatten(value, `${prefix}${key}.`) }
+      : { ...flat, [`${prefix}${key}`]: value }
+  ), {});
+}
+
+function printComparison(summary, previousFile) {
+  const previous = JSON.parse(fs.readFileSync(previousFile, 'utf8'));
+  const before = flatten(previous.summary || {});
+  const after = flatten(summary);
+  console.log(`\n🔁 Compared with ${previousFile}${previous.label ? ` (${previous.label})` : ''}:`);
+  for (const [metric, value] of Object.entries(after)) {
+    if (typeof value !== 'number' || typeof before[metric] !== 'number') continue;
+    const delta = value - before[metric];
+    const marker = delta > 0 ? '▲' : delta < 0 ? '▼' : ' ';
+    console.log(`   ${metric.padEnd(30)} ${String(before[metric]).padStart(8)} → ${String(value).padStart(8)}  ${marker} ${delta === 0 ? '' : round(delta)}`);
+  }
+}
+
+function printSummary(summary) {
+  console.log('\n' + '━'.repeat(60));
+  console.log(`📈 ${summary.questions} questions (${summary.errors} errors), k = ${summary.k}`);
+  for (const name of ['retrieval', 'rerank']) {
+    const { recall, mrr, ndcg } = summary[name];
+    console.log(`   ${name.padEnd(10)} recall@k ${recall}  MRR ${mrr}  nDCG@k ${ndcg}`);
+  }
+  if (summary.answers) {
+    const { faithfulness, citationCoverage: coverage, withInvalidCitations, fallbacks } = summary.answers;
+    console.log(`   answers    faithfulness ${faithfulness}  citation coverage ${coverage}  invalid citations in ${withInvalidCitations}  fallbacks ${fallbacks}`);
+  }
+}
+
+async function main() {
+  try {
+    if (options.mode && !RETRIEVAL_MODES.includes(options.mode)) {
+      throw new Error(`--mode must be one of ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    if (!JUDGE_NAMES.includes(options.judge)) {
+      throw new Error(`--judge must be one of ${JUDGE_NAMES.join(', ')}`);
+    }
+    const golden = loadGoldenSet(options.golden).slice(0, options.limit);
+    const judge = createJudge(options.judge);
+
+    const collection = await chroma.getCollection({ name: COLLECTION_NAME });
+    const mismatch = checkEmbeddingSignature(collection.metadata, await getEmbeddingSignature());
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
+
+    console.log(`🧪 Evaluating ${golden.length} questions from ${options.golden} against ${COLLECTION_NAME}`);
+    console.log(`   k=${options.k}, candidates=${options.candidates}, max distance=${options.maxDistance}, answers: ${options.answers ? `yes (judge: ${judge.name})` : 'no'}`);
+
+    const startedAt = new Date();
+    const results = [];
+    for (const [i, item] of golden.entries()) {
+      console.log(`\n[${i + 1}/${golden.length}] ${item.id}: ${item.question}`);
+      try {
+        const result = await evaluateItem(collection, item, judge);
+        results.push({ id: item.id, question: item.question, expected: item.expected, ...result });
+        console.log(`   rerank recall@k ${result.rerank.recall}, MRR ${result.rerank.mrr}${result.answer ? `, faithfulness ${result.answer.faithfulness}` : ''}`);
+      } catch (error) {
+        console.error(`   ❌ ${error.message}`);
+        results.push({ id: item.id, question: item.question, expected: item.expected, error: error.message });
+      }
+    }
+
+    const summary = summarize(results);
+    const run = {
+      label: options.label || null,
+      startedAt,
+      finishedAt: new Date(),
+      golden: options.golden,
+      collection: COLLECTION_NAME,
+      options: { ...options, limit: Number.isFinite(options.limit) ? options.limit : null, judge: judge.name },
+      settings: Object.fromEntries(RECORDED_SETTINGS.filter(key => process.env[key] !== undefined).map(key => [key, process.env[key]])),
+      summary,
+      items: results
+    };
+
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    const outFile = options.out || path.join(RESULTS_DIR, `${stamp}${options.label ? `-${options.label.replace(/[^\w-]+/g, '_')}` : ''}.json`);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(run, null, 2));
+
+    printSummary(summary);
+    if (options.compare) {
+      printComparison(summary, options.compare);
+    }
+    console.log(`\n💾 Saved results to ${outFile}`);
+    process.exit(summary.errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('💥 Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
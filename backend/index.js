@@ -3,125 +3,171 @@ import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import { ChromaClient } from 'chromadb';
-import axios from 'axios';
+import User, { ROLES } from './models/User.js';
+import { auth } from './middleware/auth.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie
+} from './lib/tokens.js';
+import conversationRoutes from './routes/conversations.js';
+import uploadRoutes from './routes/uploads.js';
+import jobRoutes from './routes/jobs.js';
+import adminRoutes from './routes/admin.js';
+import usageRoutes from './routes/usage.js';
+import feedbackRoutes from './routes/feedback.js';
+import createDocumentRoutes from './routes/documents.js';
+import createCompareRoutes from './routes/compare.js';
+import { chroma, COLLECTION_NAME } from './lib/chroma.js';
+import { validateProviderChoice } from './lib/llm/index.js';
+import {
+  retrieveMatches,
+  keywordIndexAvailable,
+  generateAnswer,
+  streamAnswer,
+  extractCitations
+} from './lib/rag.js';
+import { RERANK_CANDIDATES, rerankMatches } from './lib/rerank/index.js';
+import { buildContext } from './lib/context.js';
+import { parseSearchOptions, getSearchSettings, scoreToDistance } from './lib/searchOptions.js';
+import { parseFilters, resolveFilters, describeFilterOptions, getCaseCatalog, matchesFilters } from './lib/filters.js';
+import { findRequestedCase, answerFromHeadnote } from './lib/headnotes.js';
+import { planQuery, passagesPerPart, mergeEvidence, describePlan } from './lib/decompose.js';
+import { getCitationGraph } from './lib/citations.js';
+import { MAX_CASES as MAX_COMPARE_CASES } from './lib/compare.js';
+import { searchUserDocuments } from './lib/uploads.js';
+import { startJobWorker, onJobFinished, enqueueJob } from './lib/jobs/index.js';
+import { findConversation, createConversation, titleFromQuestion, getRecentHistory, rewriteFollowUp, recordExchange } from './lib/conversations.js';
+import { createUsageMeter, recordUsage } from './lib/usage.js';
+import { enforceQuota } from './middleware/quota.js';
+import { checkPassword } from './lib/passwordPolicy.js';
+import {
+  limitByIp,
+  getLockoutRemaining,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordAuthEvent,
+  lockedOutResponse
+} from './lib/loginGuard.js';
+import { getEmbeddingSignature, checkEmbeddingSignature } from './lib/embeddings/index.js';
+import { clearCache } from './lib/cache/index.js';
 
 dotenv.config();
 const app = express();
 
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client address
+// so per-IP rate limits don't treat every visitor as the proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
-// User Schema
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true }
-});
-const User = mongoose.model('User', userSchema);
+// Credentials are allowed so the browser sends the refresh token cookie, so only the frontends
+// listed in CORS_ORIGIN (comma-separated, defaults to the dev server) may call the API
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+app.use(express.json());
 
-// ChromaDB setup
-const chroma = new ChromaClient({
-  path: `http://${process.env.CHROMA_HOST || 'localhost'}:${process.env.CHROMA_PORT || 8000}`
-});
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/documents', createDocumentRoutes(() => ({ collection, error: collectionError })));
+app.use('/api/compare', createCompareRoutes(() => ({ collection, error: collectionError })));
 
 let collection;
-
-// Generate embeddings using Gemini API (same as preprocessing)
-async function generateEmbedding(text) {
-  try {
-    const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-    
-    if (!GEMINI_API_KEY || GEMINI_API_KEY.includes('your-actual-gemini-api-key-here')) {
-      throw new Error('Valid GEMINI_API_KEY is required');
-    }
-
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/embedding-001:embedContent?key=${GEMINI_API_KEY}`,
-      {
-        model: "models/embedding-001",
-        content: {
-          parts: [{ text: text }]
-        }
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      }
-    );
-    
-    return response.data.embedding.values;
-  } catch (error) {
-    console.error('❌ Embedding generation failed:', error.message);
-    throw error;
-  }
-}
+let collectionError = null;
 
 // Initialize ChromaDB
 async function initChroma() {
+  collectionError = null;
   try {
+    const signature = await getEmbeddingSignature();
+
     // Get the collection (created by preprocessing with manual embeddings)
+    let candidate;
     try {
-      collection = await chroma.getCollection({
-        name: process.env.CHROMA_COLLECTION || 'legal_cases'
+      candidate = await chroma.getCollection({
+        name: COLLECTION_NAME
       });
       console.log('✅ ChromaDB connected to existing collection');
     } catch (getError) {
       console.log('Collection not found, creating new one...');
       // If collection doesn't exist, create it (will be populated by preprocessing)
-      collection = await chroma.createCollection({
-        name: process.env.CHROMA_COLLECTION || 'legal_cases'
+      candidate = await chroma.createCollection({
+        name: COLLECTION_NAME,
+        metadata: signature
       });
       console.log('✅ ChromaDB collection created (will be populated by preprocessing)');
     }
     
     // Test the collection
-    const count = await collection.count();
+    const count = await candidate.count();
     console.log(`📊 Collection contains ${count} documents`);
-    
-    // Test that we can actually query with manual embeddings
-    if (count > 0) {
-      try {
-        // Generate a test embedding and query manually
-        const testEmbedding = await generateEmbedding("legal case");
-        await collection.query({
-          queryEmbeddings: [testEmbedding], // Use manual embeddings for query
-          nResults: 1,
-          include: ['documents']
-        });
-        console.log('✅ ChromaDB query test successful with manual embeddings');
-      } catch (queryError) {
-        console.log('❌ ChromaDB query test failed:', queryError.message);
-        console.log('💡 Run preprocessing to populate collection with manual embeddings');
-      }
+
+    // Refuse to query vectors produced by a different embedder
+    const mismatch = count > 0 ? checkEmbeddingSignature(candidate.metadata, signature) : null;
+    if (mismatch) {
+      collectionError = mismatch;
+      console.error(`❌ ${mismatch}`);
+      return;
     }
+    collection = candidate;
+    console.log(`🧠 Embeddings: ${signature.embedding_provider}/${signature.embedding_model} (${signature.embedding_dimension} dims)`);
     
   } catch (error) {
+    collectionError = error.message;
     console.error('❌ ChromaDB failed:', error.message);
     console.log('💡 Make sure ChromaDB is running and preprocessing has been completed');
   }
 }
 
-// Auth middleware
-function auth(req, res, next) {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ success: false, message: 'No token' });
-  
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
-  } catch {
-    res.status(401).json({ success: false, message: 'Invalid token' });
+// Reconnect after a job changed the shared corpus (a reset re-creates the collection),
+// drop cached answers built from the old passages and reload the filter catalog so new or
+// removed judgments show up straight away
+onJobFinished(async (job) => {
+  if (job.lane !== 'corpus') return;
+  await clearCache('answer');
+  await initChroma();
+  if (collection) {
+    await getCaseCatalog(collection, { refresh: true });
   }
+});
+
+// Queue headnotes for the judgments an ingest or reembed job added, unless HEADNOTES_AUTO=false.
+// A job that failed on some files still queues the ones that made it in.
+onJobFinished(async (job) => {
+  if (process.env.HEADNOTES_AUTO === 'false' || job.lane !== 'corpus' || !['ingest', 'reembed'].includes(job.type)) return;
+  if (!['completed', 'failed'].includes(job.status)) return;
+  const files = (job.files || []).filter(file => file.status === 'done').map(file => file.name);
+  if (files.length === 0) return;
+  await enqueueJob('headnote', { files }, { user: job.user });
+});
+
+// New accounts get DEFAULT_USER_ROLE (member unless set to guest). Signing up never grants
+// admin: the first admin is promoted with `npm run make-admin -- <username>` (make-admin.js)
+const DEFAULT_USER_ROLE = ROLES.includes(process.env.DEFAULT_USER_ROLE) && process.env.DEFAULT_USER_ROLE !== 'admin'
+  ? process.env.DEFAULT_USER_ROLE
+  : 'member';
+
+function serializeAuthUser(user) {
+  return { username: user.username, role: user.role };
 }
 
 // Signup
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', limitByIp('signup'), async (req, res) => {
   try {
     const { username, password } = req.body;
     
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ success: false, message: 'Username and password required' });
     }
     
@@ -129,8 +175,10 @@ app.post('/api/signup', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Username must be at least 3 characters' });
     }
     
-    if (password.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    const passwordError = checkPassword(password, { username });
+    if (passwordError) {
+      await recordAuthEvent('signup_rejected', req, { username, reason: passwordError });
+      return res.status(400).json({ success: false, message: passwordError });
     }
     
     const existingUser = await User.findOne({ username });
@@ -139,14 +187,15 @@ app.post('/api/signup', async (req, res) => {
     }
     
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({ username, password: hashedPassword });
+    const user = await User.create({ username, password: hashedPassword, role: DEFAULT_USER_ROLE, lastLoginAt: new Date() });
     
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    const { token, refreshToken } = await issueTokens(user, req);
+    setRefreshCookie(res, refreshToken);
     
     res.json({ 
       success: true, 
       token, 
-      user: { username },
+      user: serializeAuthUser(user),
       message: 'Account created successfully'
     });
   } catch (error) {
@@ -155,31 +204,59 @@ app.post('/api/signup', async (req, res) => {
   }
 });
 
+// Audit a failed login and count it towards the username's lockout
+async function loginFailed(req, res, { username, user, reason, status = 401, message = 'Invalid username or password' }) {
+  await recordAuthEvent('login_failed', req, { username, user, reason });
+  const lockMs = await recordLoginFailure(username);
+  if (lockMs > 0) {
+    console.log(`🔒 Locked sign-in for "${username}" for ${Math.round(lockMs / 1000)}s`);
+    await recordAuthEvent('account_locked', req, { username, user, reason: `${Math.round(lockMs / 1000)}s` });
+    return lockedOutResponse(res, lockMs);
+  }
+  return res.status(status).json({ success: false, message });
+}
+
 // Login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', limitByIp('login'), async (req, res) => {
   try {
     const { username, password } = req.body;
     
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ success: false, message: 'Username and password required' });
     }
     
+    // A locked username is refused before the password is checked, so guessing can't continue
+    const lockRemaining = await getLockoutRemaining(username);
+    if (lockRemaining > 0) {
+      await recordAuthEvent('login_locked', req, { username });
+      return lockedOutResponse(res, lockRemaining);
+    }
+    
     const user = await User.findOne({ username });
     if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+      return loginFailed(req, res, { username, reason: 'unknown user' });
     }
     
     const isValid = await bcrypt.compare(password, user.password);
     if (!isValid) {
-      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+      return loginFailed(req, res, { username, user, reason: 'wrong password' });
+    }
+
+    if (user.disabled) {
+      return loginFailed(req, res, { username, user, reason: 'account disabled', status: 403, message: 'Account disabled' });
     }
+
+    await recordLoginSuccess(username);
+    user.lastLoginAt = new Date();
+    await user.save();
     
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    const { token, refreshToken } = await issueTokens(user, req);
+    setRefreshCookie(res, refreshToken);
     
     res.json({ 
       success: true, 
       token, 
-      user: { username },
+      user: serializeAuthUser(user),
       message: 'Login successful'
     });
   } catch (error) {
@@ -188,216 +265,253 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// Generate answer using Gemini (keep this for answer generation)
-async function generateAnswer(context, question) {
-  try {
-    if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY.includes('your-actual-gemini-api-key-here')) {
-      // Fallback when Gemini API is not available
-      return `Based on the legal documents found:\n\n${context}\n\nRelevant information for: "${question}"`;
-    }
+const NO_DOCUMENTS_ANSWER = "I couldn't find any relevant documents for your question. Please try rephrasing your query or ask about different legal topics.";
+const NO_RELEVANT_ANSWER = "I found some documents, but they don't seem closely related to your question. Please try rephrasing your query or ask about different legal topics.";
+const NO_FILTER_MATCH_ANSWER = "No judgments match the selected filters. Try widening the date range or clearing some filters.";
+
+// Validate a query request body; returns { status, message } on failure, null when valid
+function validateQueryRequest({ question, provider, model, filters, mode, ...search }) {
+  if (!question || typeof question !== 'string' || question.trim().length < 3) {
+    return { status: 400, message: 'Question must be at least 3 characters long' };
+  }
 
-    // Create a comprehensive prompt for Gemini to generate intelligent answers
-    const prompt = `You are a helpful legal AI assistant. Based on the provided legal document excerpts, answer the user's question in a clear, informative, and conversational manner.
+  const filterError = parseFilters(filters).error;
+  if (filterError) {
+    return { status: 400, message: filterError };
+  }
 
-INSTRUCTIONS:
-- Use the document context to provide accurate information
-- Write in a clear, professional but conversational tone
-- Focus on directly answering the user's specific question
-- If the documents contain relevant case details, summarize them helpfully
-- If information is limited, acknowledge what you can and cannot determine from the documents
-- Do not make up information not found in the documents
+  const searchError = parseSearchOptions({ ...search, mode }).error;
+  if (searchError) {
+    return { status: 400, message: searchError };
+  }
 
-USER QUESTION: ${question}
+  const providerError = validateProviderChoice(provider, model);
+  if (providerError) {
+    return { status: 400, message: providerError };
+  }
+  
+  if (!collection) {
+    return {
+      status: 503,
+      message: collectionError || 'Document index is not available yet. Please try again later.'
+    };
+  }
 
-LEGAL DOCUMENT CONTEXT:
-${context}
+  if (mode === 'keyword' && !keywordIndexAvailable()) {
+    return { status: 503, message: 'Keyword search is not available until the keyword index is built (npm run preprocess).' };
+  }
+  return null;
+}
 
-Please provide a helpful answer based on the above context:`;
+// Resolve the conversation a question belongs to and rewrite follow-ups into standalone
+// questions. Returns { conversation, searchQuestion } or { error: { status, message } }.
+async function prepareConversation(userId, { question, conversationId, provider }, usage) {
+  if (conversationId === undefined || conversationId === null || conversationId === '') {
+    return { conversation: null, searchQuestion: question };
+  }
 
-    // Try with multiple Gemini model endpoints for better reliability
-    const modelEndpoints = [
-      'gemini-1.5-flash-latest',
-      'gemini-1.5-flash',
-      'gemini-pro'
-    ];
+  const conversation = await findConversation(conversationId, userId);
+  if (!conversation) {
+    return { error: { status: 404, message: 'Conversation not found' } };
+  }
 
-    for (let i = 0; i < modelEndpoints.length; i++) {
-      try {
-        console.log(`🤖 Trying Gemini model: ${modelEndpoints[i]}`);
-        
-        const response = await axios.post(
-          `https://generativelanguage.googleapis.com/v1beta/models/${modelEndpoints[i]}:generateContent?key=${process.env.GEMINI_API_KEY}`,
-          {
-            contents: [{
-              parts: [{
-                text: prompt
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.8,
-              maxOutputTokens: 1024,
-            }
-          },
-          {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 20000 // Increased timeout
-          }
-        );
-        
-        if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-          const answer = response.data.candidates[0].content.parts[0].text.trim();
-          console.log(`✅ Generated answer with ${modelEndpoints[i]}`);
-          return answer;
-        } else {
-          throw new Error('Invalid response format from Gemini API');
-        }
-        
-      } catch (modelError) {
-        console.log(`⚠️  ${modelEndpoints[i]} failed: ${modelError.message}`);
-        
-        // If it's the last model, throw the error
-        if (i === modelEndpoints.length - 1) {
-          throw modelError;
-        }
-        
-        // Wait a bit before trying next model
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-    
-  } catch (error) {
-    console.error('Answer generation error:', error.message);
-    
-    // Enhanced fallback with intelligent response
-    if (error.response?.status === 503) {
-      console.log('🔄 Gemini API temporarily unavailable, providing structured fallback');
-      return generateStructuredFallback(context, question);
-    } else if (error.response?.status === 429) {
-      console.log('⏱️  Rate limit exceeded, waiting and providing fallback');
-      return generateStructuredFallback(context, question);
-    } else {
-      console.log('🛠️  Using enhanced fallback due to API error');
-      return generateStructuredFallback(context, question);
-    }
+  const history = await getRecentHistory(conversation._id);
+  const searchQuestion = await rewriteFollowUp(question, history, { provider, usage });
+  if (searchQuestion !== question) {
+    console.log(`✏️  Rewrote follow-up as: "${searchQuestion}"`);
+  }
+  return { conversation, searchQuestion };
+}
+
+// Remove a thread started for a streamed question that ended before anything was saved to it
+async function discardThread(conversation) {
+  if (!conversation) return;
+  await conversation.deleteOne().catch(error => console.error('Failed to remove empty conversation:', error.message));
+}
+
+// Alternate two ranked lists so neither crowds the other out before re-ranking
+function interleave(first, second) {
+  const merged = [];
+  for (let i = 0; i < Math.max(first.length, second.length); i++) {
+    if (i < first.length) merged.push(first[i]);
+    if (i < second.length) merged.push(second[i]);
   }
+  return merged;
 }
 
-// Generate a structured fallback answer when Gemini API is unavailable
-function generateStructuredFallback(context, question) {
+// The caller's own uploads have none of the case metadata, so they are only searched when
+// no filters are set, and only by vector (they have no keyword index)
+async function searchPrivateDocuments(userId, searchQuestion, { filters, mode, k, maxDistance, requested }, usage) {
+  if (!userId || Object.keys(filters).length > 0 || mode === 'keyword' || requested) {
+    return [];
+  }
   try {
-    // Extract key information from context
-    const documents = context.split('[Document').filter(doc => doc.trim());
-    const relevantInfo = [];
-    
-    documents.forEach((doc, index) => {
-      if (index === 0) return; // Skip empty first element
-      
-      // Extract document title
-      const titleMatch = doc.match(/(\d+): ([^\]]+)\]/);
-      const title = titleMatch ? titleMatch[2] : `Document ${index}`;
-      
-      // Extract first meaningful sentence or key information
-      const content = doc.split('---')[0].trim();
-      const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 20);
-      const keySentence = sentences[0] || content.substring(0, 150);
-      
-      relevantInfo.push({
-        title: title.trim(),
-        content: keySentence.trim()
-      });
-    });
-    
-    // Create structured response
-    let structuredAnswer = `Based on the legal documents, here's what I found regarding "${question}":\n\n`;
-    
-    relevantInfo.forEach((info, index) => {
-      structuredAnswer += `📄 **${info.title}**\n`;
-      structuredAnswer += `${info.content}\n\n`;
-    });
-    
-    structuredAnswer += `---\n💡 This information is extracted directly from ${relevantInfo.length} relevant legal document(s). `;
-    structuredAnswer += `For more detailed analysis, please ensure the AI service is available.`;
-    
-    return structuredAnswer;
-    
-  } catch (fallbackError) {
-    console.error('Fallback generation error:', fallbackError.message);
-    return `Based on the legal documents found:\n\n${context}\n\n---\n\nRelevant information for: "${question}"`;
+    return await searchUserDocuments(userId, searchQuestion, { k, maxDistance, usage });
+  } catch (error) {
+    console.log(`⚠️  Private document search failed: ${error.message}`);
+    return [];
+  }
+}
+
+// An answer that needs no generation: an explanation of why nothing was found, or a headnote
+const directAnswer = (answer, extra = {}) => ({ answer, sources: [], citations: [], ...extra });
+
+// Retrieve candidate chunks for one search query from the shared corpus and the caller's
+// uploads, and re-rank them down to k, lifting passages linked by citation to the
+// best-matching judgments (see lib/citations.js), within the filters searchDocuments resolved.
+// Resolves to { matches, totalFound, mode, reranker, embeddingCached }.
+async function searchCandidates(userId, query, { k, mode, maxDistance, where, filenames, filters, requested }, usage) {
+  const candidateCount = Math.max(RERANK_CANDIDATES, k);
+  const [retrieved, privateMatches] = await Promise.all([
+    retrieveMatches(collection, query, { k: candidateCount, maxDistance, where, filenames, mode, citations: true, usage }),
+    searchPrivateDocuments(userId, query, { filters, mode, k: candidateCount, maxDistance, requested }, usage)
+  ]);
+  if (privateMatches.length > 0) {
+    console.log(`🔒 ${privateMatches.length} candidates from the user's uploads`);
+  }
+  const candidates = interleave(retrieved.matches, privateMatches);
+
+  const { matches, reranker } = await rerankMatches(query, candidates, { k, boosts: retrieved.boosts, usage });
+  return {
+    matches,
+    totalFound: retrieved.totalFound + privateMatches.length,
+    mode: retrieved.mode,
+    reranker,
+    embeddingCached: Boolean(retrieved.embeddingCached)
+  };
+}
+
+// Search for a question within the requested filters. When the filters rule out every
+// document the search is skipped and direct explains why. A request to summarize one
+// judgment is answered directly from its headnote, or searches only that judgment until its
+// headnote has been generated. With search.decompose, a compound question is split into
+// sub-queries that are searched separately and merged (see lib/decompose.js); plan then holds
+// { subQueries, planner } and each match the sub-queries it was found for. search holds the
+// request's retrieval settings (see lib/searchOptions.js). Model calls are added to the usage meter.
+async function searchDocuments(userId, searchQuestion, { filters: rawFilters, provider }, search, usage) {
+  const { filters } = parseFilters(rawFilters);
+  const { k, mode } = search;
+  const maxDistance = scoreToDistance(search.minScore);
+  let { where, documentCount, filenames } = await resolveFilters(collection, filters);
+  if (where) {
+    console.log(`🔎 Filters ${JSON.stringify(filters)} match ${documentCount} documents`);
+  }
+  if (documentCount === 0) {
+    return { matches: [], totalFound: 0, filters, retrievalMode: mode, reranker: null, plan: null, direct: directAnswer(NO_FILTER_MATCH_ANSWER) };
+  }
+
+  const catalog = await getCaseCatalog(collection);
+  const requested = findRequestedCase(searchQuestion, catalog.filter(document => matchesFilters(document, filters)));
+  if (requested) {
+    const headnote = await answerFromHeadnote(requested);
+    if (headnote) {
+      console.log(`📝 Answering from the headnote of ${requested.filename}`);
+      return { matches: [], totalFound: 1, filters, retrievalMode: mode, reranker: null, plan: null, direct: headnote };
+    }
+    console.log(`📝 No headnote yet for ${requested.filename}, searching only that judgment`);
+    where = { filename: { $eq: requested.filename } };
+    filenames = [requested.filename];
   }
+
+  const scope = { mode, maxDistance, where, filenames, filters, requested };
+  const planned = search.decompose && !requested ? await planQuery(searchQuestion, { provider, usage }) : null;
+  const plan = planned?.planner ? planned : null;
+  let found;
+  if (plan) {
+    const perPart = passagesPerPart(k, plan.subQueries.length);
+    const parts = await Promise.all(plan.subQueries.map(query => searchCandidates(userId, query, { ...scope, k: perPart }, usage)));
+    found = {
+      matches: mergeEvidence(parts.map(part => part.matches)),
+      totalFound: parts.reduce((sum, part) => sum + part.totalFound, 0),
+      mode: parts[0].mode,
+      reranker: parts[0].reranker,
+      embeddingCached: parts.every(part => part.embeddingCached)
+    };
+  } else {
+    found = await searchCandidates(userId, searchQuestion, { ...scope, k }, usage);
+  }
+
+  const { matches, totalFound } = found;
+  let direct = null;
+  if (totalFound === 0) direct = directAnswer(NO_DOCUMENTS_ANSWER);
+  else if (matches.length === 0) direct = directAnswer(NO_RELEVANT_ANSWER);
+  return { matches, totalFound, filters, retrievalMode: found.mode, reranker: found.reranker, plan, direct, embeddingCached: found.embeddingCached };
 }
 
 // Query endpoint to search legal documents
-app.post('/api/query', auth, async (req, res) => {
+app.post('/api/query', auth, enforceQuota, async (req, res) => {
+  const startedAt = Date.now();
+  const usage = createUsageMeter();
+  const usageRecord = { userId: req.user.id, role: req.user.role, endpoint: 'query', meter: usage, startedAt };
   try {
-    const { question } = req.body;
+    const { provider, model } = req.body;
     
-    if (!question || typeof question !== 'string' || question.trim().length < 3) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Question must be at least 3 characters long' 
-      });
+    const invalid = validateQueryRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, message: invalid.message });
     }
+    const search = parseSearchOptions(req.body).options;
     
-    console.log(`🔍 Searching for: "${question}"`);
-    
-    // Generate embedding for the question using Gemini API (same as preprocessing)
-    const queryEmbedding = await generateEmbedding(question);
-    
-    // Use ChromaDB's query with manual embeddings
-    const results = await collection.query({
-      queryEmbeddings: [queryEmbedding], // Use manual embeddings instead of queryTexts
-      nResults: 5,
-      include: ['documents', 'metadatas', 'distances']
-    });
-    
-    console.log(`📊 Found ${results.documents[0]?.length || 0} matches`);
-    
-    if (!results.documents[0] || results.documents[0].length === 0) {
-      return res.json({
-        success: true,
-        answer: "I couldn't find any relevant documents for your question. Please try rephrasing your query or ask about different legal topics.",
-        matches: 0
-      });
+    const question = req.body.question.trim();
+    const prepared = await prepareConversation(req.user.id, { ...req.body, question }, usage);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json({ success: false, message: prepared.error.message });
     }
+    const { searchQuestion } = prepared;
     
-    const documents = results.documents[0];
-    const metadatas = results.metadatas[0];
-    const distances = results.distances[0];
+    console.log(`🔍 Searching for: "${searchQuestion}"`);
     
-    // Filter for good matches (distance < 1.5 is a good similarity threshold)
-    const goodMatches = documents.filter((_, i) => distances[i] < 1.5);
+    const { matches, filters, retrievalMode, reranker, plan, direct, embeddingCached } = await searchDocuments(req.user.id, searchQuestion, req.body, search, usage);
+    const cache = { embedding: Boolean(embeddingCached), answer: false };
     
-    if (goodMatches.length === 0) {
-      return res.json({
-        success: true,
-        answer: "I found some documents, but they don't seem closely related to your question. Please try rephrasing your query or ask about different legal topics.",
-        matches: 0
-      });
+    let result;
+    if (direct) {
+      result = { ...direct, matches: direct.sources.length };
+    } else {
+      const { context, sources, stats } = buildContext(matches, { provider, model, maxChunks: search.k, maxTokens: search.maxContextTokens });
+      
+      // Generate intelligent answer using the context
+      const generation = await generateAnswer(context, searchQuestion, { provider, model, usage, sources, subQueries: plan?.subQueries });
+      cache.answer = generation.cached;
+      
+      result = {
+        answer: generation.answer,
+        matches: matches.length,
+        sources,
+        citations: extractCitations(generation.answer, sources),
+        provider: generation.provider,
+        model: generation.model,
+        fallback: generation.fallback,
+        contextStats: stats,
+        plan: plan && describePlan(plan, sources)
+      };
     }
     
-    // Create context from relevant documents with better formatting
-    const context = goodMatches.slice(0, 5).map((doc, i) => {
-      const metadata = metadatas[documents.indexOf(doc)];
-      return `[Document ${i + 1}: ${metadata.title}]
-${doc.substring(0, 800)}${doc.length > 800 ? '...' : ''}
----`;
-    }).join('\n');
-    
-    console.log(`📄 Using ${goodMatches.length} relevant documents for context`);
-    
-    // Generate intelligent answer using the context
-    const answer = await generateAnswer(context, question);
+    const { conversation, answered } = await recordExchange(prepared.conversation, {
+      userId: req.user.id,
+      question,
+      rewrittenQuestion: searchQuestion,
+      ...result
+    });
+    await recordUsage({ ...usageRecord, provider: result.provider, model: result.model, conversationId: conversation._id, cache });
     
     res.json({
       success: true,
-      answer,
-      matches: goodMatches.length
+      ...result,
+      conversationId: conversation._id,
+      messageId: answered._id,
+      searchQuestion,
+      filters,
+      retrievalMode,
+      reranker,
+      search,
+      cache,
+      usage: usage.totals()
     });
     
   } catch (error) {
     console.error('Query error:', error.message);
+    await recordUsage({ ...usageRecord, status: 'failed' });
     res.status(500).json({ 
       success: false, 
       message: 'Failed to process query. Please try again.' 
@@ -405,16 +519,261 @@ ${doc.substring(0, 800)}${doc.length > 800 ? '...' : ''}
   }
 });
 
-// Logout endpoint
-app.post('/api/logout', auth, (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
+// Write one server-sent event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming variant of /api/query (Server-Sent Events over a POST response):
+//   retrieval -> { matches, sources, searchQuestion, filters, retrievalMode, reranker, search, cache, contextStats,
+//                  plan } as soon as search completes
+//   token     -> { text }               for each piece of the answer
+//   done      -> { answer, sources, citations, provider, model, fallback, contextStats, plan, conversationId,
+//                  messageId, cache, usage, timing }
+//                (plan: the sub-queries of a decomposed question, each with the ids of the sources found
+//                for it, or null)
+//                (cache: { embedding, answer } says which steps were served from the cache)
+//   error     -> { message }
+// Closing the connection cancels generation.
+app.post('/api/query/stream', auth, enforceQuota, async (req, res) => {
+  const { provider, model } = req.body;
+  
+  const invalid = validateQueryRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json({ success: false, message: invalid.message });
+  }
+  const search = parseSearchOptions(req.body).options;
+  
+  const usage = createUsageMeter();
+  const usageRecord = { userId: req.user.id, role: req.user.role, endpoint: 'query/stream', meter: usage, startedAt: Date.now() };
+  const question = req.body.question.trim();
+  let prepared;
+  try {
+    prepared = await prepareConversation(req.user.id, { ...req.body, question }, usage);
+  } catch (error) {
+    console.error('Streaming query error:', error.message);
+    await recordUsage({ ...usageRecord, status: 'failed' });
+    return res.status(500).json({ success: false, message: 'Failed to process query. Please try again.' });
+  }
+  if (prepared.error) {
+    return res.status(prepared.error.status).json({ success: false, message: prepared.error.message });
+  }
+  const { searchQuestion } = prepared;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('⏹️  Client closed stream, cancelling generation');
+      controller.abort();
+    }
+  });
+  
+  const startedAt = Date.now();
+  let sources = [];
+  let evidence = null;
+  let streamed = '';
+  let thread = prepared.conversation;
+  // A thread started for this question, removed again if nothing gets saved to it
+  let startedThread = null;
+  
+  try {
+    console.log(`🔍 Streaming search for: "${searchQuestion}"`);
+    
+    const { matches, filters, retrievalMode, reranker, plan, direct, embeddingCached } = await searchDocuments(req.user.id, searchQuestion, req.body, search, usage);
+    const cache = { embedding: Boolean(embeddingCached), answer: false };
+    const retrievalMs = Date.now() - startedAt;
+    
+    if (direct) {
+      const { conversation, answered } = await recordExchange(prepared.conversation, {
+        userId: req.user.id,
+        question,
+        rewrittenQuestion: searchQuestion,
+        ...direct
+      });
+      await recordUsage({ ...usageRecord, provider: direct.provider, model: direct.model, conversationId: conversation._id, cache });
+      sendEvent(res, 'retrieval', { matches: direct.sources.length, sources: direct.sources, searchQuestion, filters, retrievalMode, reranker, search, cache });
+      sendEvent(res, 'token', { text: direct.answer });
+      sendEvent(res, 'done', {
+        ...direct,
+        conversationId: conversation._id,
+        messageId: answered._id,
+        cache,
+        timing: { retrievalMs, generationMs: 0, totalMs: Date.now() - startedAt }
+      });
+      return res.end();
+    }
+    
+    const built = buildContext(matches, { provider, model, maxChunks: search.k, maxTokens: search.maxContextTokens });
+    sources = built.sources;
+    evidence = plan && describePlan(plan, sources);
+    // Start a new thread before streaming so the client knows its id even if it cancels
+    if (!thread) {
+      thread = startedThread = await createConversation(req.user.id, titleFromQuestion(question));
+    }
+    sendEvent(res, 'retrieval', {
+      conversationId: thread._id,
+      matches: matches.length,
+      sources,
+      searchQuestion,
+      filters,
+      retrievalMode,
+      reranker,
+      search,
+      cache,
+      contextStats: built.stats,
+      plan: evidence
+    });
+    
+    const generationStartedAt = Date.now();
+    const generation = await streamAnswer(
+      built.context,
+      searchQuestion,
+      { provider, model, signal: controller.signal, usage, sources, subQueries: plan?.subQueries },
+      text => {
+        streamed += text;
+        sendEvent(res, 'token', { text });
+      }
+    );
+    const citations = extractCitations(generation.answer, sources);
+    cache.answer = generation.cached;
+    
+    const { conversation, answered } = await recordExchange(thread, {
+      userId: req.user.id,
+      question,
+      rewrittenQuestion: searchQuestion,
+      answer: generation.answer,
+      sources,
+      citations,
+      provider: generation.provider,
+      model: generation.model,
+      plan: evidence
+    });
+    startedThread = null;
+    await recordUsage({ ...usageRecord, provider: generation.provider, model: generation.model, conversationId: conversation._id, cache });
+    
+    sendEvent(res, 'done', {
+      answer: generation.answer,
+      sources,
+      citations,
+      provider: generation.provider,
+      model: generation.model,
+      fallback: generation.fallback,
+      contextStats: built.stats,
+      plan: evidence,
+      conversationId: conversation._id,
+      messageId: answered._id,
+      cache,
+      usage: usage.totals(),
+      timing: {
+        retrievalMs,
+        generationMs: Date.now() - generationStartedAt,
+        totalMs: Date.now() - startedAt
+      }
+    });
+    res.end();
+    
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Keep the partial answer in the thread so the user can see what was cancelled
+      if (streamed) {
+        startedThread = null;
+        await recordExchange(thread, {
+          userId: req.user.id,
+          question,
+          rewrittenQuestion: searchQuestion,
+          answer: streamed,
+          sources,
+          citations: extractCitations(streamed, sources),
+          plan: evidence,
+          cancelled: true
+        }).catch(saveError => console.error('Failed to save cancelled answer:', saveError.message));
+      }
+      await discardThread(startedThread);
+      await recordUsage({ ...usageRecord, status: 'cancelled' });
+      return;
+    }
+    console.error('Streaming query error:', error.message);
+    await discardThread(startedThread);
+    await recordUsage({ ...usageRecord, status: 'failed' });
+    sendEvent(res, 'error', { message: 'Failed to process query. Please try again.' });
+    res.end();
+  }
+});
+
+// Values for the search filter controls (categories, courts, decision date range), the
+// defaults and limits of the Advanced search settings and how many judgments can be compared
+app.get('/api/filters', auth, async (req, res) => {
+  if (!collection) {
+    return res.status(503).json({
+      success: false,
+      message: collectionError || 'Document index is not available yet. Please try again later.'
+    });
+  }
+  try {
+    const options = await describeFilterOptions(collection);
+    res.json({ success: true, ...options, search: getSearchSettings(), compare: { maxCases: MAX_COMPARE_CASES } });
+  } catch (error) {
+    console.error('Filter options error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load filter options' });
+  }
+});
+
+// Exchange the refresh token cookie for a new access token (the refresh token is rotated)
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(readRefreshCookie(req), req);
+    if (result.error) {
+      clearRefreshCookie(res);
+      return res.status(result.error.status).json({ success: false, message: result.error.message });
+    }
+    setRefreshCookie(res, result.refreshToken);
+    res.json({ success: true, token: result.token, user: serializeAuthUser(result.user) });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Server error during token refresh' });
+  }
+});
+
+// End this session: revoke its refresh tokens and the access token used for the request
+app.post('/api/logout', auth, async (req, res) => {
+  try {
+    if (req.token.sid) {
+      await revokeSession(req.token.sid);
+    }
+    await revokeAccessToken(req.token);
+    clearRefreshCookie(res);
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error during logout' });
+  }
+});
+
+// Log out of all devices
+app.post('/api/logout/all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    clearRefreshCookie(res);
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ success: false, message: 'Server error during logout' });
+  }
 });
 
 // Health check
 app.get('/api/health', async (req, res) => {
   try {
     const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-    let chromaStatus = 'disconnected';
+    let chromaStatus = collectionError ? 'error' : 'disconnected';
     let documentCount = 0;
     
     if (collection) {
@@ -432,7 +791,10 @@ app.get('/api/health', async (req, res) => {
       status: {
         database: dbStatus,
         vectorDB: chromaStatus,
-        documents: documentCount
+        documents: documentCount,
+        keywordIndex: keywordIndexAvailable() ? 'available' : 'missing',
+        citationIndex: getCitationGraph(COLLECTION_NAME) ? 'available' : 'missing',
+        ...(collectionError && { vectorDBError: collectionError })
       }
     });
   } catch (error) {
@@ -447,6 +809,7 @@ async function startServer() {
     console.log('✅ MongoDB connected');
     
     await initChroma();
+    await startJobWorker();
     
     const PORT = process.env.PORT || 3001;
     app.listen(PORT, () => {
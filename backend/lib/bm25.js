@@ -0,0 +1,173 @@
+// backend/lib/bm25.js - Lexical (BM25) index over the same chunks stored in ChromaDB
+//
+// Embedding search is weak on exact legal phrasing ("Section 138", "Article 21", party
+// names), so ingestion also keeps a term-frequency index of every chunk on local disk.
+// The file stores each PDF's chunks as term counts (so files can be added, replaced or
+// removed on re-runs); the server turns it into an inverted index when it loads it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { STOPWORDS } from './embeddings/local.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BM25_INDEX_PATH = process.env.BM25_INDEX_PATH || path.join(__dirname, '..', 'data', 'bm25-index.json');
+
+const INDEX_VERSION = 1;
+
+// Standard BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+let loaded = null;
+
+// Unlike the embedding tokenizer, single characters are kept so "Section 8" still matches,
+// and dotted abbreviations are joined ("N.I. Act" -> "ni act", "I.P.C." -> "ipc")
+export function tokenizeForSearch(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\b(?:[a-z]\.){2,}/g, abbreviation => abbreviation.replace(/\./g, ''))
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token));
+}
+
+function countTerms(text) {
+  const terms = {};
+  const tokens = tokenizeForSearch(text);
+  for (const token of tokens) {
+    terms[token] = (terms[token] || 0) + 1;
+  }
+  return { terms, length: tokens.length };
+}
+
+// ---- Building (ingestion) ----
+
+export function createEmptyIndex(collectionName) {
+  return { version: INDEX_VERSION, collection: collectionName, updatedAt: null, files: {} };
+}
+
+// The stored index for this collection, or an empty one if it is missing or for another collection
+export function readIndexFile(collectionName) {
+  try {
+    const data = JSON.parse(fs.readFileSync(BM25_INDEX_PATH, 'utf8'));
+    if (data.version === INDEX_VERSION && data.collection === collectionName) {
+      return data;
+    }
+    console.log('ℹ️ Keyword index was built for another collection or version, starting a new one');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`⚠️ Could not read keyword index (${error.message}), starting a new one`);
+    }
+  }
+  return createEmptyIndex(collectionName);
+}
+
+export function hasIndexedFile(index, fileName, contentHash) {
+  return index.files[fileName]?.contentHash === contentHash;
+}
+
+// Replace the entry for a file with its current chunks ({ id, content })
+export function indexFile(index, fileName, contentHash, chunks) {
+  index.files[fileName] = {
+    contentHash,
+    chunks: chunks.map(chunk => {
+      const { terms, length } = countTerms(chunk.content);
+      return { id: chunk.id, length, terms };
+    })
+  };
+}
+
+export function removeIndexedFile(index, fileName) {
+  delete index.files[fileName];
+}
+
+// Write atomically so the server never reads a half-written file
+export function writeIndexFile(index) {
+  index.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(BM25_INDEX_PATH), { recursive: true });
+  const tmpPath = `${BM25_INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index));
+  fs.renameSync(tmpPath, BM25_INDEX_PATH);
+}
+
+// ---- Searching (server) ----
+
+// Inverted index: term -> flat [docIndex, tf, docIndex, tf, ...]
+function buildSearchIndex(data) {
+  const docs = [];
+  const postings = new Map();
+  let totalLength = 0;
+
+  for (const [fileName, file] of Object.entries(data.files)) {
+    for (const chunk of file.chunks) {
+      const docIndex = docs.length;
+      docs.push({ id: chunk.id, filename: fileName, length: chunk.length });
+      totalLength += chunk.length;
+      for (const [term, tf] of Object.entries(chunk.terms)) {
+        let list = postings.get(term);
+        if (!list) {
+          list = [];
+          postings.set(term, list);
+        }
+        list.push(docIndex, tf);
+      }
+    }
+  }
+
+  return {
+    docs,
+    postings,
+    averageLength: docs.length > 0 ? totalLength / docs.length : 0,
+    updatedAt: data.updatedAt
+  };
+}
+
+// The search index, reloaded whenever ingestion has rewritten the file; null if there is none
+export function getSearchIndex(collectionName) {
+  let stat;
+  try {
+    stat = fs.statSync(BM25_INDEX_PATH);
+  } catch (error) {
+    loaded = null;
+    return null;
+  }
+
+  if (loaded && loaded.mtimeMs === stat.mtimeMs && loaded.collection === collectionName) {
+    return loaded.index;
+  }
+
+  const data = readIndexFile(collectionName);
+  const index = buildSearchIndex(data);
+  loaded = { mtimeMs: stat.mtimeMs, collection: collectionName, index };
+  console.log(`🔤 Keyword index loaded: ${index.docs.length} chunks, ${index.postings.size} terms`);
+  return index;
+}
+
+// Top chunks for a query by BM25 score, optionally restricted to some files
+export function searchIndex(index, query, { limit = 20, filenames = null } = {}) {
+  const allowed = filenames ? new Set(filenames) : null;
+  const total = index.docs.length;
+  const scores = new Map();
+
+  for (const term of new Set(tokenizeForSearch(query))) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+
+    const documentFrequency = list.length / 2;
+    const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    for (let i = 0; i < list.length; i += 2) {
+      const doc = index.docs[list[i]];
+      if (allowed && !allowed.has(doc.filename)) continue;
+      const tf = list[i + 1];
+      const norm = tf + K1 * (1 - B + B * doc.length / index.averageLength);
+      scores.set(list[i], (scores.get(list[i]) || 0) + idf * (tf * (K1 + 1)) / norm);
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([docIndex, score]) => ({ id: index.docs[docIndex].id, score: Number(score.toFixed(4)) }));
+}
@@ -0,0 +1,106 @@
+// backend/lib/cache/index.js - Cache for query embeddings and generated answers
+//
+// CACHE_STORE picks where entries live:
+//   memory  - LRU in this process, at most CACHE_MAX_ENTRIES entries (default)
+//   mongo   - in MongoDB, shared by every server and kept across restarts
+//   none    - no caching
+//
+// Entries are grouped by namespace ("embedding", "answer") and expire after the namespace's
+// TTL: EMBEDDING_CACHE_TTL_MS (default 7 days) and ANSWER_CACHE_TTL_MS (default 1 day);
+// a TTL of 0 turns that cache off. Keys are hashes of everything the value depends on, so
+// a changed embedder, model or retrieved context misses the cache instead of serving a
+// stale entry. Cache errors are logged and treated as misses.
+import crypto from 'crypto';
+import { createMemoryCache } from './memory.js';
+import { createMongoCache } from './mongo.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store;
+
+function ttlSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function createStore() {
+  const name = (process.env.CACHE_STORE || 'memory').toLowerCase();
+
+  switch (name) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryCache({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000 });
+    case 'mongo':
+      return createMongoCache();
+    default:
+      throw new Error(`Unknown CACHE_STORE "${name}" (expected memory, mongo or none)`);
+  }
+}
+
+// The configured store, or null when caching is off (created lazily so dotenv has loaded first)
+export function getCacheStore() {
+  if (store === undefined) {
+    store = createStore();
+  }
+  return store;
+}
+
+function getTtl(namespace) {
+  switch (namespace) {
+    case 'embedding':
+      return ttlSetting('EMBEDDING_CACHE_TTL_MS', 7 * DAY_MS);
+    case 'answer':
+      return ttlSetting('ANSWER_CACHE_TTL_MS', DAY_MS);
+    default:
+      return DAY_MS;
+  }
+}
+
+// Stable key from any number of strings
+export function hashKey(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(String(part ?? '')).update('\u0000'));
+  return hash.digest('hex');
+}
+
+// Lower-case, collapse whitespace and drop trailing punctuation so trivially different
+// spellings of a question share an entry
+export function normalizeQuestion(question) {
+  return question.toLowerCase().replace(/\s+/g, ' ').replace(/[\s?.!]+$/, '').trim();
+}
+
+// The cached value, or null on a miss (or when this cache is off)
+export async function readCache(namespace, key) {
+  const cache = getCacheStore();
+  if (!cache || getTtl(namespace) === 0) return null;
+  try {
+    return await cache.get(namespace, key);
+  } catch (error) {
+    console.log(`⚠️  Cache read failed (${namespace}): ${error.message}`);
+    return null;
+  }
+}
+
+export async function writeCache(namespace, key, value) {
+  const cache = getCacheStore();
+  const ttl = getTtl(namespace);
+  if (!cache || ttl === 0) return;
+  try {
+    await cache.set(namespace, key, value, ttl);
+  } catch (error) {
+    console.log(`⚠️  Cache write failed (${namespace}): ${error.message}`);
+  }
+}
+
+// Drop every entry in a namespace
+export async function clearCache(namespace) {
+  const cache = getCacheStore();
+  if (!cache) return;
+  try {
+    await cache.clear(namespace);
+    console.log(`🧹 Cleared ${namespace} cache`);
+  } catch (error) {
+    console.log(`⚠️  Cache clear failed (${namespace}): ${error.message}`);
+  }
+}
@@ -0,0 +1,37 @@
+// backend/lib/cache/memory.js - In-process LRU cache (per server, lost on restart)
+
+export function createMemoryCache({ maxEntries = 1000 } = {}) {
+  // A Map iterates in insertion order, so re-inserting on every hit keeps the least
+  // recently used entry first
+  const entries = new Map();
+  const entryKey = (namespace, key) => `${namespace}:${key}`;
+
+  return {
+    name: 'memory',
+
+    async get(namespace, key) {
+      const id = entryKey(namespace, key);
+      const entry = entries.get(id);
+      if (!entry) return null;
+      entries.delete(id);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(id, entry);
+      return entry.value;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      const id = entryKey(namespace, key);
+      entries.delete(id);
+      entries.set(id, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear(namespace) {
+      for (const id of entries.keys()) {
+        if (id.startsWith(`${namespace}:`)) entries.delete(id);
+      }
+    }
+  };
+}
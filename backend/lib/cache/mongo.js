@@ -0,0 +1,29 @@
+// backend/lib/cache/mongo.js - Cache shared by every server through MongoDB
+import CacheEntry from '../../models/CacheEntry.js';
+
+export function createMongoCache() {
+  return {
+    name: 'mongo',
+
+    async get(namespace, key) {
+      const entry = await CacheEntry.findOneAndUpdate(
+        { namespace, key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true, lean: true }
+      );
+      return entry ? entry.value : null;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      await CacheEntry.updateOne(
+        { namespace, key },
+        { $set: { value, expiresAt: new Date(Date.now() + ttlMs) }, $setOnInsert: { hits: 0 } },
+        { upsert: true }
+      );
+    },
+
+    async clear(namespace) {
+      await CacheEntry.deleteMany({ namespace });
+    }
+  };
+}
@@ -0,0 +1,145 @@
+// backend/lib/caseMetadata.js - Structured case metadata (parties, date, bench, statutes, category)
+// extracted from a judgment's file name and text at ingestion time
+
+export const CASE_CATEGORIES = ['criminal', 'civil', 'constitutional', 'tax', 'other'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Parties that make the State (or one of its agencies) a side to the case
+const STATE_PARTY = /\b(state|union of india|government|govt|nct of delhi|directorate of enforcement|central bureau of investigation|national investigation agency|commissioner|collector|municipal|election commission)\b/i;
+
+// "Indian Penal Code, 1860", "Prevention of Money Laundering Act, 2002", "Bharatiya Nyaya Sanhita, 2023"
+const STATUTE = /\b((?:[A-Z][A-Za-z'’.&-]*|\([A-Za-z ]+\)|of|and|for|the|on)(?:\s+(?:[A-Z][A-Za-z'’.&-]*|\([A-Za-z ]+\)|of|and|for|the|on)){0,8}\s+(?:Act|Code|Sanhita|Adhiniyam)),?\s+((?:1[89]|20)\d\d)\b/g;
+const MAX_STATUTES = 10;
+
+const TAX_STATUTE = /\b(tax|customs|excise|goods and services|gst|stamp)\b/i;
+const CRIMINAL_HINT = /\b(penal code|criminal procedure|nyaya sanhita|nagarik suraksha|narcotic|money laundering|bail|acquittal|conviction|fir)\b/gi;
+
+function cleanWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Long party names are cut short with "..." in the judgment header
+function cleanParty(name) {
+  return name ? cleanWhitespace(name).replace(/\s*\.{3}$/, '') : null;
+}
+
+function toIsoDate(day, monthName, year) {
+  const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+  if (month === 0) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "2024-10-16" -> 20241016, the form stored in Chroma so date ranges work with $gte/$lte
+export function dateToNumber(isoDate) {
+  return Number(isoDate.replace(/-/g, ''));
+}
+
+// Parties and decision date from "X_vs_Y_on_16_October_2024_1.PDF"
+export function parseFileName(fileName) {
+  const base = fileName.replace(/\.pdf$/i, '');
+  const match = base.match(/^(.+?)_vs_(.+?)_on_(\d{1,2})_([A-Za-z]+)_(\d{4})(?:_\d+)?$/);
+  if (!match) return {};
+  const [, petitioner, respondent, day, month, year] = match;
+  return {
+    petitioner: cleanWhitespace(petitioner.replace(/_/g, ' ')),
+    respondent: cleanWhitespace(respondent.replace(/_/g, ' ')),
+    decisionDate: toIsoDate(day, month, year)
+  };
+}
+
+// The Indian Kanoon style header: "A vs B on 16 October, 2024" (sometimes wrapped), then Author/Bench lines
+function parseHeader(text) {
+  const head = text.substring(0, 3000);
+  const beforeAuthor = head.split(/^\s*(?:Author|Bench):/m)[0];
+  const title = cleanWhitespace(beforeAuthor).match(/^(.+?)\s+vs\.?\s+(.+?)\s+on\s+(\d{1,2})\s+([A-Za-z]+),?\s+(\d{4})/i);
+  const author = head.match(/^\s*Author:\s*(.+)$/m);
+  const bench = head.match(/^\s*Bench:\s*(.+)$/m);
+  const court = head.match(/IN THE (SUPREME COURT OF INDIA|HIGH COURT OF [A-Z .]+?)\s*$/m);
+  const jurisdiction = head.match(/^\s*([A-Z/ ]*JURISDICTION)\s*$/m);
+
+  return {
+    petitioner: title && title[1],
+    respondent: title && title[2],
+    decisionDate: title && toIsoDate(title[3], title[4], title[5]),
+    author: author && cleanWhitespace(author[1]),
+    bench: bench && cleanWhitespace(bench[1]),
+    court: court && cleanWhitespace(court[1]).toLowerCase().replace(/\b\w/g, c => c.toUpperCase()).replace(/\bOf\b/g, 'of'),
+    jurisdiction: jurisdiction && cleanWhitespace(jurisdiction[1])
+  };
+}
+
+// Statutes named with their year, most frequently cited first
+export function extractStatutes(text) {
+  const counts = new Map();
+  for (const [, name, year] of text.matchAll(STATUTE)) {
+    const cleaned = cleanWhitespace(name)
+      .replace(/^(?:(?:the|of|and|for|on|under|Section|Sections|Rule|Article|Act\.)\s+)+/i, '')
+      .replace(/^The\s+/, '');
+    if (!/^[A-Z]/.test(cleaned) || cleaned.split(' ').length < 2) continue;
+    const statute = `${cleaned}, ${year}`;
+    counts.set(statute, (counts.get(statute) || 0) + 1);
+  }
+
+  // Drop truncated names ("Evidence Act, 1872") when a longer one ("Indian Evidence Act, 1872") was found
+  const names = [...counts.keys()];
+  return names
+    .filter(name => !names.some(other => other !== name && other.endsWith(` ${name}`)))
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .slice(0, MAX_STATUTES);
+}
+
+export function isStateParty(name) {
+  return Boolean(name) && STATE_PARTY.test(name);
+}
+
+// Coarse case category from the jurisdiction line, statutes cited and wording of the judgment
+export function classifyCase({ jurisdiction, statutes, text }) {
+  const heading = (jurisdiction || '').toUpperCase();
+  if (heading.includes('CRIMINAL')) return 'criminal';
+  if (statutes.slice(0, 3).some(statute => TAX_STATUTE.test(statute))) return 'tax';
+  if (heading.includes('ORIGINAL')) return 'constitutional';
+  if (heading.includes('CIVIL')) return 'civil';
+  if (/\bwrit petition\b/i.test(text.substring(0, 3000))) return 'constitutional';
+  return (text.match(CRIMINAL_HINT) || []).length >= 5 ? 'criminal' : 'other';
+}
+
+// All structured metadata for one judgment; the header of the text wins over the file name
+export function extractCaseMetadata(fileName, text) {
+  const fromName = parseFileName(fileName);
+  const header = parseHeader(text);
+  const statutes = extractStatutes(text);
+
+  const petitioner = cleanParty(header.petitioner || fromName.petitioner);
+  const respondent = cleanParty(header.respondent || fromName.respondent);
+  const decisionDate = header.decisionDate || fromName.decisionDate || null;
+
+  return {
+    petitioner,
+    respondent,
+    decisionDate,
+    court: header.court || null,
+    author: header.author || null,
+    bench: header.bench || header.author || null,
+    statutes,
+    category: classifyCase({ jurisdiction: header.jurisdiction, statutes, text }),
+    stateParty: isStateParty(petitioner) || isStateParty(respondent)
+  };
+}
+
+// Flatten for Chroma, which only stores scalar metadata values
+export function toChromaMetadata(caseMetadata) {
+  return {
+    petitioner: caseMetadata.petitioner,
+    respondent: caseMetadata.respondent,
+    decision_date: caseMetadata.decisionDate,
+    decision_date_num: caseMetadata.decisionDate ? dateToNumber(caseMetadata.decisionDate) : null,
+    court: caseMetadata.court,
+    author: caseMetadata.author,
+    bench: caseMetadata.bench,
+    statutes: caseMetadata.statutes.join('; '),
+    case_category: caseMetadata.category,
+    state_party: caseMetadata.stateParty
+  };
+}
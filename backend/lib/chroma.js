@@ -0,0 +1,11 @@
+// backend/lib/chroma.js - Shared ChromaDB client
+import { ChromaClient } from 'chromadb';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const COLLECTION_NAME = process.env.CHROMA_COLLECTION || 'legal_cases';
+
+export const chroma = new ChromaClient({
+  path: `http://${process.env.CHROMA_HOST || 'localhost'}:${process.env.CHROMA_PORT || 8000}`
+});
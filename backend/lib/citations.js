@@ -0,0 +1,409 @@
+// backend/lib/citations.js - Case citations and statute references between judgments
+//
+// Ingestion extracts from every chunk of a judgment the reported cases it cites ("(2014) 8 SCC
+// 273", "AIR 1978 SC 597", "2024 INSC 687") and the provisions it refers to ("Section 37 NDPS
+// Act"), plus the judgment's own citations from its header. Like the keyword index (bm25.js),
+// the result is kept per PDF in a file on local disk, so files can be added or removed on
+// re-runs. The server resolves the cited cases to judgments in the corpus, by reported
+// citation or else by the parties' names, into a citation graph. It backs
+// /api/documents/:id/citations and /cited-by, and lets /api/query boost passages that cite,
+// or come from judgments cited by, the judgments that best match a question.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chunkId } from './pdf.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CITATION_INDEX_PATH = process.env.CITATION_INDEX_PATH || path.join(__dirname, '..', 'data', 'citation-index.json');
+
+const INDEX_VERSION = 1;
+
+// Query-time boost (see citationBoosts): the share of the re-ranker's score spread added to
+// related passages, how many of the best-matching judgments count as strong matches and how
+// close a strong match must be
+const BOOST_WEIGHT = Number.isNaN(parseFloat(process.env.CITATION_BOOST)) ? 0.2 : parseFloat(process.env.CITATION_BOOST);
+const SEED_DOCUMENTS = parseInt(process.env.CITATION_BOOST_SEEDS, 10) || 3;
+const SEED_MIN_SCORE = 0.5;
+const MAX_ADDED_PASSAGES = 6;
+
+let loaded = null;
+
+const YEAR = '(?<year>(?:18|19|20)\\d\\d)';
+
+// Law report citations and how each is written in its canonical form
+const REPORTERS = [
+  // (2014) 8 SCC 273, (2014) 3 SCC (Cri) 449
+  {
+    pattern: new RegExp(`\\(${YEAR}\\)\\s*(?<volume>\\d{1,2})\\s+S\\.?\\s?C\\.?\\s?C\\.?(?:\\s*\\((?<series>Cri|Civ|L\\s?&\\s?S|Tax)\\))?\\s+(?<page>\\d{1,4})\\b`, 'g'),
+    format: ({ year, volume, series, page }) => `(${year}) ${volume} SCC${series ? ` (${series.replace(/\s/g, '')})` : ''} ${page}`
+  },
+  // 2022 SCC OnLine SC 1234
+  {
+    pattern: new RegExp(`\\b${YEAR}\\s+SCC\\s+On\\s?Line\\s+(?<court>[A-Z][A-Za-z]{1,5})\\s+(?<page>\\d{1,6})\\b`, 'g'),
+    format: ({ year, court, page }) => `${year} SCC OnLine ${court} ${page}`
+  },
+  // AIR 1978 SC 597
+  {
+    pattern: new RegExp(`\\bA\\.?I\\.?R\\.?\\s+${YEAR}\\s+(?<court>S\\.?\\s?C\\.?|[A-Z][a-z]{1,12})\\s+(?<page>\\d{1,5})\\b`, 'g'),
+    format: ({ year, court, page }) => `AIR ${year} ${court.replace(/[.\s]/g, '')} ${page}`
+  },
+  // [1978] 2 SCR 621, (1950) SCR 88
+  {
+    pattern: new RegExp(`[[(]${YEAR}[\\])]\\s*(?:(?<volume>\\d{1,2})\\s+)?S\\.?\\s?C\\.?\\s?R\\.?\\s+(?<page>\\d{1,4})\\b`, 'g'),
+    format: ({ year, volume, page }) => `[${year}] ${volume ? `${volume} ` : ''}SCR ${page}`
+  },
+  // (2020) 5 SCALE 123
+  {
+    pattern: new RegExp(`\\(${YEAR}\\)\\s*(?<volume>\\d{1,2})\\s+SCALE\\s+(?<page>\\d{1,4})\\b`, 'g'),
+    format: ({ year, volume, page }) => `(${year}) ${volume} SCALE ${page}`
+  },
+  // 1980 Cri LJ 1125
+  {
+    pattern: new RegExp(`\\b${YEAR}\\s+Cri\\.?\\s?L\\.?\\s?J\\.?\\s+(?<page>\\d{1,5})\\b`, 'g'),
+    format: ({ year, page }) => `${year} Cri LJ ${page}`
+  },
+  // 2024 INSC 687 (the Supreme Court's neutral citation)
+  {
+    pattern: new RegExp(`\\b${YEAR}\\s+INSC\\s+(?<page>\\d{1,5})\\b`, 'g'),
+    format: ({ year, page }) => `${year} INSC ${page}`
+  }
+];
+
+// "Section 37 of the NDPS Act", "Sections 3 and 4 of PMLA", "Article 21 of the Constitution"
+const PROVISION = /\b(?<kind>Sections?|Secs?\.|S\.|Articles?|Arts?\.|Rules?|Orders?)\s+(?<numbers>\d+[A-Z]{0,2}(?:\s*\(\s*[\da-z]{1,4}\s*\))*(?:\s*(?:,|and|&|or)\s*\d+[A-Z]{0,2}(?:\s*\(\s*[\da-z]{1,4}\s*\))*)*)\s+(?:of\s+(?:the\s+)?)?(?<statute>[A-Z][\w.'’&-]*(?:\s+(?!(?:Sections?|Secs?\.|S\.|Articles?|Arts?\.|Rules?|Orders?)\s)(?:[A-Z][\w.'’&-]*|\([A-Z][\w ]*\)|of|and|for|the|on|from)){0,9})(?:,?\s+(?<year>(?:18|19|20)\d\d))?/g;
+const PROVISION_KINDS = { s: 'Section', sec: 'Section', secs: 'Section', section: 'Section', sections: 'Section', art: 'Article', arts: 'Article', article: 'Article', articles: 'Article', rule: 'Rule', rules: 'Rule', order: 'Order', orders: 'Order' };
+const STATUTE_ENDING = /^(.*?\b(?:Act|Code|Sanhita|Adhiniyam|Rules|Regulations|Constitution(?: of India)?))\b/;
+
+// Abbreviations and short forms of the statutes judgments cite most, keyed by their letters
+const STATUTE_ALIASES = new Map(Object.entries({
+  'Indian Penal Code, 1860': ['ipc', 'indianpenalcode', 'penalcode'],
+  'Code of Criminal Procedure, 1973': ['crpc', 'codeofcriminalprocedure', 'criminalprocedurecode'],
+  'Code of Civil Procedure, 1908': ['cpc', 'codeofcivilprocedure', 'civilprocedurecode'],
+  'Indian Evidence Act, 1872': ['evidenceact', 'indianevidenceact'],
+  'Narcotic Drugs and Psychotropic Substances Act, 1985': ['ndps', 'ndpsact', 'narcoticdrugsandpsychotropicsubstancesact'],
+  'Prevention of Money Laundering Act, 2002': ['pmla', 'pmlaact', 'preventionofmoneylaunderingact'],
+  'Unlawful Activities (Prevention) Act, 1967': ['uapa', 'uapaact', 'unlawfulactivitiespreventionact'],
+  'Prevention of Corruption Act, 1988': ['pcact', 'preventionofcorruptionact'],
+  'Negotiable Instruments Act, 1881': ['niact', 'negotiableinstrumentsact'],
+  'Protection of Children from Sexual Offences Act, 2012': ['pocso', 'pocsoact', 'protectionofchildrenfromsexualoffencesact'],
+  'Bharatiya Nyaya Sanhita, 2023': ['bns', 'bharatiyanyayasanhita'],
+  'Bharatiya Nagarik Suraksha Sanhita, 2023': ['bnss', 'bharatiyanagariksurakshasanhita'],
+  'Bharatiya Sakshya Adhiniyam, 2023': ['bsa', 'bharatiyasakshyaadhiniyam'],
+  'Constitution of India': ['constitution', 'constitutionofindia', 'indianconstitution']
+}).flatMap(([statute, keys]) => keys.map(key => [key, statute])));
+
+// Words dropped when comparing party names ("M/s. Foo Ltd. and Ors." ~ "Foo Ltd")
+const PARTY_NOISE = new Set(['the', 'm', 's', 'ms', 'and', 'ors', 'anr', 'others', 'another', 'etc', 'ltd', 'limited', 'pvt', 'private']);
+const NAME_CONNECTORS = new Set(['of', 'and', '&', 'the', 'for']);
+const LEAD_WORDS = new Set(['in', 'see', 'also', 'cf.', 'cf', 'and', 'the', 'per', 'vide']);
+const CITATION_LEAD_IN = /^[\s,:;([]*(?:(?:reported|cited)\s+(?:in|as|at)\s*)?[\s,:;([]*$/i;
+const MAX_PARTY_WORDS = 8;
+
+const cleanWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+// ---- Extraction (ingestion) ----
+
+function findCitations(text) {
+  const found = [];
+  for (const { pattern, format } of REPORTERS) {
+    for (const match of text.matchAll(pattern)) {
+      found.push({ citation: format(match.groups), index: match.index });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// Words of a party name next to the "v.": capitalised words and the connectors between them,
+// up to the first other word or the end of a clause ("Union of India, ..."). backwards walks
+// from the last word before the "v.", where a clause break comes before a word's comma.
+function takeName(words, { backwards = false } = {}) {
+  const taken = [];
+  for (const word of words) {
+    if (taken.length >= MAX_PARTY_WORDS) break;
+    const clean = word.replace(/[,;:]+$/, '');
+    if (backwards && clean !== word && taken.length > 0) break;
+    if (!/^[A-Z0-9(]/.test(clean) && !(NAME_CONNECTORS.has(clean.toLowerCase()) && taken.length > 0)) break;
+    taken.push(clean);
+    if (!backwards && clean !== word) break;
+  }
+  while (taken.length > 0 && NAME_CONNECTORS.has(taken[taken.length - 1].toLowerCase())) taken.pop();
+  return taken;
+}
+
+// Parties of the case a citation belongs to, from the text right before it:
+// "... followed in Maneka Gandhi v. Union of India, reported in AIR 1978 SC 597"
+function partiesBefore(text, index) {
+  const before = text.substring(Math.max(0, index - 200), index).replace(/\s+/g, ' ');
+  const match = /^(.*)\s(?:v\.?|vs\.?|versus)\s+(.*)$/i.exec(before);
+  if (!match) return null;
+
+  // The petitioner is read backwards from the "v."
+  const petitioner = takeName(match[1].split(' ').filter(Boolean).reverse(), { backwards: true }).reverse();
+  while (petitioner.length > 0 && LEAD_WORDS.has(petitioner[0].toLowerCase())) petitioner.shift();
+  const respondentWords = match[2].split(' ').filter(Boolean);
+  const respondent = takeName(respondentWords);
+  // Only the citation's own lead-in may sit between the name and the citation
+  const rest = respondentWords.slice(respondent.length).join(' ').replace(/^[,;:]/, '');
+  if (petitioner.length === 0 || respondent.length === 0 || !CITATION_LEAD_IN.test(rest)) return null;
+  return [petitioner.join(' '), respondent.join(' ')];
+}
+
+const aliasOf = (name) => STATUTE_ALIASES.get(name.toLowerCase().replace(/[^a-z]/g, ''));
+
+// The statute a provision belongs to, from the capitalised words after it ("NDPS Act and
+// Bail" -> "Narcotic Drugs and Psychotropic Substances Act, 1985"), or null
+function canonicalStatute(name, year) {
+  const trimmed = cleanWhitespace(name).replace(/^The\s+/, '');
+  const ending = STATUTE_ENDING.exec(trimmed);
+  const known = aliasOf(trimmed) || (ending && aliasOf(ending[1]));
+  if (known) return known;
+  // Unknown names only count when they read like a statute ("... Act")
+  if (!ending || ending[1].split(' ').length < 2) return null;
+  return year ? `${ending[1]}, ${year}` : ending[1];
+}
+
+function findProvisions(text) {
+  const found = [];
+  for (const match of text.matchAll(PROVISION)) {
+    const { kind, numbers, statute: name, year } = match.groups;
+    const statute = canonicalStatute(name, year);
+    if (!statute) continue;
+    const label = PROVISION_KINDS[kind.toLowerCase().replace(/\.$/, '')];
+    for (const [number] of numbers.matchAll(/\d+[A-Z]{0,2}/g)) {
+      found.push({ statute, provision: `${label} ${number}` });
+    }
+  }
+  return found;
+}
+
+// The judgment's own citations: its "Equivalent citations" header line, and the neutral
+// citation printed at the top of Supreme Court judgments
+function findOwnCitations(firstChunk) {
+  const own = new Set();
+  const header = /Equivalent citations?\s*:\s*([^\n]+)/i.exec(firstChunk);
+  if (header) findCitations(header[1]).forEach(({ citation }) => own.add(citation));
+  findCitations(firstChunk.substring(0, 1000))
+    .filter(({ citation }) => citation.includes(' INSC '))
+    .forEach(({ citation }) => own.add(citation));
+  return [...own];
+}
+
+// Citations and statute references in a judgment's chunks ([{ content, index }]), with the
+// chunk numbers each appears in
+export function extractCitations(chunks, { petitioner = null, respondent = null } = {}) {
+  const ordered = [...chunks].sort((a, b) => a.index - b.index);
+  const ownCitations = findOwnCitations(ordered[0]?.content || '');
+  const own = new Set(ownCitations);
+  const cases = new Map();
+  const statutes = new Map();
+
+  for (const chunk of ordered) {
+    for (const { citation, index } of findCitations(chunk.content)) {
+      if (own.has(citation)) continue;
+      if (!cases.has(citation)) cases.set(citation, { citation, parties: null, chunks: new Set() });
+      const entry = cases.get(citation);
+      entry.parties = entry.parties || partiesBefore(chunk.content, index);
+      entry.chunks.add(chunk.index);
+    }
+    for (const { statute, provision } of findProvisions(chunk.content)) {
+      const key = `${statute}|${provision}`;
+      if (!statutes.has(key)) statutes.set(key, { statute, provision, chunks: new Set() });
+      statutes.get(key).chunks.add(chunk.index);
+    }
+  }
+
+  const withChunks = (entry) => ({ ...entry, chunks: [...entry.chunks].sort((a, b) => a - b) });
+  return {
+    parties: [petitioner, respondent],
+    ownCitations,
+    cases: [...cases.values()].map(withChunks),
+    statutes: [...statutes.values()].map(withChunks)
+  };
+}
+
+export function createEmptyCitationIndex(collectionName) {
+  return { version: INDEX_VERSION, collection: collectionName, updatedAt: null, files: {} };
+}
+
+export function readCitationIndexFile(collectionName) {
+  try {
+    const data = JSON.parse(fs.readFileSync(CITATION_INDEX_PATH, 'utf8'));
+    if (data.version === INDEX_VERSION && data.collection === collectionName) {
+      return data;
+    }
+    console.log('ℹ️ Citation index was built for another collection or version, starting a new one');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`⚠️ Could not read citation index (${error.message}), starting a new one`);
+    }
+  }
+  return createEmptyCitationIndex(collectionName);
+}
+
+export function hasCitedFile(index, fileName, contentHash) {
+  return index.files[fileName]?.contentHash === contentHash;
+}
+
+// Add or replace a file's citations; chunks are [{ content, index }]
+export function indexCitations(index, fileName, contentHash, title, chunks, parties) {
+  index.files[fileName] = { contentHash, title, ...extractCitations(chunks, parties) };
+}
+
+export function removeCitedFile(index, fileName) {
+  delete index.files[fileName];
+}
+
+export function writeCitationIndexFile(index) {
+  index.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(CITATION_INDEX_PATH), { recursive: true });
+  const tmpPath = `${CITATION_INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index));
+  fs.renameSync(tmpPath, CITATION_INDEX_PATH);
+}
+
+// ---- Graph (server) ----
+
+function partyKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').split(' ')
+    .filter(word => word && !PARTY_NOISE.has(word)).join(' ');
+}
+
+function caseKey(parties) {
+  if (!parties?.[0] || !parties?.[1]) return null;
+  const [petitioner, respondent] = parties.map(partyKey);
+  return petitioner && respondent ? `${petitioner}|${respondent}` : null;
+}
+
+// Resolve every cited case to a judgment in the corpus where possible: by one of the
+// judgment's own citations, otherwise by both parties' names when only one judgment has them
+function buildGraph(data) {
+  const byCitation = new Map();
+  const byName = new Map();
+  for (const [fileName, file] of Object.entries(data.files)) {
+    file.ownCitations.forEach(citation => byCitation.set(citation, fileName));
+    const key = caseKey(file.parties);
+    if (key) byName.set(key, byName.has(key) && byName.get(key) !== fileName ? null : fileName);
+  }
+
+  const cites = new Map();
+  const citedBy = new Map();
+  for (const [fileName, file] of Object.entries(data.files)) {
+    const edges = new Map();
+    for (const entry of file.cases) {
+      const target = byCitation.get(entry.citation) || byName.get(caseKey(entry.parties)) || null;
+      entry.target = target && target !== fileName ? target : null;
+      if (!entry.target) continue;
+      if (!edges.has(entry.target)) edges.set(entry.target, { source: fileName, target: entry.target, citations: [], chunks: new Set() });
+      const edge = edges.get(entry.target);
+      edge.citations.push(entry.citation);
+      entry.chunks.forEach(chunk => edge.chunks.add(chunk));
+    }
+    for (const edge of edges.values()) {
+      edge.chunks = [...edge.chunks].sort((a, b) => a - b);
+      if (!cites.has(fileName)) cites.set(fileName, []);
+      cites.get(fileName).push(edge);
+      if (!citedBy.has(edge.target)) citedBy.set(edge.target, []);
+      citedBy.get(edge.target).push(edge);
+    }
+  }
+
+  const edgeCount = [...cites.values()].reduce((sum, edges) => sum + edges.length, 0);
+  return { files: data.files, cites, citedBy, edgeCount, updatedAt: data.updatedAt };
+}
+
+// The citation graph, rebuilt whenever ingestion has rewritten the file; null if there is none
+export function getCitationGraph(collectionName) {
+  let stat;
+  try {
+    stat = fs.statSync(CITATION_INDEX_PATH);
+  } catch (error) {
+    loaded = null;
+    return null;
+  }
+
+  if (loaded && loaded.mtimeMs === stat.mtimeMs && loaded.collection === collectionName) {
+    return loaded.graph;
+  }
+
+  const graph = buildGraph(readCitationIndexFile(collectionName));
+  loaded = { mtimeMs: stat.mtimeMs, collection: collectionName, graph };
+  console.log(`🔗 Citation graph loaded: ${Object.keys(graph.files).length} judgments, ${graph.edgeCount} links`);
+  return graph;
+}
+
+const describeFile = (graph, fileName) => ({ id: fileName, title: graph.files[fileName]?.title || fileName });
+
+// What a judgment cites: { ownCitations, cases: [{ citation, parties, chunks, cited }],
+// statutes: [{ statute, provision, chunks }] } where cited is the corpus judgment a case
+// resolved to ({ id, title }) or null. Null when the judgment isn't in the citation index.
+export function getDocumentCitations(graph, fileName) {
+  const file = graph?.files[fileName];
+  if (!file) return null;
+  return {
+    ownCitations: file.ownCitations,
+    cases: file.cases.map(({ target, ...entry }) => ({ ...entry, cited: target ? describeFile(graph, target) : null })),
+    statutes: file.statutes
+  };
+}
+
+// Corpus judgments that cite this one: [{ id, title, citations, chunks }], where chunks are
+// the citing judgment's chunks that carry the citation
+export function getCitingDocuments(graph, fileName) {
+  return (graph?.citedBy.get(fileName) || []).map(edge => ({
+    ...describeFile(graph, edge.source),
+    citations: edge.citations,
+    chunks: edge.chunks
+  }));
+}
+
+// Judgments among the best-ranked matches that match strongly: close by vector, or near the
+// top of the keyword ranking when found by keyword alone
+function strongMatches(matches) {
+  const seeds = [];
+  for (const match of matches) {
+    if (seeds.length >= SEED_DOCUMENTS) break;
+    const fileName = match.metadata?.filename;
+    if (!fileName || seeds.includes(fileName)) continue;
+    const strong = match.distance !== null && match.distance !== undefined
+      ? 1 - match.distance / 2 >= SEED_MIN_SCORE
+      : (match.retrieval?.keywordRank || Infinity) <= SEED_DOCUMENTS;
+    if (strong) seeds.push(fileName);
+  }
+  return seeds;
+}
+
+// Passages related through the citation graph to the judgments that best match a query:
+// chunks that cite one of them, and chunks of the judgments they cite. Returns
+// { boosts: Map(chunk id -> { weight, relation: 'cites' | 'cited-by', id, title }), addIds }
+// where addIds are citing chunks missing from matches (at most MAX_ADDED_PASSAGES).
+// filenames, when given, limits the related passages to those judgments (the query's filters).
+export function citationBoosts(graph, matches, { filenames = null } = {}) {
+  const boosts = new Map();
+  const addIds = [];
+  if (!graph || BOOST_WEIGHT <= 0 || matches.length === 0) return { boosts, addIds };
+
+  const allowed = filenames ? new Set(filenames) : null;
+  const present = new Set(matches.map(match => match.id));
+  const seeds = strongMatches(matches);
+  const boost = (id, relation, seed) => {
+    if (!boosts.has(id)) boosts.set(id, { weight: BOOST_WEIGHT, relation, ...describeFile(graph, seed) });
+  };
+
+  for (const seed of seeds) {
+    for (const edge of graph.citedBy.get(seed) || []) {
+      if (seeds.includes(edge.source) || (allowed && !allowed.has(edge.source))) continue;
+      for (const chunk of edge.chunks) {
+        const id = chunkId(edge.source, chunk);
+        boost(id, 'cites', seed);
+        if (!present.has(id) && addIds.length < MAX_ADDED_PASSAGES && !addIds.includes(id)) addIds.push(id);
+      }
+    }
+    const cited = new Set((graph.cites.get(seed) || []).map(edge => edge.target));
+    for (const match of matches) {
+      const fileName = match.metadata?.filename;
+      if (cited.has(fileName) && !seeds.includes(fileName)) boost(match.id, 'cited-by', seed);
+    }
+  }
+  return { boosts, addIds };
+}
@@ -0,0 +1,223 @@
+// backend/lib/compare.js - Side-by-side comparison of selected judgments
+//
+// /api/compare takes two to COMPARE_MAX_CASES judgments and an optional question ("how did
+// these benches treat Section 138?"). Each judgment is searched on its own, so one long or
+// closely matching judgment can't crowd the others out of the context, and its best
+// COMPARE_PASSAGES_PER_CASE passages get an equal share of the token budget. The model replies
+// with a table: one row per point of comparison, one cell per judgment, and each cell may
+// only cite that judgment's passages. Without a question the judgments are compared on their
+// issues, reasoning and outcome. If no model is available, or its reply can't be used, the
+// table holds each judgment's best passage instead.
+import { retrieveMatches, extractCitations } from './rag.js';
+import { RERANK_CANDIDATES, rerankMatches } from './rerank/index.js';
+import { buildContext, formatContext, getContextProfile, truncateToTokens } from './context.js';
+import { generateText, resolveModelChoice } from './llm/index.js';
+
+const LABELS = 'ABCDEFGHIJ';
+
+export const MAX_CASES = Math.min(parseInt(process.env.COMPARE_MAX_CASES, 10) || 4, LABELS.length);
+const PASSAGES_PER_CASE = parseInt(process.env.COMPARE_PASSAGES_PER_CASE, 10) || 3;
+
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ASPECTS = 8;
+const MAX_CELL_CHARS = 1500;
+const FALLBACK_EXCERPT_TOKENS = 120;
+
+// What is compared when the request has no question
+export const DEFAULT_FOCUS = 'the issues decided, the reasoning and the outcome';
+
+// Validate a comparison request against the case catalog (see filters.js). Returns
+// { question, cases } with cases in the order requested, or { error }.
+export function parseCompareRequest({ question, caseIds }, catalog) {
+  if (question !== undefined && question !== null && question !== '') {
+    if (typeof question !== 'string' || question.trim().length < 3 || question.trim().length > MAX_QUESTION_LENGTH) {
+      return { error: `question must be 3 to ${MAX_QUESTION_LENGTH} characters long` };
+    }
+  }
+  if (!Array.isArray(caseIds) || caseIds.some(id => typeof id !== 'string')) {
+    return { error: 'caseIds must be a list of judgment file names' };
+  }
+  const unique = [...new Set(caseIds)];
+  if (unique.length < 2 || unique.length > MAX_CASES) {
+    return { error: `Select from 2 to ${MAX_CASES} different judgments to compare` };
+  }
+
+  const byFilename = new Map(catalog.map(document => [document.filename, document]));
+  const missing = unique.filter(id => !byFilename.has(id));
+  if (missing.length > 0) {
+    return { error: `Judgment not found: ${missing.join(', ')}` };
+  }
+  return { question: question ? question.trim() : null, cases: unique.map(id => byFilename.get(id)) };
+}
+
+// The best passages of one judgment for the question. The judgment was chosen by the user,
+// so its closest passages are kept however weak the match.
+async function retrieveCasePassages(collection, query, document, { mode, usage }) {
+  const { matches } = await retrieveMatches(collection, query, {
+    k: RERANK_CANDIDATES,
+    maxDistance: Infinity,
+    where: { filename: { $eq: document.filename } },
+    filenames: [document.filename],
+    mode,
+    usage
+  });
+  const reranked = await rerankMatches(query, matches, { k: PASSAGES_PER_CASE, maxPerDocument: PASSAGES_PER_CASE, usage });
+  return reranked.matches;
+}
+
+function describeCase(entry) {
+  const details = [entry.court, entry.decisionDate].filter(Boolean).join(', ');
+  return `Judgment ${entry.label}: ${entry.title}${details ? ` (${details})` : ''}`;
+}
+
+// cases: [{ label, title, court, decisionDate, sourceIds }]; sources numbered across all cases.
+// Also rebuilds the prompt of a stored comparison (see routes/feedback.js).
+export function buildComparisonPrompt(question, cases, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const context = cases.map(entry => {
+    const passages = entry.sourceIds.map(id => byId.get(id)).filter(Boolean);
+    return `=== ${describeCase(entry)} ===
+${passages.length > 0 ? formatContext(passages) : '(no passages found)'}`;
+  }).join('\n\n');
+  const labels = cases.map(entry => entry.label);
+  const cellsExample = labels.map(label => `"${label}": "how judgment ${label} deals with it, with [n] citations"`).join(', ');
+
+  return `You are a legal research assistant comparing Indian court judgments side by side.
+Compare judgments ${labels.join(', ')} on: ${question || DEFAULT_FOCUS}
+
+INSTRUCTIONS:
+- Pick the points of comparison (at most ${MAX_ASPECTS}) that best bring out how the judgments agree or differ
+- For each point, describe how each judgment deals with it in one to three sentences
+- Each judgment's description may only use and cite that judgment's own excerpts, by their document number in square brackets, e.g. [1] or [2][3]
+- Use null for a judgment whose excerpts don't address the point; do not make up information
+- Reply with a single JSON object and nothing else, in this form:
+{"aspects": [{"aspect": "short name of the point", "cells": {${cellsExample}}}], "summary": "two or three sentences on the key agreements and differences, with [n] citations"}
+
+EXCERPTS:
+${context}
+
+JSON:`;
+}
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim().substring(0, MAX_CELL_CHARS) : null);
+
+// Drop [n] markers that don't cite one of the allowed sources
+function keepCitations(text, allowed) {
+  return text.replace(/\[(\d+)\]/g, (marker, id) => (allowed.has(Number(id)) ? marker : '')).replace(/\s+([.,;])/g, '$1').trim();
+}
+
+// The comparison table in a model reply. A cell's citations are limited to its own
+// judgment's passages, so a cell can't borrow another judgment's reasoning.
+export function parseComparisonReply(reply, cases, sources) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Comparison reply contained no JSON object');
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(reply.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`Comparison reply was not valid JSON: ${error.message}`);
+  }
+
+  const caseSources = new Map(cases.map(entry => [entry.label, sources.filter(source => entry.sourceIds.includes(source.id))]));
+  const aspects = (Array.isArray(parsed.aspects) ? parsed.aspects : [])
+    .slice(0, MAX_ASPECTS)
+    .map(item => {
+      const aspect = cleanText(item?.aspect);
+      const cells = cases.map(entry => {
+        const own = caseSources.get(entry.label);
+        const raw = cleanText(item?.cells?.[entry.label]);
+        const text = raw && keepCitations(raw, new Set(own.map(source => source.id)));
+        return { label: entry.label, text: text || null, citations: text ? extractCitations(text, own) : [] };
+      });
+      return { aspect, cells };
+    })
+    .filter(item => item.aspect && item.cells.some(cell => cell.text));
+  if (aspects.length === 0) {
+    throw new Error('Comparison reply had no usable points of comparison');
+  }
+
+  const summaryText = cleanText(parsed.summary) && keepCitations(cleanText(parsed.summary), new Set(sources.map(source => source.id)));
+  const summary = summaryText ? { text: summaryText, citations: extractCitations(summaryText, sources) } : null;
+  return { aspects, summary };
+}
+
+// Without a usable model reply, show each judgment's best passage side by side
+function extractiveComparison(cases, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const cells = cases.map(entry => {
+    const best = byId.get(entry.sourceIds[0]);
+    if (!best) return { label: entry.label, text: null, citations: [] };
+    return { label: entry.label, text: `${truncateToTokens(best.excerpt, FALLBACK_EXCERPT_TOKENS)} [${best.id}]`, citations: [best.id] };
+  });
+  return { aspects: [{ aspect: 'Most relevant passage', cells }], summary: null };
+}
+
+// Compare catalog entries (see parseCompareRequest) on the question. Resolves to
+// { question, focus, cases, aspects, summary, sources, provider, model, fallback, contextStats }
+// where cases are [{ label, id, title, court, decisionDate, sourceIds }], each aspect is
+// { aspect, cells: [{ label, text, citations }] } with one cell per case, and summary is
+// { text, citations } or null. Model calls are added to the usage meter, if given.
+export async function compareCases(collection, { question, cases: documents, provider, model, mode, maxContextTokens, usage }) {
+  const focus = question || DEFAULT_FOCUS;
+  const choice = resolveModelChoice({ provider, model });
+  const budget = maxContextTokens || getContextProfile(choice.provider, choice.model).tokens;
+  const perCase = Math.floor(budget / documents.length);
+
+  const retrieved = await Promise.all(documents.map(document => retrieveCasePassages(collection, focus, document, { mode, usage })));
+
+  const sources = [];
+  const cases = documents.map((document, i) => {
+    const { sources: own } = buildContext(retrieved[i], { provider, model, maxChunks: PASSAGES_PER_CASE, maxTokens: perCase });
+    const numbered = own.map(source => ({ ...source, id: sources.length + source.id }));
+    sources.push(...numbered);
+    return {
+      label: LABELS[i],
+      id: document.filename,
+      title: document.title,
+      court: document.court,
+      decisionDate: document.decisionDate,
+      sourceIds: numbered.map(source => source.id)
+    };
+  });
+  const contextStats = {
+    provider: choice.provider,
+    model: choice.model,
+    budgetTokens: budget,
+    usedTokens: sources.reduce((sum, source) => sum + source.tokens, 0),
+    passages: sources.length
+  };
+  console.log(`⚖️  Comparing ${cases.length} judgments on ${sources.length} passages`);
+
+  const prompt = buildComparisonPrompt(question, cases, sources);
+  try {
+    const result = await generateText({ prompt, context: '', question: focus }, { provider, model, usage, extractiveFallback: false });
+    const table = parseComparisonReply(result.text, cases, sources);
+    return { question, focus, cases, ...table, sources, provider: result.provider, model: result.model, fallback: result.fallback, contextStats };
+  } catch (error) {
+    console.log(`⚠️  Comparison generation failed (${error.message}), showing the best passages`);
+    return {
+      question,
+      focus,
+      cases,
+      ...extractiveComparison(cases, sources),
+      sources,
+      provider: 'extractive',
+      model: 'structured-extract',
+      fallback: choice.provider !== 'extractive',
+      contextStats
+    };
+  }
+}
+
+// Plain-text comparison, stored as the answer's content (and read back as conversation history)
+export function formatComparison({ focus, cases, aspects, summary }) {
+  const lines = [`Comparison of ${cases.map(entry => `${entry.label}) ${entry.title}`).join('; ')} on ${focus}`];
+  for (const { aspect, cells } of aspects) {
+    lines.push(`${aspect}:\n${cells.map(cell => `- ${cell.label}: ${cell.text || 'Not addressed'}`).join('\n')}`);
+  }
+  if (summary) lines.push(`Summary: ${summary.text}`);
+  return lines.join('\n\n');
+}
@@ -0,0 +1,330 @@
+// backend/lib/context.js - Token-budgeted context assembly for answer generation
+//
+// Takes the re-ranked chunks and builds the "[Document n: title]" context the prompt cites:
+//   1. strips page footers, signature stamps and layout whitespace
+//   2. drops near-identical passages (word 3-gram Jaccard >= CONTEXT_DEDUPE_THRESHOLD)
+//   3. merges adjacent chunks of the same judgment, removing the splitter's overlap
+//   4. trims partial sentences at passage edges
+//   5. packs passages by relevance until the model's token budget is spent, cutting the
+//      last one at a sentence boundary
+// The budget and ordering come from a per-model profile (see getContextProfile).
+import { distanceToScore } from './rag.js';
+import { resolveModelChoice } from './llm/index.js';
+
+// Upper bound on chunks handed to the packer; the token budget usually decides first
+export const CONTEXT_MAX_CHUNKS = parseInt(process.env.CONTEXT_MAX_CHUNKS, 10) || 8;
+
+const DEDUPE_THRESHOLD = parseFloat(process.env.CONTEXT_DEDUPE_THRESHOLD) || 0.8;
+
+// Passages shorter than this after trimming to the remaining budget aren't worth including
+const MIN_PASSAGE_TOKENS = 60;
+
+// strategy: "relevance" numbers passages best-first; "document" keeps the same selection
+// but groups it by judgment in reading order
+const DEFAULT_PROFILE = {
+  tokens: parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 3000,
+  passageTokens: 800,
+  strategy: process.env.CONTEXT_STRATEGY || 'relevance'
+};
+
+const BUILT_IN_PROFILES = {
+  'gemini-1.5-flash-latest': { tokens: 8000 },
+  'gemini-1.5-flash': { tokens: 8000 },
+  'gemini-pro': { tokens: 4000 },
+  'structured-extract': { tokens: 2000, passageTokens: 500 }
+};
+
+const STRATEGIES = ['relevance', 'document'];
+
+// Words whose trailing period doesn't end a sentence
+const ABBREVIATIONS = new Set(['no', 'nos', 'vs', 'v', 'ltd', 'pvt', 'co', 'mr', 'mrs', 'ms', 'dr', 'sh', 'smt',
+  'sec', 'secs', 's', 'ss', 'art', 'arts', 'cl', 'para', 'paras', 'rs', 'i.e', 'e.g', 'viz', 'etc', 'hon', 'j', 'jj', 'cr', 'crl']);
+
+function loadProfiles() {
+  if (!process.env.CONTEXT_PROFILES) return BUILT_IN_PROFILES;
+  try {
+    return { ...BUILT_IN_PROFILES, ...JSON.parse(process.env.CONTEXT_PROFILES) };
+  } catch (error) {
+    console.error('❌ CONTEXT_PROFILES is not valid JSON, using built-in profiles:', error.message);
+    return BUILT_IN_PROFILES;
+  }
+}
+
+const PROFILES = loadProfiles();
+
+// Rough token count (about four characters per token for English text)
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Budget and strategy for a model, looked up by model name, then provider name
+export function getContextProfile(provider, model) {
+  const profile = { ...DEFAULT_PROFILE, ...(PROFILES[provider] || {}), ...(PROFILES[model] || {}) };
+  if (!STRATEGIES.includes(profile.strategy)) {
+    profile.strategy = 'relevance';
+  }
+  return profile;
+}
+
+function formatPages(pages) {
+  if (!pages) return null;
+  return pages.start === pages.end ? `p. ${pages.start}` : `pp. ${pages.start}–${pages.end}`;
+}
+
+// Remove Indian Kanoon page footers ("A vs B on 1 May, 2024" + "Indian Kanoon - http://..."),
+// digital signature stamps and column padding
+export function cleanPassage(text) {
+  return text
+    .replace(/^.*\n\s*Indian Kanoon - http:\/\/indiankanoon\.org\/doc\/\d+\/\d*\s*$/gm, '')
+    .replace(/^\s*Indian Kanoon - http\S*\s*$/gm, '')
+    .replace(/^\s*(Signature Not Verified|Digitally signed by.*|Date: \d{4}\.\d{2}\.\d{2}.*|Reason:.*)\s*$/gm, '')
+    .replace(/\.{4,}/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Offsets just after each sentence-ending punctuation mark
+function sentenceEnds(text) {
+  const ends = [];
+  for (const match of text.matchAll(/([.?!])["')\]]?(?=\s+["'(]?[A-Z0-9])/g)) {
+    const before = text.substring(Math.max(0, match.index - 6), match.index).split(/[\s(]/).pop().toLowerCase();
+    if (match[1] === '.' && (ABBREVIATIONS.has(before) || /^[a-z]$/.test(before) || /^\d+$/.test(before))) continue;
+    ends.push(match.index + match[0].length);
+  }
+  return ends;
+}
+
+// Drop a partial sentence at the start (mid-document chunks) and at the end, unless that
+// would remove more than a third of the passage
+export function trimPartialSentences(text, { leading = true } = {}) {
+  const ends = sentenceEnds(text);
+  if (ends.length === 0) return text;
+
+  let start = 0;
+  if (leading && !/^["'(]?[A-Z0-9]/.test(text) && ends[0] < text.length / 3) {
+    start = ends[0];
+  }
+  let end = text.length;
+  const last = ends[ends.length - 1];
+  if (!/[.?!]["')\]]?$/.test(text.trimEnd()) && last > start && text.length - last < text.length / 3) {
+    end = last;
+  }
+  return text.substring(start, end).trim();
+}
+
+// Cut text to at most maxTokens, preferring a sentence boundary
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  if (text.length <= maxChars) return text;
+
+  const ends = sentenceEnds(text).filter(end => end <= maxChars);
+  if (ends.length > 0 && ends[ends.length - 1] > maxChars / 2) {
+    return text.substring(0, ends[ends.length - 1]).trim();
+  }
+  const cut = text.lastIndexOf(' ', maxChars);
+  return `${text.substring(0, cut > 0 ? cut : maxChars).trim()}...`;
+}
+
+function shingles(text) {
+  const words = text.toLowerCase().split(/\W+/).filter(Boolean);
+  const set = new Set();
+  for (let i = 2; i < words.length; i++) {
+    set.add(`${words[i - 2]} ${words[i - 1]} ${words[i]}`);
+  }
+  return set;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Join two consecutive chunks, removing the text they share at the seam
+function joinOverlapping(first, second) {
+  const max = Math.min(first.length, second.length, 600);
+  for (let size = max; size >= 20; size--) {
+    if (first.endsWith(second.substring(0, size))) {
+      return first + second.substring(size);
+    }
+  }
+  return `${first}\n${second}`;
+}
+
+function toPassage(match, rank) {
+  const { metadata } = match;
+  return {
+    rank,
+    chunkIds: [match.id],
+    chunkStart: metadata.chunk_index ?? null,
+    chunkEnd: metadata.chunk_index ?? null,
+    filename: metadata.filename || metadata.source || null,
+    title: metadata.title || metadata.filename || 'Untitled document',
+    pages: metadata.page_start ? { start: metadata.page_start, end: metadata.page_end } : null,
+    decisionDate: metadata.decision_date || null,
+    private: metadata.private === true,
+    distance: match.distance,
+    retrieval: match.retrieval || null,
+    rerank: match.rerank || null,
+    subQueries: match.subQueries || null,
+    text: cleanPassage(match.document)
+  };
+}
+
+function closerDistance(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.min(a, b);
+}
+
+// Sub-queries (see decompose.js) a merged passage was found for
+function mergeSubQueries(a, b) {
+  if (!a || !b) return a || b;
+  return [...new Set([...a, ...b])].sort((x, y) => x - y);
+}
+
+// Merge passages from the same judgment whose chunks are next to each other
+function mergeAdjacent(passages) {
+  const byDocument = new Map();
+  for (const passage of passages) {
+    if (passage.chunkStart === null || !passage.filename) {
+      byDocument.set(Symbol('unmergeable'), [passage]);
+      continue;
+    }
+    if (!byDocument.has(passage.filename)) byDocument.set(passage.filename, []);
+    byDocument.get(passage.filename).push(passage);
+  }
+
+  const merged = [];
+  for (const group of byDocument.values()) {
+    group.sort((a, b) => a.chunkStart - b.chunkStart);
+    let current = group[0];
+    for (const next of group.slice(1)) {
+      if (next.chunkStart <= current.chunkEnd + 1) {
+        const best = next.rank < current.rank ? next : current;
+        current = {
+          ...best,
+          rank: Math.min(current.rank, next.rank),
+          chunkIds: [...current.chunkIds, ...next.chunkIds],
+          chunkStart: current.chunkStart,
+          chunkEnd: Math.max(current.chunkEnd, next.chunkEnd),
+          pages: current.pages && next.pages
+            ? { start: Math.min(current.pages.start, next.pages.start), end: Math.max(current.pages.end, next.pages.end) }
+            : current.pages || next.pages,
+          distance: closerDistance(current.distance, next.distance),
+          subQueries: mergeSubQueries(current.subQueries, next.subQueries),
+          text: joinOverlapping(current.text, next.text)
+        };
+      } else {
+        merged.push(current);
+        current = next;
+      }
+    }
+    merged.push(current);
+  }
+  return merged.sort((a, b) => a.rank - b.rank);
+}
+
+// Drop passages that repeat a better-ranked one (same paragraph quoted in two judgments,
+// or the same chunk ingested twice)
+function dedupe(passages) {
+  const kept = [];
+  for (const passage of passages) {
+    const grams = shingles(passage.text);
+    if (!kept.some(other => similarity(grams, other.grams) >= DEDUPE_THRESHOLD)) {
+      kept.push({ ...passage, grams });
+    }
+  }
+  return kept.map(({ grams, ...passage }) => passage);
+}
+
+// The "[Document n: title]" context for numbered sources; also rebuilds the context of a
+// stored answer from its sources
+export function formatContext(sources) {
+  return sources.map(source => {
+    const pages = formatPages(source.pages);
+    return `[Document ${source.id}: ${source.title}${pages ? ` (${pages})` : ''}]
+${source.excerpt}
+---`;
+  }).join('\n');
+}
+
+// Number the packed passages as sources and build the "[Document n: title]" context
+// the prompt cites. options.provider/options.model select the budget profile;
+// options.maxChunks and options.maxTokens override its chunk limit and token budget.
+// Resolves to { context, sources, stats }.
+export function buildContext(matches, options = {}) {
+  const { provider, model } = resolveModelChoice(options);
+  const { maxChunks = CONTEXT_MAX_CHUNKS, maxTokens } = options;
+  const base = getContextProfile(provider, model);
+  const profile = maxTokens ? { ...base, tokens: maxTokens } : base;
+
+  const candidates = matches.slice(0, maxChunks).map((match, i) => toPassage(match, i));
+  const unique = dedupe(candidates);
+  const passages = mergeAdjacent(unique).map(passage => ({
+    ...passage,
+    text: trimPartialSentences(passage.text, { leading: passage.chunkStart > 0 })
+  }));
+
+  // Fill the budget best-first; the first passage that doesn't fit is cut to the remainder
+  const packed = [];
+  let used = 0;
+  for (const passage of passages) {
+    const remaining = profile.tokens - used;
+    const allowance = Math.min(remaining, profile.passageTokens);
+    if (allowance < MIN_PASSAGE_TOKENS) break;
+
+    const text = truncateToTokens(passage.text, allowance);
+    if (estimateTokens(text) < MIN_PASSAGE_TOKENS && text.length < passage.text.length) continue;
+    packed.push({ ...passage, text });
+    used += estimateTokens(text);
+  }
+
+  if (profile.strategy === 'document') {
+    const firstRank = new Map();
+    packed.forEach(passage => {
+      if (!firstRank.has(passage.filename)) firstRank.set(passage.filename, passage.rank);
+    });
+    packed.sort((a, b) => firstRank.get(a.filename) - firstRank.get(b.filename) || a.chunkStart - b.chunkStart);
+  }
+
+  const sources = packed.map((passage, i) => ({
+    id: i + 1,
+    title: passage.title,
+    filename: passage.filename,
+    chunkId: passage.chunkIds[0],
+    chunkIds: passage.chunkIds,
+    chunkIndex: passage.chunkStart,
+    pages: passage.pages,
+    decisionDate: passage.decisionDate,
+    private: passage.private,
+    score: passage.distance === null ? null : distanceToScore(passage.distance),
+    distance: passage.distance === null ? null : Number(passage.distance.toFixed(4)),
+    retrieval: passage.retrieval,
+    rerank: passage.rerank,
+    subQueries: passage.subQueries,
+    tokens: estimateTokens(passage.text),
+    excerpt: passage.text
+  }));
+
+  const context = formatContext(sources);
+
+  const stats = {
+    provider,
+    model,
+    strategy: profile.strategy,
+    budgetTokens: profile.tokens,
+    usedTokens: used,
+    candidates: candidates.length,
+    duplicatesRemoved: candidates.length - unique.length,
+    chunksMerged: unique.length - passages.length,
+    passages: sources.length
+  };
+  console.log(`🧩 Context: ${stats.passages} passages, ~${used}/${profile.tokens} tokens for ${provider}/${model}`);
+
+  return { context, sources, stats };
+}
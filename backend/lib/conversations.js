@@ -0,0 +1,126 @@
+// backend/lib/conversations.js - Conversation persistence and follow-up question rewriting
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { generateText } from './llm/index.js';
+
+// How many previous turns (question + answer pairs) are used to rewrite a follow-up
+const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 3;
+
+// Words that usually point back at an earlier turn ("that case", "what did it hold")
+const BACK_REFERENCE = /\b(that|this|these|those|same|it|its|they|them|their|he|she|his|her|above|previous|earlier|former|latter)\b/i;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+export function titleFromQuestion(question) {
+  return truncate(question.trim().replace(/\s+/g, ' '), 80);
+}
+
+// A conversation owned by this user, or null (also for malformed ids)
+export async function findConversation(conversationId, userId) {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+  return Conversation.findOne({ _id: conversationId, user: userId });
+}
+
+export function createConversation(userId, title) {
+  return Conversation.create({ user: userId, title });
+}
+
+// The last few turns of a conversation, oldest first
+export async function getRecentHistory(conversationId) {
+  const messages = await Message.find({ conversation: conversationId })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_TURNS * 2)
+    .lean();
+  return messages.reverse();
+}
+
+// Without a model: append the cases (or question) the previous turn was about when the
+// follow-up looks like it refers back to them
+function heuristicRewrite(question, history) {
+  const refersBack = BACK_REFERENCE.test(question) || question.trim().split(/\s+/).length < 6;
+  if (!refersBack) return question;
+
+  const lastAnswer = [...history].reverse().find(message => message.role === 'assistant');
+  const lastQuestion = [...history].reverse().find(message => message.role === 'user');
+
+  const sources = lastAnswer?.sources || [];
+  const cited = sources.filter(source => lastAnswer.citations?.includes(source.id));
+  const titles = [...new Set((cited.length > 0 ? cited : sources).map(source => source.title))].slice(0, 2);
+
+  const topic = titles.length > 0
+    ? titles.join('; ')
+    : (lastQuestion?.rewrittenQuestion || lastQuestion?.content);
+  return topic ? `${question} (regarding ${topic})` : question;
+}
+
+// Rewrite a follow-up into a standalone question using the previous turns
+export async function rewriteFollowUp(question, history, options = {}) {
+  if (history.length === 0) return question;
+
+  const transcript = history.map(message =>
+    `${message.role === 'user' ? 'User' : 'Assistant'}: ${truncate(message.content, 600)}`
+  ).join('\n');
+
+  const prompt = `Rewrite the user's follow-up question as a single standalone question for searching a database of Indian court judgments.
+Resolve references such as "that case", "the court" or "it" using the conversation, and keep case names, statutes and section numbers exactly as written.
+Reply with the rewritten question only.
+
+CONVERSATION:
+${transcript}
+
+FOLLOW-UP QUESTION: ${question}
+
+STANDALONE QUESTION:`;
+
+  try {
+    const result = await generateText(
+      { prompt, context: '', question },
+      { ...options, model: undefined, extractiveFallback: false, usageKind: 'rewrite' }
+    );
+    const rewritten = result.text.split('\n')[0].replace(/^["'\s]+|["'\s]+$/g, '').trim();
+    if (rewritten.length >= 3 && rewritten.length <= 1000) {
+      return rewritten;
+    }
+  } catch (error) {
+    console.log(`ℹ️  Question rewrite with a model failed (${error.message}), using heuristic rewrite`);
+  }
+  return heuristicRewrite(question, history);
+}
+
+// Store a question and its answer as the next two turns of the conversation, starting
+// a new conversation (titled after the question) when there is none yet
+export async function recordExchange(conversation, { userId, question, rewrittenQuestion, answer, sources, citations, provider, model, cancelled, comparison, plan }) {
+  if (!conversation) {
+    conversation = await createConversation(userId, titleFromQuestion(question));
+  }
+
+  const asked = await Message.create({
+    conversation: conversation._id,
+    user: userId,
+    role: 'user',
+    content: question,
+    rewrittenQuestion: rewrittenQuestion !== question ? rewrittenQuestion : undefined
+  });
+  const answered = await Message.create({
+    conversation: conversation._id,
+    user: userId,
+    role: 'assistant',
+    content: answer,
+    sources,
+    citations,
+    provider,
+    model,
+    cancelled: cancelled || undefined,
+    comparison,
+    plan: plan || undefined
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $inc: { messageCount: 2 }, $set: { lastMessageAt: answered.createdAt } }
+  );
+  return { conversation, asked, answered };
+}
@@ -0,0 +1,92 @@
+// backend/lib/corpusLock.js - One writer at a time for the shared corpus
+//
+// The keyword and citation index files are loaded when a corpus is opened and rewritten in
+// full when it is saved, so two writers (npm run preprocess and a server corpus job) would
+// each drop the other's files. openCorpus takes this lock first and fails while another
+// process holds it. The lock file records the holder's host and pid: a lock left behind by
+// a process on this host that has since died is taken over. It is removed on release and
+// when the holding process exits, including on Ctrl+C.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CORPUS_LOCK_PATH = process.env.CORPUS_LOCK_PATH || path.join(__dirname, '..', 'data', 'corpus.lock');
+
+let held = false;
+let exitHandlersInstalled = false;
+
+function readLock() {
+  try {
+    return JSON.parse(fs.readFileSync(CORPUS_LOCK_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    // Half-written or unreadable: treat it as left behind
+    return {};
+  }
+}
+
+// Holders on other hosts can't be checked, so their lock is trusted until removed by hand
+function isHolderAlive(lock) {
+  if (!lock.pid || !lock.host) return false;
+  if (lock.host !== os.hostname()) return true;
+  if (lock.pid === process.pid) return held;
+  try {
+    process.kill(lock.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function installExitHandlers() {
+  if (exitHandlersInstalled) return;
+  exitHandlersInstalled = true;
+  process.on('exit', releaseCorpusLock);
+  // Without a SIGINT listener Node exits without running 'exit' listeners; scripts with
+  // their own (preprocess.js) end through process.exit, which runs them
+  if (process.listenerCount('SIGINT') === 0) {
+    process.once('SIGINT', () => process.exit(130));
+  }
+}
+
+// Take the lock for holder (shown to whoever finds the corpus locked); throws if another
+// live process holds it
+export function acquireCorpusLock(holder) {
+  const lock = JSON.stringify({ holder, host: os.hostname(), pid: process.pid, since: new Date().toISOString() });
+  fs.mkdirSync(path.dirname(CORPUS_LOCK_PATH), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(CORPUS_LOCK_PATH, lock, { flag: 'wx' });
+      held = true;
+      installExitHandlers();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const existing = readLock();
+    if (existing && isHolderAlive(existing)) {
+      throw new Error(`The corpus is being updated by ${existing.holder || 'another process'} (pid ${existing.pid} on ${existing.host} since ${existing.since}); try again when it has finished`);
+    }
+    console.log(`🔓 Removing a corpus lock left by ${existing?.holder || 'an earlier run'}`);
+    fs.rmSync(CORPUS_LOCK_PATH, { force: true });
+  }
+  throw new Error('Could not take the corpus lock');
+}
+
+export function releaseCorpusLock() {
+  if (!held) return;
+  held = false;
+  try {
+    const existing = readLock();
+    if (existing?.pid === process.pid && existing.host === os.hostname()) {
+      fs.rmSync(CORPUS_LOCK_PATH, { force: true });
+    }
+  } catch (error) {
+    console.error('Failed to remove the corpus lock:', error.message);
+  }
+}
@@ -0,0 +1,144 @@
+// backend/lib/decompose.js - Query decomposition for compound questions
+//
+// One embedding of "Which 2024 cases discuss bail under NDPS and what conditions did the
+// court impose?" matches neither half well. With decompose set (see searchOptions.js), a
+// question that looks compound is split by the language model into up to
+// QUERY_MAX_SUB_QUERIES standalone sub-queries; if no model is available it is split at
+// conjunctions instead. /api/query searches for each sub-query separately, keeps an equal
+// share of the passages for each, merges them without duplicates and answers the whole
+// question from the merged evidence. Each passage records the sub-queries it was found
+// for, which the response reports as an evidence map.
+import { generateText } from './llm/index.js';
+
+export const MAX_SUB_QUERIES = Math.max(parseInt(process.env.QUERY_MAX_SUB_QUERIES, 10) || 3, 2);
+
+// Passages kept per sub-query never drop below this, however many parts there are
+const MIN_PASSAGES_PER_PART = 2;
+const MIN_SUB_QUERY_LENGTH = 8;
+const COMPOUND_WORD_COUNT = 20;
+
+const QUESTION_WORDS = '(?:what|which|how|whether|why|when|who|whom|where|did|does|do|is|are|was|were|can|could|should)';
+
+// A conjunction that starts a new question: "... and what conditions ...", "...; how ..."
+const PART_BOUNDARY = new RegExp(`\\?\\s+|;\\s*|,?\\s+(?:and|also|as well as)\\s+(?=${QUESTION_WORDS}\\b)`, 'i');
+
+const TOPIC_STOP_WORDS = new Set(['which', 'what', 'how', 'whether', 'why', 'when', 'who', 'where', 'did', 'does', 'do',
+  'is', 'are', 'was', 'were', 'the', 'a', 'an', 'of', 'in', 'on', 'for', 'to', 'under', 'discuss', 'discussed', 'cases',
+  'case', 'court', 'courts', 'judgments', 'judgment', 'any', 'there', 'that', 'by', 'hold', 'held', 'decide', 'decided']);
+
+// Cheap check before spending a model call: several question marks, a conjunction starting
+// a new question, or a long question
+export function mayBeCompound(question) {
+  return (question.match(/\?/g) || []).length > 1
+    || PART_BOUNDARY.test(question.trim().replace(/\?$/, ''))
+    || question.split(/\s+/).length >= COMPOUND_WORD_COUNT;
+}
+
+function buildPlanPrompt(question) {
+  return `You are planning searches over a collection of Indian court judgments.
+Split the question below into the separate sub-questions that each need their own search to answer it fully, at most ${MAX_SUB_QUERIES}.
+Each sub-question must make sense on its own: repeat the parties, statutes, courts and dates it depends on.
+If the question only asks one thing, reply with the question unchanged.
+Reply with one sub-question per line and nothing else.
+
+QUESTION: ${question}
+
+SUB-QUESTIONS:`;
+}
+
+// Sub-queries from a planner reply, one per line, without numbering or bullets
+export function parsePlanReply(reply) {
+  const seen = new Set();
+  return reply
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|sub-?questions?\s*\d*:)\s*/i, '').replace(/^["']|["']$/g, '').trim())
+    .filter(line => line.length >= MIN_SUB_QUERY_LENGTH && !/^sub-?questions?:?$/i.test(line))
+    .filter(line => {
+      const key = line.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SUB_QUERIES);
+}
+
+// Split at conjunctions; later parts ("what conditions did the court impose?") get the
+// content words of the first part so they still say what they are about
+export function splitCompoundQuestion(question) {
+  const parts = question.trim().split(PART_BOUNDARY).map(part => part.trim()).filter(part => part.length >= MIN_SUB_QUERY_LENGTH);
+  if (parts.length < 2) return [question.trim()];
+
+  const topic = parts[0]
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !TOPIC_STOP_WORDS.has(word.toLowerCase()))
+    .join(' ');
+  return parts.slice(0, MAX_SUB_QUERIES).map((part, i) => (i === 0 || !topic ? part : `${part.replace(/\?$/, '')} (${topic})`));
+}
+
+// Decide the sub-queries for a question. Resolves to { subQueries, planner } where planner is
+// 'llm', 'heuristic', or null when the question wasn't split (subQueries is then just the
+// question). The planning call is added to the usage meter, if given.
+export async function planQuery(question, { provider, usage } = {}) {
+  if (!mayBeCompound(question)) {
+    return { subQueries: [question], planner: null };
+  }
+
+  try {
+    const result = await generateText(
+      { prompt: buildPlanPrompt(question), context: '', question },
+      { provider, extractiveFallback: false, usage, usageKind: 'plan' }
+    );
+    const subQueries = parsePlanReply(result.text);
+    if (subQueries.length > 1) {
+      console.log(`🧭 Split into ${subQueries.length} sub-queries with ${result.provider}`);
+      return { subQueries, planner: 'llm' };
+    }
+    return { subQueries: [question], planner: null };
+  } catch (error) {
+    const subQueries = splitCompoundQuestion(question);
+    if (subQueries.length > 1) {
+      console.log(`🧭 Planner unavailable (${error.message}), split into ${subQueries.length} sub-queries at conjunctions`);
+      return { subQueries, planner: 'heuristic' };
+    }
+    return { subQueries: [question], planner: null };
+  }
+}
+
+// How many re-ranked passages to keep for each of partCount sub-queries out of k
+export function passagesPerPart(k, partCount) {
+  return Math.max(Math.ceil(k / partCount), MIN_PASSAGES_PER_PART);
+}
+
+// Merge the ranked passages of each sub-query, taking them in turn so every part is
+// represented before the context fills up. A passage found for several sub-queries appears
+// once, at its best position, with subQueries listing every part (1-based) it was found for.
+export function mergeEvidence(rankedLists) {
+  const merged = new Map();
+  const longest = Math.max(0, ...rankedLists.map(list => list.length));
+  for (let rank = 0; rank < longest; rank++) {
+    rankedLists.forEach((list, part) => {
+      const match = list[rank];
+      if (!match) return;
+      const existing = merged.get(match.id);
+      if (existing) {
+        existing.subQueries.push(part + 1);
+      } else {
+        merged.set(match.id, { ...match, subQueries: [part + 1] });
+      }
+    });
+  }
+  return [...merged.values()].map(match => ({ ...match, subQueries: match.subQueries.sort((a, b) => a - b) }));
+}
+
+// The evidence map of an answer: each sub-query with the ids of the sources found for it
+export function describePlan({ subQueries, planner }, sources) {
+  return {
+    planner,
+    subQueries: subQueries.map((query, i) => ({
+      id: i + 1,
+      query,
+      sources: sources.filter(source => source.subQueries?.includes(i + 1)).map(source => source.id)
+    }))
+  };
+}
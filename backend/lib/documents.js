@@ -0,0 +1,110 @@
+// backend/lib/documents.js - Browsing and reading the judgments in the shared corpus
+//
+// The list comes from the case catalog (see filters.js). Reading a judgment re-extracts its
+// PDF from PDF_DIR, so the text and page breaks are exactly what ingestion chunked, and
+// locates every stored chunk in it so the reader can highlight the passages an answer cited.
+import fs from 'fs';
+import path from 'path';
+import { getCaseCatalog, matchesFilters } from './filters.js';
+import { PDF_DIR, isCorpusFileName } from './ingest.js';
+import { extractPdfText, chunkOffsets } from './pdf.js';
+import { filesWithHeadnotes } from './headnotes.js';
+
+export const SORT_ORDERS = ['newest', 'oldest', 'title'];
+export const MAX_PAGE_SIZE = 100;
+
+// Extracted judgments kept in memory, most recently read last
+const TEXT_CACHE_SIZE = parseInt(process.env.DOCUMENT_TEXT_CACHE, 10) || 20;
+const textCache = new Map();
+
+const includesText = (value, needle) => Boolean(value) && value.toLowerCase().includes(needle);
+
+const SORTERS = {
+  newest: (a, b) => (b.decisionDate || '').localeCompare(a.decisionDate || '') || a.title.localeCompare(b.title),
+  oldest: (a, b) => (a.decisionDate || '9999').localeCompare(b.decisionDate || '9999') || a.title.localeCompare(b.title),
+  title: (a, b) => a.title.localeCompare(b.title)
+};
+
+// One page of the catalog matching the filters (see parseFilters) and a free-text search over
+// titles, parties and file names. hasHeadnote says whether a headnote has been generated.
+export async function listDocuments(collection, { filters = {}, search = '', sort = 'newest', page = 1, pageSize = 20 } = {}) {
+  const catalog = await getCaseCatalog(collection);
+  const needle = search.trim().toLowerCase();
+  const matching = catalog
+    .filter(document => matchesFilters(document, filters))
+    .filter(document => !needle || [document.title, document.filename, document.petitioner, document.respondent]
+      .some(value => includesText(value, needle)))
+    .sort(SORTERS[sort]);
+
+  const pageDocuments = matching.slice((page - 1) * pageSize, page * pageSize);
+  const withHeadnotes = await filesWithHeadnotes(pageDocuments.map(document => document.filename));
+  return {
+    documents: pageDocuments.map(document => ({ id: document.filename, ...document, hasHeadnote: withHeadnotes.has(document.filename) })),
+    total: matching.length,
+    page,
+    pageSize,
+    totalPages: Math.max(Math.ceil(matching.length / pageSize), 1)
+  };
+}
+
+// Catalog entry for a file name, or null when it isn't an ingested judgment
+export async function findDocument(collection, filename) {
+  if (!isCorpusFileName(filename)) return null;
+  const catalog = await getCaseCatalog(collection);
+  return catalog.find(document => document.filename === filename) || null;
+}
+
+// Absolute path of a judgment's PDF, or null when the file is gone
+export function documentPdfPath(filename) {
+  const filePath = path.join(PDF_DIR, filename);
+  return isCorpusFileName(filename) && fs.existsSync(filePath) ? filePath : null;
+}
+
+async function extractCached(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = textCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    textCache.delete(filePath);
+    textCache.set(filePath, cached);
+    return cached.extracted;
+  }
+
+  const extracted = await extractPdfText(fs.readFileSync(filePath));
+  textCache.set(filePath, { mtimeMs, extracted });
+  if (textCache.size > TEXT_CACHE_SIZE) {
+    textCache.delete(textCache.keys().next().value);
+  }
+  return extracted;
+}
+
+// Full text of a judgment by page, with the character range of each stored chunk:
+//   { numPages, pages: [{ number, start, text }], chunks: [{ id, index, start, end, pageStart, pageEnd }] }
+// Offsets are into the whole text (pages[n].start is where page n begins). Returns null when
+// the PDF is no longer in PDF_DIR.
+export async function readDocumentText(collection, filename) {
+  const filePath = documentPdfPath(filename);
+  if (!filePath) return null;
+
+  const [{ text, numPages, pages, pageOffsets }, stored] = await Promise.all([
+    extractCached(filePath),
+    collection.get({ where: { filename }, include: ['documents', 'metadatas'] })
+  ]);
+
+  const chunks = stored.ids
+    .map((id, i) => ({ id, content: stored.documents[i] || '', metadata: stored.metadatas[i] || {} }))
+    .sort((a, b) => (a.metadata.chunk_index ?? 0) - (b.metadata.chunk_index ?? 0));
+  const ranges = chunkOffsets(text, chunks.map(chunk => chunk.content));
+
+  return {
+    numPages,
+    pages: pages.map((pageText, i) => ({ number: i + 1, start: pageOffsets[i], text: pageText })),
+    chunks: chunks.map((chunk, i) => ({
+      id: chunk.id,
+      index: chunk.metadata.chunk_index ?? i,
+      start: ranges[i]?.start ?? null,
+      end: ranges[i]?.end ?? null,
+      pageStart: chunk.metadata.page_start ?? null,
+      pageEnd: chunk.metadata.page_end ?? null
+    }))
+  };
+}
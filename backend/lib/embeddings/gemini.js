@@ -0,0 +1,34 @@
+// backend/lib/embeddings/gemini.js - Google Gemini embedding provider
+import axios from 'axios';
+
+export function createGeminiEmbedder({ model = 'embedding-001', timeout = 30000 } = {}) {
+  return {
+    name: 'gemini',
+    model,
+    // embedding-001 and text-embedding-004 both return 768-dimensional vectors
+    dimension: 768,
+
+    async embed(text) {
+      const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+      if (!GEMINI_API_KEY || GEMINI_API_KEY.includes('your-actual-gemini-api-key-here')) {
+        throw new Error('Valid GEMINI_API_KEY is required');
+      }
+
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:embedContent?key=${GEMINI_API_KEY}`,
+        {
+          model: `models/${model}`,
+          content: {
+            parts: [{ text: text }]
+          }
+        },
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout
+        }
+      );
+
+      return response.data.embedding.values;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// backend/lib/embeddings/index.js - Embedding provider selection shared by the server and ingestion
+//
+// EMBEDDING_PROVIDER picks the backend:
+//   gemini  - Google Gemini (default, needs GEMINI_API_KEY; EMBEDDING_MODEL defaults to embedding-001)
+//   openai  - any OpenAI-compatible /embeddings endpoint (EMBEDDING_API_BASE, EMBEDDING_MODEL, EMBEDDING_API_KEY)
+//   local   - offline hashed n-gram vectorizer (EMBEDDING_DIMENSION, default 1024)
+//
+// The provider name, model and dimension are recorded on the Chroma collection so a
+// collection is never queried with vectors from a different embedder.
+import { createGeminiEmbedder } from './gemini.js';
+import { createOpenAIEmbedder } from './openai.js';
+import { createLocalEmbedder } from './local.js';
+import { hashKey, normalizeQuestion, readCache, writeCache } from '../cache/index.js';
+
+const MAX_RETRIES = 3;
+
+// Collections created before embedding metadata existed were always built with Gemini embedding-001
+const LEGACY_SIGNATURE = { provider: 'gemini', model: 'embedding-001', dimension: 768 };
+
+let provider;
+const pendingQueries = new Map();
+
+// Sleep utility for rate limiting and backoff
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createProvider() {
+  const name = (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase();
+  const dimension = parseInt(process.env.EMBEDDING_DIMENSION, 10) || undefined;
+  const timeout = parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || 30000;
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiEmbedder({ model: process.env.EMBEDDING_MODEL || 'embedding-001', timeout });
+    case 'openai':
+      return createOpenAIEmbedder({
+        baseUrl: process.env.EMBEDDING_API_BASE,
+        apiKey: process.env.EMBEDDING_API_KEY,
+        model: process.env.EMBEDDING_MODEL,
+        dimension,
+        timeout
+      });
+    case 'local':
+      return createLocalEmbedder({ dimension });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected gemini, openai or local)`);
+  }
+}
+
+// The configured provider (created lazily so dotenv has loaded first)
+export function getEmbeddingProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+// Generate an embedding with the configured provider, retrying transient failures
+export async function generateEmbedding(text, retries = 0) {
+  const embedder = getEmbeddingProvider();
+
+  try {
+    return await embedder.embed(text);
+  } catch (error) {
+    // Client errors (bad key, bad request) won't get better by retrying
+    const status = error.response?.status;
+    if (retries < MAX_RETRIES && (!status || status === 429 || status >= 500) && embedder.name !== 'local') {
+      console.log(`   ⚠️ Embedding retry ${retries + 1}/${MAX_RETRIES} for text: ${text.substring(0, 50)}...`);
+      await sleep(1000 * 2 ** retries); // Exponential backoff
+      return generateEmbedding(text, retries + 1);
+    }
+    console.error(`❌ Embedding generation failed (${embedder.name}):`, error.message);
+    throw error;
+  }
+}
+
+// Embed a search question, reusing a cached vector for the same embedder and (normalized)
+// question. Concurrent searches for the same question (the corpus and the user's uploads)
+// share one request. Resolves to { embedding, cached }.
+export async function generateQueryEmbedding(question) {
+  const embedder = getEmbeddingProvider();
+  const key = hashKey(embedder.name, embedder.model, normalizeQuestion(question));
+  if (pendingQueries.has(key)) {
+    const { embedding } = await pendingQueries.get(key);
+    return { embedding, cached: true };
+  }
+
+  const lookup = (async () => {
+    const hit = await readCache('embedding', key);
+    if (hit) return { embedding: hit, cached: true };
+    const embedding = await generateEmbedding(question);
+    await writeCache('embedding', key, embedding);
+    return { embedding, cached: false };
+  })();
+  pendingQueries.set(key, lookup);
+  try {
+    return await lookup;
+  } finally {
+    pendingQueries.delete(key);
+  }
+}
+
+// Provider signature stored in collection metadata; probes the endpoint if the dimension is unknown
+export async function getEmbeddingSignature() {
+  const embedder = getEmbeddingProvider();
+  if (!embedder.dimension) {
+    await generateEmbedding('dimension probe');
+  }
+  return {
+    embedding_provider: embedder.name,
+    embedding_model: embedder.model,
+    embedding_dimension: embedder.dimension
+  };
+}
+
+// Compare a collection's recorded embedder with the configured one; returns an error message or null
+export function checkEmbeddingSignature(collectionMetadata, signature) {
+  const stored = collectionMetadata?.embedding_provider
+    ? {
+      provider: collectionMetadata.embedding_provider,
+      model: collectionMetadata.embedding_model,
+      dimension: collectionMetadata.embedding_dimension
+    }
+    : LEGACY_SIGNATURE;
+
+  const mismatches = [];
+  if (stored.provider !== signature.embedding_provider) mismatches.push(`provider ${stored.provider} ≠ ${signature.embedding_provider}`);
+  if (stored.model !== signature.embedding_model) mismatches.push(`model ${stored.model} ≠ ${signature.embedding_model}`);
+  if (stored.dimension !== signature.embedding_dimension) mismatches.push(`dimension ${stored.dimension} ≠ ${signature.embedding_dimension}`);
+
+  return mismatches.length > 0
+    ? `Collection was built with a different embedder (${mismatches.join(', ')}). Re-run ingestion with --reset or change EMBEDDING_PROVIDER.`
+    : null;
+}
@@ -0,0 +1,76 @@
+// backend/lib/embeddings/local.js - Fully offline hashed n-gram embedder
+//
+// Text is split into word unigrams, word bigrams and character trigrams. Each feature
+// is hashed into a fixed number of buckets (the "hashing trick") with a sign bit to
+// cancel out collisions, weighted by sublinear term frequency, and the vector is
+// L2-normalised. No model files or network access are needed, and the same text
+// always produces the same vector, which makes it suitable for development and tests.
+
+export const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which',
+  'with', 'what', 'who', 'whom', 'did', 'does', 'do'
+]);
+
+// Relative weight of each feature family
+const WEIGHTS = { word: 1.0, bigram: 0.6, char: 0.25 };
+
+// 32-bit FNV-1a hash
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function extractFeatures(text) {
+  const features = new Map();
+  const add = (key, weight) => features.set(key, (features.get(key) || 0) + weight);
+
+  const words = tokenize(text);
+  words.forEach((word, i) => {
+    add(`w:${word}`, 1);
+    if (i > 0) {
+      add(`b:${words[i - 1]}_${word}`, 1);
+    }
+    const padded = `#${word}#`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 1);
+    }
+  });
+
+  return features;
+}
+
+export function createLocalEmbedder({ dimension = 1024 } = {}) {
+  return {
+    name: 'local',
+    model: 'hashed-ngram-v1',
+    dimension,
+
+    async embed(text) {
+      const vector = new Array(dimension).fill(0);
+
+      for (const [feature, count] of extractFeatures(text)) {
+        const family = feature[0] === 'w' ? 'word' : feature[0] === 'b' ? 'bigram' : 'char';
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % dimension] += sign * WEIGHTS[family] * (1 + Math.log(count));
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+  };
+}
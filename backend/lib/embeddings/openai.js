@@ -0,0 +1,39 @@
+// backend/lib/embeddings/openai.js - Any OpenAI-compatible /embeddings endpoint
+// (OpenAI, Azure-style proxies, Ollama's /v1, llama.cpp server, vLLM, text-embeddings-inference)
+import axios from 'axios';
+
+export function createOpenAIEmbedder({ baseUrl, apiKey, model, dimension = null, timeout = 30000 } = {}) {
+  if (!baseUrl) {
+    throw new Error('EMBEDDING_API_BASE is required for the openai embedding provider');
+  }
+  if (!model) {
+    throw new Error('EMBEDDING_MODEL is required for the openai embedding provider');
+  }
+
+  return {
+    name: 'openai',
+    model,
+    // Unknown until configured or the first embedding comes back
+    dimension,
+
+    async embed(text) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/embeddings`,
+        { model, input: text },
+        { headers, timeout }
+      );
+
+      const values = response.data?.data?.[0]?.embedding;
+      if (!Array.isArray(values)) {
+        throw new Error('Invalid response format from embedding endpoint');
+      }
+      this.dimension = values.length;
+      return values;
+    }
+  };
+}
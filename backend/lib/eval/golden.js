@@ -0,0 +1,100 @@
+// backend/lib/eval/golden.js - Loading golden sets for the evaluation harness
+//
+// A golden set is a JSON array (or JSON Lines, one item per line) of:
+//   {
+//     "id": "bail-ndps",                       // optional, defaults to the position
+//     "question": "Bail conditions under NDPS?",
+//     "expected": {
+//       "cases": ["Some_vs_Other_on_1_May_2024_1.PDF"],   // file names or titles
+//       "passages": ["text the answer should be grounded in"]
+//     },
+//     "filters": { "dateFrom": "2024-01-01" },  // optional, as accepted by /api/query
+//     "mode": "hybrid"                          // optional retrieval mode
+//   }
+// At least one expected case or passage is required. See eval/golden.example.json.
+import fs from 'fs';
+import { parseFilters } from '../filters.js';
+import { RETRIEVAL_MODES } from '../rag.js';
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+function validateItem(item, position) {
+  const where = `item ${position + 1}${item?.id ? ` (${item.id})` : ''}`;
+  if (!item || typeof item !== 'object') {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (typeof item.question !== 'string' || item.question.trim().length < 3) {
+    throw new Error(`${where}: question must be at least 3 characters`);
+  }
+
+  const { cases = [], passages = [] } = item.expected || {};
+  if (!isStringList(cases) || !isStringList(passages)) {
+    throw new Error(`${where}: expected.cases and expected.passages must be lists of strings`);
+  }
+  if (cases.length + passages.length === 0) {
+    throw new Error(`${where}: needs at least one expected case or passage`);
+  }
+
+  const { filters, error } = parseFilters(item.filters);
+  if (error) {
+    throw new Error(`${where}: ${error}`);
+  }
+  if (item.mode !== undefined && !RETRIEVAL_MODES.includes(item.mode)) {
+    throw new Error(`${where}: mode must be one of ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  return {
+    id: String(item.id ?? position + 1),
+    question: item.question.trim(),
+    expected: { cases, passages },
+    filters,
+    mode: item.mode
+  };
+}
+
+// A golden set item as it is written to a file, or an error when it doesn't validate (used to
+// export reviewed answer feedback, see routes/admin.js)
+export function toGoldenItem(item) {
+  try {
+    const { id, question, expected, filters, mode } = validateItem(item, 0);
+    return {
+      item: {
+        id,
+        question,
+        expected,
+        ...(Object.keys(filters).length > 0 ? { filters } : {}),
+        ...(mode ? { mode } : {})
+      }
+    };
+  } catch (error) {
+    return { error: error.message.replace(/^item 1( \([^)]*\))?: /, '') };
+  }
+}
+
+export function loadGoldenSet(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let items;
+  if (/\.jsonl$/i.test(filePath)) {
+    items = raw.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${i + 1}: ${error.message}`);
+      }
+    });
+  } else {
+    const parsed = JSON.parse(raw);
+    items = Array.isArray(parsed) ? parsed : parsed.items;
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Golden set must be a non-empty list of items');
+  }
+
+  const golden = items.map(validateItem);
+  const seen = new Set();
+  for (const item of golden) {
+    if (seen.has(item.id)) throw new Error(`Duplicate item id "${item.id}"`);
+    seen.add(item.id);
+  }
+  return golden;
+}
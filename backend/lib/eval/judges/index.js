@@ -0,0 +1,23 @@
+// backend/lib/eval/judges/index.js - Answer faithfulness judges for the evaluation harness
+//
+// EVAL_JUDGE (or --judge) picks how claims in an answer are checked against its sources:
+//   lexical  - term overlap with the cited sources (default; offline and deterministic)
+//   llm      - the configured language model grades each claim (EVAL_JUDGE_PROVIDER)
+//
+// A judge exposes judge({ question, answer, claims, sources }) resolving to one
+// { supported, score } per claim (see metrics.splitClaims).
+import { createLexicalJudge } from './lexical.js';
+import { createLlmJudge } from './llm.js';
+
+export const JUDGE_NAMES = ['lexical', 'llm'];
+
+export function createJudge(name = process.env.EVAL_JUDGE || 'lexical') {
+  switch (name.toLowerCase()) {
+    case 'lexical':
+      return createLexicalJudge({ threshold: parseFloat(process.env.LEXICAL_SUPPORT_THRESHOLD) || 0.6 });
+    case 'llm':
+      return createLlmJudge({ provider: process.env.EVAL_JUDGE_PROVIDER || undefined });
+    default:
+      throw new Error(`Unknown judge "${name}" (expected ${JUDGE_NAMES.join(' or ')})`);
+  }
+}
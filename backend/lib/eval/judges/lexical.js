@@ -0,0 +1,27 @@
+// backend/lib/eval/judges/lexical.js - Deterministic faithfulness judge for offline runs
+//
+// A claim counts as supported when enough of its terms (LEXICAL_SUPPORT_THRESHOLD, default
+// 0.6) appear in one of the sources it cites, or in any source when it cites none. Crude,
+// but repeatable and free, so runs can be compared without a model in the loop.
+import { tokenizeForSearch } from '../../bm25.js';
+
+export function createLexicalJudge({ threshold = 0.6 } = {}) {
+  return {
+    name: 'lexical',
+
+    async judge({ claims, sources }) {
+      const sourceTerms = new Map(sources.map(source => [source.id, new Set(tokenizeForSearch(source.excerpt || ''))]));
+
+      return claims.map(claim => {
+        const terms = [...new Set(tokenizeForSearch(claim.text.replace(/\[\d+\]/g, '')))];
+        const candidates = claim.citations.filter(n => sourceTerms.has(n));
+        const against = candidates.length > 0 ? candidates : [...sourceTerms.keys()];
+        const support = terms.length === 0 ? 0 : Math.max(0, ...against.map(id => {
+          const present = sourceTerms.get(id);
+          return terms.filter(term => present.has(term)).length / terms.length;
+        }));
+        return { supported: support >= threshold, score: Number(support.toFixed(3)) };
+      });
+    }
+  };
+}
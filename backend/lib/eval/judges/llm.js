@@ -0,0 +1,55 @@
+// backend/lib/eval/judges/llm.js - Faithfulness judge backed by the configured language model
+//
+// Sends the sources and the numbered claims in one prompt and asks whether each claim is
+// supported by them. Needs a real model: the extractive fallback can't judge.
+import { generateText } from '../../llm/index.js';
+
+const SOURCE_CHARS = 1500;
+
+function buildJudgePrompt(claims, sources) {
+  const context = sources.map(source => {
+    const text = source.excerpt.length > SOURCE_CHARS ? `${source.excerpt.substring(0, SOURCE_CHARS)}...` : source.excerpt;
+    return `[${source.id}] ${text.replace(/\s+/g, ' ')}`;
+  }).join('\n\n');
+  const numbered = claims.map((claim, i) => `${i + 1}. ${claim.text}`).join('\n');
+
+  return `You are checking whether statements in an answer are supported by excerpts from Indian court judgments.
+For every statement decide if the excerpts state or directly imply it. Citations in square brackets refer to the excerpt numbers.
+Reply with one line per statement in the form "n: SUPPORTED" or "n: UNSUPPORTED" and nothing else.
+
+EXCERPTS:
+${context}
+
+STATEMENTS:
+${numbered}
+
+VERDICTS:`;
+}
+
+export function createLlmJudge({ provider } = {}) {
+  return {
+    name: 'llm',
+
+    async judge({ claims, sources }) {
+      if (claims.length === 0) return [];
+      const result = await generateText(
+        { prompt: buildJudgePrompt(claims, sources), context: '', question: '' },
+        { provider, extractiveFallback: false }
+      );
+      this.name = `llm:${result.provider}/${result.model}`;
+
+      const verdicts = new Array(claims.length).fill(null);
+      for (const [, n, verdict] of result.text.matchAll(/(\d+)\s*[:.)-]\s*(UNSUPPORTED|SUPPORTED)/gi)) {
+        const index = Number(n) - 1;
+        if (index >= 0 && index < claims.length) {
+          verdicts[index] = verdict.toUpperCase() === 'SUPPORTED';
+        }
+      }
+      if (verdicts.every(verdict => verdict === null)) {
+        throw new Error('Judge reply contained no verdicts');
+      }
+      // Statements the judge skipped count as unsupported
+      return verdicts.map(supported => ({ supported: supported === true, score: supported ? 1 : 0 }));
+    }
+  };
+}
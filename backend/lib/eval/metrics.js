@@ -0,0 +1,95 @@
+// backend/lib/eval/metrics.js - Retrieval and answer metrics for the evaluation harness
+//
+// A golden item expects cases (judgment file names or titles) and/or passages (text that
+// should be retrieved). Each retrieved chunk gets a relevance grade: 2 when it contains an
+// expected passage, 1 when it only comes from an expected case, 0 otherwise.
+//   recall@k  - share of the expected cases and passages found in the top k chunks
+//   MRR       - 1 / rank of the first relevant chunk (0 when none is retrieved)
+//   nDCG@k    - graded DCG of the top k over the DCG of an ideal ranking (every expected
+//               passage first, then one chunk per expected case)
+import { tokenizeForSearch } from '../bm25.js';
+
+// Share of a passage's terms a chunk must contain when it doesn't contain it verbatim
+// (passages copied from the PDF often differ from the extracted text in spacing or hyphens)
+const PASSAGE_MATCH = 0.8;
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const normalizeCase = (name) => normalizeText(String(name || '').replace(/\.pdf$/i, ''));
+
+export function matchesCase(chunk, cases) {
+  const filename = normalizeCase(chunk.metadata?.filename || chunk.metadata?.source);
+  const title = normalizeCase(chunk.metadata?.title);
+  return cases.some(name => {
+    const expected = normalizeCase(name);
+    return expected && (expected === filename || expected === title);
+  });
+}
+
+export function matchesPassage(chunk, passage) {
+  const text = normalizeText(chunk.document);
+  if (text.includes(normalizeText(passage))) return true;
+  const terms = [...new Set(tokenizeForSearch(passage))];
+  if (terms.length === 0) return false;
+  const chunkTerms = new Set(tokenizeForSearch(chunk.document || ''));
+  return terms.filter(term => chunkTerms.has(term)).length / terms.length >= PASSAGE_MATCH;
+}
+
+// Relevance grade of each ranked chunk for the item's expectations
+export function gradeChunks(chunks, { cases = [], passages = [] }) {
+  return chunks.map(chunk => {
+    if (passages.some(passage => matchesPassage(chunk, passage))) return 2;
+    return matchesCase(chunk, cases) ? 1 : 0;
+  });
+}
+
+export function recallAtK(chunks, { cases = [], passages = [] }, k) {
+  const top = chunks.slice(0, k);
+  const targets = cases.length + passages.length;
+  if (targets === 0) return null;
+  const foundCases = cases.filter(name => top.some(chunk => matchesCase(chunk, [name]))).length;
+  const foundPassages = passages.filter(passage => top.some(chunk => matchesPassage(chunk, passage))).length;
+  return (foundCases + foundPassages) / targets;
+}
+
+export function reciprocalRank(grades) {
+  const first = grades.findIndex(grade => grade > 0);
+  return first === -1 ? 0 : 1 / (first + 1);
+}
+
+function dcg(grades) {
+  return grades.reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+}
+
+export function ndcgAtK(grades, { cases = [], passages = [] }, k) {
+  const ideal = [...passages.map(() => 2), ...cases.map(() => 1)].slice(0, k);
+  const idealDcg = dcg(ideal);
+  return idealDcg > 0 ? Math.min(dcg(grades.slice(0, k)) / idealDcg, 1) : null;
+}
+
+// Sentences of an answer that make a claim, with the [n] sources they cite. Headings, list
+// labels and very short fragments are left out.
+export function splitClaims(answer) {
+  return answer
+    .replace(/\*\*/g, '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/^[\s\-*•\d.)]+/, '').trim())
+    .filter(sentence => sentence.replace(/\[\d+\]/g, '').trim().length >= 20 && !sentence.endsWith(':'))
+    .map(text => ({
+      text,
+      citations: [...new Set([...text.matchAll(/\[(\d+)\]/g)].map(([, n]) => Number(n)))]
+    }));
+}
+
+// Share of claims citing at least one real source, and the cited numbers that don't exist
+export function citationCoverage(claims, sources) {
+  const valid = new Set(sources.map(source => source.id));
+  const cited = claims.filter(claim => claim.citations.some(n => valid.has(n))).length;
+  const invalid = [...new Set(claims.flatMap(claim => claim.citations.filter(n => !valid.has(n))))];
+  return { coverage: claims.length > 0 ? cited / claims.length : null, invalidCitations: invalid };
+}
+
+// Mean of the non-null values, or null when there are none
+export function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
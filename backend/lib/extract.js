@@ -0,0 +1,42 @@
+// backend/lib/extract.js - Plain text from uploaded PDF, DOCX and TXT files
+import path from 'path';
+import mammoth from 'mammoth';
+import { extractPdfText } from './pdf.js';
+
+// Upload types by extension, with the MIME types browsers send for them
+export const FILE_TYPES = {
+  pdf: { extension: '.pdf', mimeTypes: ['application/pdf'] },
+  docx: {
+    extension: '.docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  txt: { extension: '.txt', mimeTypes: ['text/plain'] }
+};
+
+// 'pdf' | 'docx' | 'txt', or null for anything else
+export function detectFileType(fileName, mimeType) {
+  const extension = path.extname(fileName).toLowerCase();
+  const match = Object.entries(FILE_TYPES).find(([, type]) => type.extension === extension);
+  if (!match) return null;
+  // Browsers report unknown types as application/octet-stream; trust the extension then
+  const [name, type] = match;
+  return !mimeType || mimeType === 'application/octet-stream' || type.mimeTypes.includes(mimeType) ? name : null;
+}
+
+// Resolves to { text, pageOffsets } (pageOffsets is empty when the format has no pages)
+export async function extractDocumentText(buffer, fileType) {
+  switch (fileType) {
+    case 'pdf': {
+      const { text, pageOffsets } = await extractPdfText(buffer);
+      return { text, pageOffsets };
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { text: value || '', pageOffsets: [] };
+    }
+    case 'txt':
+      return { text: buffer.toString('utf8').replace(/^\uFEFF/, ''), pageOffsets: [] };
+    default:
+      throw new Error(`Unsupported file type "${fileType}"`);
+  }
+}
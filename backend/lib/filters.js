@@ -0,0 +1,170 @@
+// backend/lib/filters.js - Search filters for /api/query (date range, parties, State as a party,
+// category, court, bench, statute) translated into ChromaDB where clauses
+import { CASE_CATEGORIES, dateToNumber } from './caseMetadata.js';
+
+// How long the per-document catalog used for substring filters is reused
+const CATALOG_TTL_MS = parseInt(process.env.CATALOG_TTL_MS, 10) || 5 * 60 * 1000;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TEXT_FILTERS = ['party', 'court', 'bench', 'statute'];
+const FILTER_KEYS = ['dateFrom', 'dateTo', 'stateParty', 'category', ...TEXT_FILTERS];
+const MAX_TEXT_LENGTH = 200;
+
+let catalogCache = null;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function validDate(value) {
+  return DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Validate the filters object of a query request; returns { filters } or { error }
+export function parseFilters(raw) {
+  if (isBlank(raw)) return { filters: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const unknown = Object.keys(raw).find(key => !FILTER_KEYS.includes(key));
+  if (unknown) {
+    return { error: `Unknown filter "${unknown}"` };
+  }
+
+  const filters = {};
+  for (const key of ['dateFrom', 'dateTo']) {
+    if (isBlank(raw[key])) continue;
+    if (typeof raw[key] !== 'string' || !validDate(raw[key])) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` };
+    }
+    filters[key] = raw[key];
+  }
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    return { error: 'dateFrom must not be after dateTo' };
+  }
+
+  if (!isBlank(raw.stateParty)) {
+    if (typeof raw.stateParty !== 'boolean') {
+      return { error: 'stateParty must be true or false' };
+    }
+    filters.stateParty = raw.stateParty;
+  }
+
+  if (!isBlank(raw.category)) {
+    if (!CASE_CATEGORIES.includes(raw.category)) {
+      return { error: `category must be one of: ${CASE_CATEGORIES.join(', ')}` };
+    }
+    filters.category = raw.category;
+  }
+
+  for (const key of TEXT_FILTERS) {
+    if (isBlank(raw[key])) continue;
+    if (typeof raw[key] !== 'string' || raw[key].trim().length > MAX_TEXT_LENGTH) {
+      return { error: `${key} must be text of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    if (raw[key].trim()) {
+      filters[key] = raw[key].trim();
+    }
+  }
+
+  return { filters };
+}
+
+// One entry per ingested judgment, read from the metadata of each document's first chunk
+export async function getCaseCatalog(collection, { refresh = false } = {}) {
+  const fresh = catalogCache
+    && catalogCache.collection === collection
+    && Date.now() - catalogCache.loadedAt < CATALOG_TTL_MS;
+  if (fresh && !refresh) {
+    return catalogCache.documents;
+  }
+
+  const result = await collection.get({ where: { chunk_index: 0 }, include: ['metadatas'] });
+  const documents = result.metadatas.filter(Boolean).map(metadata => ({
+    filename: metadata.filename,
+    title: metadata.title || metadata.filename,
+    petitioner: metadata.petitioner || null,
+    respondent: metadata.respondent || null,
+    decisionDate: metadata.decision_date || null,
+    court: metadata.court || null,
+    bench: metadata.bench || null,
+    statutes: metadata.statutes ? metadata.statutes.split('; ') : [],
+    category: metadata.case_category || null,
+    stateParty: metadata.state_party ?? null,
+    totalChunks: metadata.total_chunks || null
+  }));
+
+  catalogCache = { collection, loadedAt: Date.now(), documents };
+  return documents;
+}
+
+function includesText(value, needle) {
+  return Boolean(value) && value.toLowerCase().includes(needle.toLowerCase());
+}
+
+// Whether one catalog entry passes every filter
+export function matchesFilters(document, filters) {
+  const date = document.decisionDate;
+  if (filters.dateFrom && (!date || date < filters.dateFrom)) return false;
+  if (filters.dateTo && (!date || date > filters.dateTo)) return false;
+  if (filters.stateParty !== undefined && document.stateParty !== filters.stateParty) return false;
+  if (filters.category && document.category !== filters.category) return false;
+  if (filters.party && !includesText(document.petitioner, filters.party) && !includesText(document.respondent, filters.party)) return false;
+  if (filters.court && !includesText(document.court, filters.court)) return false;
+  if (filters.bench && !includesText(document.bench, filters.bench)) return false;
+  if (filters.statute && !document.statutes.some(statute => includesText(statute, filters.statute))) return false;
+  return true;
+}
+
+// Translate filters into a Chroma where clause. Date, category and State filters map directly
+// onto chunk metadata; Chroma has no substring operator for metadata, so party, court, bench
+// and statute are resolved against the catalog into a list of file names.
+// Also returns the matching file names, which the keyword index filters on.
+// Returns { where: null, documentCount: null } when no filter is set, and a documentCount of 0
+// when the filters rule out every document.
+export async function resolveFilters(collection, filters) {
+  if (Object.keys(filters).length === 0) {
+    return { where: null, documentCount: null, filenames: null };
+  }
+
+  const catalog = await getCaseCatalog(collection);
+  const matching = catalog.filter(document => matchesFilters(document, filters));
+  if (matching.length === 0) {
+    return { where: null, documentCount: 0, filenames: [] };
+  }
+
+  const clauses = [];
+  if (filters.dateFrom) clauses.push({ decision_date_num: { $gte: dateToNumber(filters.dateFrom) } });
+  if (filters.dateTo) clauses.push({ decision_date_num: { $lte: dateToNumber(filters.dateTo) } });
+  if (filters.stateParty !== undefined) clauses.push({ state_party: { $eq: filters.stateParty } });
+  if (filters.category) clauses.push({ case_category: { $eq: filters.category } });
+  const filenames = matching.map(document => document.filename);
+  if (TEXT_FILTERS.some(key => filters[key])) {
+    clauses.push({ filename: { $in: filenames } });
+  }
+
+  const where = clauses.length === 1 ? clauses[0] : { $and: clauses };
+  return { where, documentCount: matching.length, filenames };
+}
+
+// Values to offer in the filter controls
+export async function describeFilterOptions(collection) {
+  const catalog = await getCaseCatalog(collection);
+  const dates = catalog.map(document => document.decisionDate).filter(Boolean).sort();
+  const count = (values) => {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+      .map(([value, documents]) => ({ value, documents }))
+      .sort((a, b) => b.documents - a.documents);
+  };
+
+  return {
+    documents: catalog.length,
+    withMetadata: catalog.filter(document => document.decisionDate).length,
+    dateRange: dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null,
+    categories: count(catalog.map(document => document.category)),
+    courts: count(catalog.map(document => document.court))
+  };
+}
@@ -0,0 +1,275 @@
+// backend/lib/headnotes.js - Generated headnotes (structured case summaries) per judgment
+//
+// A headnote job (see jobs/handlers.js) sends each judgment's text to the language model
+// and stores the parties, court and bench, decision date, issues framed, statutes and
+// precedents cited, holding and final order in MongoDB. Corpus ingest jobs queue one for the
+// files they added (HEADNOTES_AUTO=false turns that off). Headnotes are regenerated only when
+// the PDF or HEADNOTE_VERSION changes.
+//
+// Questions asking for the summary of one judgment ("summarize the Arvind Kejriwal vs CBI
+// bail judgment") are answered from its headnote instead of retrieved chunks.
+import fs from 'fs';
+import path from 'path';
+import Headnote from '../models/Headnote.js';
+import { PDF_DIR } from './ingest.js';
+import { extractPdfText, hashContent, titleFromFileName } from './pdf.js';
+import { extractCaseMetadata, parseFileName } from './caseMetadata.js';
+import { cleanPassage, estimateTokens } from './context.js';
+import { generateText } from './llm/index.js';
+import { permanentError } from './jobs/errors.js';
+
+// Bump when the prompt or fields change so existing headnotes are regenerated
+export const HEADNOTE_VERSION = 1;
+
+const MAX_INPUT_TOKENS = parseInt(process.env.HEADNOTE_MAX_INPUT_TOKENS, 10) || 12000;
+const MAX_LIST_ITEMS = 12;
+const MAX_FIELD_CHARS = 2000;
+
+// Words that say what kind of document is wanted rather than which one
+const GENERIC_WORDS = new Set(['the', 'a', 'an', 'of', 'in', 'on', 'and', 'for', 'to', 'vs', 'v', 'versus',
+  'judgment', 'judgement', 'case', 'decision', 'order', 'ruling', 'verdict', 'matter', 'please', 'me']);
+const ACRONYM_SKIP = new Set(['of', 'the', 'and', 'for', '&']);
+
+// "summarize X", "give me a summary of X", "headnote of X", "brief me on X"
+const SUMMARY_REQUEST = /^\s*(?:please\s+|can you\s+|could you\s+)?(?:summari[sz]e|(?:give|show)\s+(?:me\s+)?(?:a\s+|the\s+)?(?:summary|headnote|brief)\s+(?:of|for)|(?:what\s+is\s+)?(?:a\s+|the\s+)?(?:summary|headnote)\s+(?:of|for)|brief\s+me\s+on)\s+(.+?)[\s?.!]*$/i;
+
+// Long judgments don't fit the prompt: keep the opening (parties, facts, issues) and the
+// closing pages (holding and final order)
+function judgmentExcerpt(text) {
+  const cleaned = cleanPassage(text);
+  if (estimateTokens(cleaned) <= MAX_INPUT_TOKENS) return cleaned;
+  const maxChars = MAX_INPUT_TOKENS * 4;
+  const head = cleaned.substring(0, Math.floor(maxChars * 2 / 3));
+  const tail = cleaned.substring(cleaned.length - Math.floor(maxChars / 3));
+  return `${head}\n\n[... middle of the judgment omitted ...]\n\n${tail}`;
+}
+
+function buildHeadnotePrompt(title, excerpt) {
+  return `You are a law reporter writing the headnote of an Indian court judgment.
+Read the judgment below and reply with a single JSON object and nothing else, using these keys:
+  "petitioner": the appellant or petitioner,
+  "respondent": the respondent,
+  "court": the court that decided the case,
+  "bench": the judges on the bench,
+  "decisionDate": the date of the judgment as YYYY-MM-DD,
+  "issues": the questions the court framed or decided, as a list of short sentences,
+  "statutes": the statutes and provisions relied on, e.g. "Section 45, Prevention of Money Laundering Act, 2002",
+  "precedents": the earlier judgments cited or relied on, by case name,
+  "holding": what the court held and why, in at most five sentences,
+  "finalOrder": the final order or disposition (e.g. appeal allowed, bail granted on conditions)
+Use null or an empty list when the judgment doesn't say. Only use information found in the judgment.
+
+JUDGMENT: ${title}
+
+${excerpt}
+
+JSON:`;
+}
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim().substring(0, MAX_FIELD_CHARS) : null);
+const cleanList = (value) => (Array.isArray(value) ? value.map(cleanText).filter(Boolean).slice(0, MAX_LIST_ITEMS) : []);
+
+// The JSON object in a model reply (models often wrap it in a code fence or add a sentence)
+export function parseHeadnoteReply(reply) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Headnote reply contained no JSON object');
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(reply.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`Headnote reply was not valid JSON: ${error.message}`);
+  }
+
+  const decisionDate = cleanText(parsed.decisionDate);
+  const headnote = {
+    petitioner: cleanText(parsed.petitioner),
+    respondent: cleanText(parsed.respondent),
+    court: cleanText(parsed.court),
+    bench: Array.isArray(parsed.bench) ? cleanList(parsed.bench).join(', ') || null : cleanText(parsed.bench),
+    decisionDate: decisionDate && /^\d{4}-\d{2}-\d{2}$/.test(decisionDate) ? decisionDate : null,
+    issues: cleanList(parsed.issues),
+    statutes: cleanList(parsed.statutes),
+    precedents: cleanList(parsed.precedents),
+    holding: cleanText(parsed.holding),
+    finalOrder: cleanText(parsed.finalOrder)
+  };
+  if (!headnote.holding && !headnote.finalOrder && headnote.issues.length === 0) {
+    throw new Error('Headnote reply had no issues, holding or final order');
+  }
+  return headnote;
+}
+
+// Generate and store the headnote of one corpus PDF. Unchanged judgments keep their headnote
+// unless force is set. Resolves to { status: 'generated' | 'skipped', fileName }.
+export async function generateHeadnote(fileName, { force = false, provider } = {}) {
+  const buffer = fs.readFileSync(path.join(PDF_DIR, fileName));
+  const contentHash = hashContent(buffer);
+
+  const existing = await Headnote.findOne({ filename: fileName }, { contentHash: 1, version: 1 }).lean();
+  if (!force && existing?.contentHash === contentHash && existing.version === HEADNOTE_VERSION) {
+    console.log('  ⏭️ Headnote is up to date, skipping');
+    return { status: 'skipped', fileName };
+  }
+
+  const { text } = await extractPdfText(buffer);
+  if (!text || text.trim().length < 100) {
+    throw permanentError('No significant text found in PDF');
+  }
+  const title = titleFromFileName(fileName);
+  const result = await generateText(
+    { prompt: buildHeadnotePrompt(title, judgmentExcerpt(text)), context: '', question: '' },
+    { provider, extractiveFallback: false }
+  );
+  const generated = parseHeadnoteReply(result.text);
+
+  // The metadata parsed at ingestion is exact where it exists; the model fills the gaps
+  const metadata = extractCaseMetadata(fileName, text);
+  const headnote = {
+    ...generated,
+    petitioner: metadata.petitioner || generated.petitioner,
+    respondent: metadata.respondent || generated.respondent,
+    court: metadata.court || generated.court,
+    bench: metadata.bench || generated.bench,
+    decisionDate: metadata.decisionDate || generated.decisionDate,
+    statutes: generated.statutes.length > 0 ? generated.statutes : metadata.statutes
+  };
+
+  await Headnote.findOneAndUpdate(
+    { filename: fileName },
+    { $set: { ...headnote, title, contentHash, version: HEADNOTE_VERSION, provider: result.provider, model: result.model } },
+    { upsert: true, runValidators: true }
+  );
+  console.log(`  📝 Headnote written with ${result.provider}/${result.model}`);
+  return { status: 'generated', fileName };
+}
+
+export function removeHeadnote(fileName) {
+  return Headnote.deleteOne({ filename: fileName });
+}
+
+export function findHeadnote(fileName) {
+  return Headnote.findOne({ filename: fileName }).lean();
+}
+
+// The file names among filenames that have a headnote
+export async function filesWithHeadnotes(filenames) {
+  const found = await Headnote.find({ filename: { $in: filenames } }, { filename: 1 }).lean();
+  return new Set(found.map(headnote => headnote.filename));
+}
+
+export function serializeHeadnote(headnote) {
+  return {
+    filename: headnote.filename,
+    title: headnote.title,
+    petitioner: headnote.petitioner || null,
+    respondent: headnote.respondent || null,
+    court: headnote.court || null,
+    bench: headnote.bench || null,
+    decisionDate: headnote.decisionDate || null,
+    issues: headnote.issues || [],
+    statutes: headnote.statutes || [],
+    precedents: headnote.precedents || [],
+    holding: headnote.holding || null,
+    finalOrder: headnote.finalOrder || null,
+    provider: headnote.provider || null,
+    model: headnote.model || null,
+    generatedAt: headnote.updatedAt
+  };
+}
+
+// Plain-text headnote, used as the answer to a summary request and as its source excerpt
+export function formatHeadnote(headnote) {
+  const lines = [];
+  const parties = [headnote.petitioner, headnote.respondent].filter(Boolean).join(' vs ');
+  if (parties) lines.push(`Parties: ${parties}`);
+  if (headnote.court) lines.push(`Court: ${headnote.court}`);
+  if (headnote.bench) lines.push(`Bench: ${headnote.bench}`);
+  if (headnote.decisionDate) lines.push(`Decided: ${headnote.decisionDate}`);
+  const list = (label, items) => {
+    if (items?.length > 0) lines.push(`${label}:\n${items.map(item => `- ${item}`).join('\n')}`);
+  };
+  list('Issues', headnote.issues);
+  list('Statutes', headnote.statutes);
+  list('Precedents cited', headnote.precedents);
+  if (headnote.holding) lines.push(`Held: ${headnote.holding}`);
+  if (headnote.finalOrder) lines.push(`Final order: ${headnote.finalOrder}`);
+  return lines.join('\n\n');
+}
+
+const words = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+// "Central Bureau Of Investigation" -> "cbi"
+function acronym(name) {
+  const letters = words(name).filter(word => !ACRONYM_SKIP.has(word)).map(word => word[0]);
+  return letters.length >= 2 ? letters.join('') : null;
+}
+
+// Words (and party acronyms) a question may use to name a judgment
+function caseTerms(document) {
+  const parsed = parseFileName(document.filename);
+  const petitioner = document.petitioner || parsed.petitioner;
+  const respondent = document.respondent || parsed.respondent;
+  return new Set([...words(document.title), ...words(petitioner), ...words(respondent), acronym(petitioner), acronym(respondent)].filter(Boolean));
+}
+
+// The judgment a summary request names, picked from catalog entries (see filters.js). Every
+// term of the request that isn't a generic word counts; the best match needs at least two
+// matching terms (one for a one-word name), half of all terms, and no equally good rival.
+// Returns null when the question isn't a summary request or names no single judgment.
+export function findRequestedCase(question, catalog) {
+  const match = SUMMARY_REQUEST.exec(question);
+  if (!match) return null;
+  const terms = [...new Set(words(match[1]).filter(word => !GENERIC_WORDS.has(word)))];
+  if (terms.length === 0) return null;
+
+  const scored = catalog
+    .map(document => {
+      const available = caseTerms(document);
+      return { document, matched: terms.filter(term => available.has(term)).length };
+    })
+    .filter(entry => entry.matched > 0)
+    .sort((a, b) => b.matched - a.matched);
+
+  const [best, runnerUp] = scored;
+  if (!best || best.matched < Math.min(2, terms.length) || best.matched / terms.length < 0.5) return null;
+  if (runnerUp && runnerUp.matched === best.matched) return null;
+  return best.document;
+}
+
+// Answer a summary request from a stored headnote, shaped like a generated answer with the
+// headnote as its only source. Resolves to null when the judgment has no headnote yet.
+export async function answerFromHeadnote(document) {
+  const headnote = await findHeadnote(document.filename);
+  if (!headnote) return null;
+
+  const text = formatHeadnote(headnote);
+  const source = {
+    id: 1,
+    title: headnote.title,
+    filename: headnote.filename,
+    chunkId: null,
+    chunkIds: [],
+    chunkIndex: null,
+    pages: null,
+    decisionDate: headnote.decisionDate || null,
+    private: false,
+    score: null,
+    distance: null,
+    retrieval: null,
+    rerank: null,
+    headnote: true,
+    tokens: estimateTokens(text),
+    excerpt: text
+  };
+  return {
+    answer: `Headnote of ${headnote.title} [1]\n\n${text}`,
+    sources: [source],
+    citations: [1],
+    provider: 'headnote',
+    model: headnote.model || null,
+    fallback: false
+  };
+}
@@ -0,0 +1,369 @@
+// backend/lib/ingest.js - Resumable ingestion of the shared PDF corpus into ChromaDB
+//
+// Used by the preprocess script and by the background ingest/re-embed/delete jobs. Each
+// chunk is stored with the SHA-256 of its source PDF: files whose chunks are all present
+// with a matching hash are skipped, partially ingested files only embed their missing
+// chunks, and files whose content changed are re-ingested. Files ingested by an older
+// INGEST_VERSION get their chunk metadata refreshed in place without being re-embedded.
+//
+// The same chunks are also added to the local keyword (BM25) index used for hybrid search
+// (see bm25.js) and their case citations and statute references to the citation index (see
+// citations.js). Files already in Chroma but missing from either index are indexed from the
+// stored chunk text, so deleting an index file and re-running rebuilds it cheaply.
+//
+// Both index files are rewritten in full on save, so only one process may have the corpus
+// open at a time (see corpusLock.js): open it with openCorpus and close it with closeCorpus.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chroma, COLLECTION_NAME } from './chroma.js';
+import {
+  generateEmbedding,
+  getEmbeddingProvider,
+  getEmbeddingSignature,
+  checkEmbeddingSignature,
+  sleep
+} from './embeddings/index.js';
+import { extractPdfText, splitText, locateChunks, hashContent, titleFromFileName, chunkId } from './pdf.js';
+import { extractCaseMetadata, toChromaMetadata } from './caseMetadata.js';
+import {
+  createEmptyIndex,
+  readIndexFile,
+  hasIndexedFile,
+  indexFile,
+  removeIndexedFile,
+  writeIndexFile
+} from './bm25.js';
+import {
+  createEmptyCitationIndex,
+  readCitationIndexFile,
+  hasCitedFile,
+  indexCitations,
+  removeCitedFile,
+  writeCitationIndexFile
+} from './citations.js';
+import { permanentError } from './jobs/errors.js';
+import { acquireCorpusLock, releaseCorpusLock } from './corpusLock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PDF_DIR = process.env.PDF_DIR || path.join(__dirname, '..', 'pdfs');
+
+export const CHUNK_BATCH_SIZE = parseInt(process.env.INGEST_CHUNK_BATCH, 10) || 10; // Chunks upserted per ChromaDB call
+const EMBED_DELAY_MS = parseInt(process.env.EMBED_DELAY_MS, 10) || 1000; // Delay between remote embedding calls
+const MAX_RETRIES = 3;
+
+// Bump when chunk metadata gains fields so existing chunks are refreshed
+// (2: page ranges, 3: parties, decision date, bench, statutes and case category)
+export const INGEST_VERSION = 3;
+
+// Clean metadata for ChromaDB
+function cleanMetadata(metadata) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value !== null && value !== undefined) {
+      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+        cleaned[key] = value;
+      } else {
+        cleaned[key] = String(value);
+      }
+    }
+  }
+  return cleaned;
+}
+
+function chunkMetadata(chunk, { fileName, contentHash, totalChunks, caseMetadata }) {
+  return cleanMetadata({
+    filename: fileName,
+    source: fileName,
+    title: titleFromFileName(fileName),
+    ...caseMetadata,
+    chunk_index: chunk.chunkIndex,
+    total_chunks: totalChunks,
+    page_start: chunk.pageStart,
+    page_end: chunk.pageEnd,
+    content_hash: contentHash,
+    ingest_version: INGEST_VERSION,
+    processed_at: new Date().toISOString()
+  });
+}
+
+// PDFs in PDF_DIR, sorted by name
+export function listCorpusFiles() {
+  if (!fs.existsSync(PDF_DIR)) {
+    throw new Error(`PDF folder missing at ${PDF_DIR}`);
+  }
+  return fs.readdirSync(PDF_DIR)
+    .filter(f => f.toLowerCase().endsWith('.pdf'))
+    .sort();
+}
+
+// Only bare file names inside PDF_DIR are accepted (no paths)
+export function isCorpusFileName(fileName) {
+  return typeof fileName === 'string' && fileName.toLowerCase().endsWith('.pdf') &&
+    path.basename(fileName) === fileName && !fileName.startsWith('.');
+}
+
+// Get (or create) the collection and load the keyword and citation indexes. Returns the
+// corpus handle the other functions take:
+//   { collection, keywordIndex, citationIndex, unsavedKeywordFiles, unsavedCitationFiles }
+// reset throws away the existing embeddings and both indexes first. holder names the
+// caller in the corpus lock, which is held until closeCorpus.
+export async function openCorpus({ reset = false, holder = path.basename(process.argv[1] || 'node') } = {}) {
+  acquireCorpusLock(holder);
+  try {
+    return await loadCorpus({ reset });
+  } catch (error) {
+    releaseCorpusLock();
+    throw error;
+  }
+}
+
+async function loadCorpus({ reset }) {
+  console.log('📡 Connecting to ChromaDB...');
+
+  if (reset) {
+    try {
+      await chroma.deleteCollection({ name: COLLECTION_NAME });
+      console.log('🗑️ Deleted existing collection (reset)');
+    } catch (e) {
+      console.log('ℹ️ No existing collection found');
+    }
+  }
+
+  const signature = await getEmbeddingSignature();
+  const collection = await chroma.getOrCreateCollection({ name: COLLECTION_NAME, metadata: signature });
+  const count = await collection.count();
+
+  // Never mix vectors from two embedders in one collection
+  const mismatch = checkEmbeddingSignature(collection.metadata, signature);
+  if (mismatch && count > 0) {
+    throw new Error(mismatch);
+  }
+  if (mismatch || !collection.metadata?.embedding_provider) {
+    // hnsw:* settings can't be changed after creation, so only send our own keys back
+    const kept = Object.entries(collection.metadata || {}).filter(([key]) => !key.startsWith('hnsw:'));
+    await collection.modify({ metadata: { ...Object.fromEntries(kept), ...signature } });
+  }
+
+  console.log(`✅ Collection "${COLLECTION_NAME}" ready (${count} chunks already stored)`);
+  console.log(`   Embedder: ${signature.embedding_provider}/${signature.embedding_model} (${signature.embedding_dimension} dims)`);
+
+  const keywordIndex = reset ? createEmptyIndex(COLLECTION_NAME) : readIndexFile(COLLECTION_NAME);
+  console.log(`🔤 Keyword index: ${Object.keys(keywordIndex.files).length} PDFs already indexed`);
+  const citationIndex = reset ? createEmptyCitationIndex(COLLECTION_NAME) : readCitationIndexFile(COLLECTION_NAME);
+  console.log(`🔗 Citation index: ${Object.keys(citationIndex.files).length} PDFs already indexed`);
+
+  return { collection, keywordIndex, citationIndex, unsavedKeywordFiles: 0, unsavedCitationFiles: 0 };
+}
+
+function addToKeywordIndex(corpus, fileName, contentHash, chunks) {
+  indexFile(corpus.keywordIndex, fileName, contentHash, chunks);
+  corpus.unsavedKeywordFiles++;
+}
+
+// chunks are [{ content, index }]; parties are the case's { petitioner, respondent }
+function addToCitationIndex(corpus, fileName, contentHash, chunks, parties) {
+  indexCitations(corpus.citationIndex, fileName, contentHash, titleFromFileName(fileName), chunks, parties);
+  corpus.unsavedCitationFiles++;
+}
+
+// Index a file that is already fully stored in Chroma from its stored chunk text, in
+// whichever of the keyword and citation indexes is missing it
+async function indexStoredChunks(corpus, fileName, contentHash) {
+  const stored = await corpus.collection.get({
+    where: { filename: fileName },
+    include: ['documents', 'metadatas']
+  });
+  const chunks = stored.ids
+    .map((id, i) => ({ id, content: stored.documents[i] || '', index: stored.metadatas[i]?.chunk_index ?? i }))
+    .sort((a, b) => a.index - b.index);
+  const indexed = [];
+  if (!hasIndexedFile(corpus.keywordIndex, fileName, contentHash)) {
+    addToKeywordIndex(corpus, fileName, contentHash, chunks);
+    indexed.push('keyword');
+  }
+  if (!hasCitedFile(corpus.citationIndex, fileName, contentHash)) {
+    const { petitioner, respondent } = stored.metadatas[0] || {};
+    addToCitationIndex(corpus, fileName, contentHash, chunks, { petitioner, respondent });
+    indexed.push('citation');
+  }
+  return indexed;
+}
+
+// Whether either local index has at least count files added or removed since the last save
+export function hasUnsavedIndexes(corpus, count = 1) {
+  return corpus.unsavedKeywordFiles >= count || corpus.unsavedCitationFiles >= count;
+}
+
+// Write the keyword and citation indexes if files were added or removed since the last save
+export function saveCorpusIndexes(corpus) {
+  if (corpus.unsavedKeywordFiles > 0) {
+    writeIndexFile(corpus.keywordIndex);
+    corpus.unsavedKeywordFiles = 0;
+  }
+  if (corpus.unsavedCitationFiles > 0) {
+    writeCitationIndexFile(corpus.citationIndex);
+    corpus.unsavedCitationFiles = 0;
+  }
+}
+
+// Save any unsaved index changes and release the corpus lock
+export function closeCorpus(corpus) {
+  try {
+    saveCorpusIndexes(corpus);
+  } finally {
+    releaseCorpusLock();
+  }
+}
+
+// Drop a file's chunks from the collection and the keyword and citation indexes
+export async function removeCorpusFile(corpus, fileName) {
+  const existing = await corpus.collection.get({ where: { filename: fileName }, include: [] });
+  if (existing.ids.length > 0) {
+    await corpus.collection.delete({ where: { filename: fileName } });
+  }
+  if (corpus.keywordIndex.files[fileName]) {
+    removeIndexedFile(corpus.keywordIndex, fileName);
+    corpus.unsavedKeywordFiles++;
+  }
+  if (corpus.citationIndex.files[fileName]) {
+    removeCitedFile(corpus.citationIndex, fileName);
+    corpus.unsavedCitationFiles++;
+  }
+  return existing.ids.length;
+}
+
+// Work out what is already stored for a file and drop chunks from an older version of it
+async function getIngestState(corpus, fileName, contentHash) {
+  const existing = await corpus.collection.get({
+    where: { filename: fileName },
+    include: ['metadatas']
+  });
+
+  if (existing.ids.length === 0) {
+    return { existingIds: new Set(), complete: false, outdated: false };
+  }
+
+  const stale = existing.metadatas.some(m => m?.content_hash !== contentHash);
+  if (stale) {
+    console.log(`  ♻️ Content changed since last ingest, removing ${existing.ids.length} old chunks`);
+    await removeCorpusFile(corpus, fileName);
+    return { existingIds: new Set(), complete: false, outdated: false };
+  }
+
+  const totalChunks = existing.metadatas[0]?.total_chunks;
+  return {
+    existingIds: new Set(existing.ids),
+    complete: totalChunks === existing.ids.length,
+    outdated: existing.metadatas.some(m => (m?.ingest_version || 1) < INGEST_VERSION)
+  };
+}
+
+// Ingest one PDF from PDF_DIR. force re-embeds it even if it is already stored.
+// onProgress({ chunksDone, chunksTotal }) is awaited before every batch and may throw to
+// stop early; chunks stored so far are kept and picked up by the next run.
+// Resolves to { status: 'ingested' | 'updated' | 'skipped', fileName, chunksProcessed, totalChunks }.
+export async function ingestCorpusFile(corpus, fileName, { force = false, onProgress = async () => {} } = {}) {
+  const buffer = fs.readFileSync(path.join(PDF_DIR, fileName));
+  const contentHash = hashContent(buffer);
+
+  if (force) {
+    await removeCorpusFile(corpus, fileName);
+  }
+
+  const { existingIds, complete, outdated } = await getIngestState(corpus, fileName, contentHash);
+  if (complete && !outdated) {
+    console.log(`  ⏭️ Already ingested (${existingIds.size} chunks), skipping`);
+    if (!hasIndexedFile(corpus.keywordIndex, fileName, contentHash) || !hasCitedFile(corpus.citationIndex, fileName, contentHash)) {
+      const indexed = await indexStoredChunks(corpus, fileName, contentHash);
+      console.log(`  🔤 Added stored chunks to the ${indexed.join(' and ')} index${indexed.length > 1 ? 'es' : ''}`);
+    }
+    return { status: 'skipped', fileName, chunksProcessed: 0, totalChunks: existingIds.size };
+  }
+
+  const { text, pageOffsets } = await extractPdfText(buffer);
+  if (!text || text.trim().length < 100) {
+    throw permanentError('No significant text found in PDF');
+  }
+  console.log(`  📄 Extracted ${text.length} characters`);
+
+  const contents = await splitText(text);
+  if (contents.length === 0) {
+    throw permanentError('No chunks created from PDF');
+  }
+  const locations = locateChunks(text, contents, pageOffsets);
+  const chunks = contents.map((content, chunkIndex) => ({ content, chunkIndex, ...locations[chunkIndex] }));
+  const extracted = extractCaseMetadata(fileName, text);
+  const caseMetadata = toChromaMetadata(extracted);
+  const parties = { petitioner: extracted.petitioner, respondent: extracted.respondent };
+  const file = { fileName, contentHash, totalChunks: chunks.length, caseMetadata };
+  const keywordChunks = chunks.map(chunk => ({ id: chunkId(fileName, chunk.chunkIndex), content: chunk.content, index: chunk.chunkIndex }));
+
+  // Already embedded by an older version: refresh metadata only
+  if (complete) {
+    for (let i = 0; i < chunks.length; i += CHUNK_BATCH_SIZE) {
+      const chunkBatch = chunks.slice(i, i + CHUNK_BATCH_SIZE);
+      await corpus.collection.update({
+        ids: chunkBatch.map(chunk => chunkId(fileName, chunk.chunkIndex)),
+        metadatas: chunkBatch.map(chunk => chunkMetadata(chunk, file))
+      });
+    }
+    addToKeywordIndex(corpus, fileName, contentHash, keywordChunks);
+    addToCitationIndex(corpus, fileName, contentHash, keywordChunks, parties);
+    console.log(`  🏷️ Refreshed metadata for ${chunks.length} chunks`);
+    return { status: 'updated', fileName, chunksProcessed: 0, totalChunks: chunks.length };
+  }
+
+  // Only embed chunks that a previous (interrupted) run didn't store
+  const pending = chunks.filter(chunk => !existingIds.has(chunkId(fileName, chunk.chunkIndex)));
+  const alreadyStored = chunks.length - pending.length;
+
+  console.log(`  🔪 Split into ${chunks.length} chunks (${pending.length} to embed)`);
+
+  let totalAdded = 0;
+  for (let i = 0; i < pending.length; i += CHUNK_BATCH_SIZE) {
+    await onProgress({ chunksDone: alreadyStored + totalAdded, chunksTotal: chunks.length });
+    const chunkBatch = pending.slice(i, i + CHUNK_BATCH_SIZE);
+    totalAdded += await processChunkBatch(corpus.collection, chunkBatch, file);
+  }
+  await onProgress({ chunksDone: chunks.length, chunksTotal: chunks.length });
+
+  addToKeywordIndex(corpus, fileName, contentHash, keywordChunks);
+  addToCitationIndex(corpus, fileName, contentHash, keywordChunks, parties);
+  console.log(`  ✅ Stored ${totalAdded} new chunks (${chunks.length} total)`);
+
+  return { status: 'ingested', fileName, chunksProcessed: totalAdded, totalChunks: chunks.length };
+}
+
+// Embed a batch of chunks and upsert them into ChromaDB
+async function processChunkBatch(collection, chunkBatch, file) {
+  const documents = chunkBatch.map(chunk => chunk.content);
+  const ids = chunkBatch.map(chunk => chunkId(file.fileName, chunk.chunkIndex));
+  const metadatas = chunkBatch.map(chunk => chunkMetadata(chunk, file));
+
+  console.log(`      🧠 Generating embeddings for ${documents.length} chunks...`);
+  const embeddings = [];
+  for (let i = 0; i < documents.length; i++) {
+    embeddings.push(await generateEmbedding(documents[i]));
+    if (i < documents.length - 1 && getEmbeddingProvider().name !== 'local') {
+      await sleep(EMBED_DELAY_MS);
+    }
+  }
+
+  // Upsert keeps re-runs idempotent even if a batch was stored just before a crash
+  let retries = 0;
+  while (true) {
+    try {
+      await collection.upsert({ ids, embeddings, documents, metadatas });
+      return documents.length;
+    } catch (error) {
+      retries++;
+      if (retries >= MAX_RETRIES) {
+        throw error;
+      }
+      console.log(`      ⚠️ Retry ${retries}/${MAX_RETRIES} for ChromaDB batch`);
+      await sleep(1000 * retries);
+    }
+  }
+}
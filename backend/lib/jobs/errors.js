@@ -0,0 +1,19 @@
+// backend/lib/jobs/errors.js - Errors that change how the job queue treats a failure
+
+// Thrown from a job's progress report once the job has been cancelled
+export function jobCancelledError() {
+  const error = new Error('Job cancelled');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+export function isJobCancelled(error) {
+  return error?.code === 'JOB_CANCELLED';
+}
+
+// A failure that retrying won't fix (missing file, no text), so the job fails straight away
+export function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
@@ -0,0 +1,206 @@
+// backend/lib/jobs/handlers.js - What each job type does
+//
+// A handler receives the job's payload and a context for progress reporting
+// (setFiles, updateFile, checkCancelled) and resolves to the job's result.
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import {
+  PDF_DIR,
+  isCorpusFileName,
+  listCorpusFiles,
+  openCorpus,
+  ingestCorpusFile,
+  removeCorpusFile,
+  hasUnsavedIndexes,
+  saveCorpusIndexes,
+  closeCorpus
+} from '../ingest.js';
+import { ingestUpload } from '../uploads.js';
+import { generateHeadnote, removeHeadnote } from '../headnotes.js';
+import { isJobCancelled } from './errors.js';
+
+const MAX_JOB_FILES = 1000;
+const INDEX_SAVE_EVERY = 20; // Files between writes of the keyword and citation indexes
+const HEADNOTE_DELAY_MS = parseInt(process.env.HEADNOTE_DELAY_MS, 10) || 0; // Pause between headnote model calls
+
+function describeFiles(files, { required, mustExist }) {
+  if (files === undefined) {
+    return required ? { error: 'payload.files must list at least one PDF' } : { files: undefined };
+  }
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_JOB_FILES) {
+    return { error: `payload.files must be a list of 1-${MAX_JOB_FILES} PDF file names` };
+  }
+  const invalid = files.find(name => !isCorpusFileName(name));
+  if (invalid !== undefined) {
+    return { error: `Invalid PDF file name: ${invalid}` };
+  }
+  if (mustExist) {
+    const missing = files.find(name => !fs.existsSync(path.join(PDF_DIR, name)));
+    if (missing) {
+      return { error: `${missing} is not in the PDF folder` };
+    }
+  }
+  return { files: [...new Set(files)] };
+}
+
+// Check a payload and work out its lane. Returns { payload, lane } or { error }.
+export function describeJob(type, payload) {
+  if (payload.uploadId !== undefined) {
+    if (type === 'headnote') {
+      return { error: 'Headnotes are only generated for the shared corpus' };
+    }
+    if (type === 'delete') {
+      return { error: 'Delete uploads with DELETE /api/uploads/:id' };
+    }
+    if (!mongoose.isValidObjectId(payload.uploadId)) {
+      return { error: 'payload.uploadId is not a valid id' };
+    }
+    const uploadId = String(payload.uploadId);
+    return { payload: { uploadId }, lane: `upload:${uploadId}` };
+  }
+
+  const { files, error } = describeFiles(payload.files, { required: type === 'delete', mustExist: type !== 'delete' });
+  if (error) {
+    return { error };
+  }
+
+  if (type === 'reembed' && payload.reset !== undefined) {
+    if (typeof payload.reset !== 'boolean') {
+      return { error: 'payload.reset must be true or false' };
+    }
+    if (payload.reset && files) {
+      return { error: 'payload.reset rebuilds the whole corpus and cannot be combined with files' };
+    }
+  }
+  if (type === 'delete' && payload.removeFile !== undefined && typeof payload.removeFile !== 'boolean') {
+    return { error: 'payload.removeFile must be true or false' };
+  }
+  if (type === 'headnote' && payload.force !== undefined && typeof payload.force !== 'boolean') {
+    return { error: 'payload.force must be true or false' };
+  }
+
+  const described = { files };
+  if (type === 'reembed') described.reset = payload.reset === true;
+  if (type === 'delete') described.removeFile = payload.removeFile === true;
+  if (type === 'headnote') {
+    described.force = payload.force === true;
+    // Headnotes only read the PDFs, so they don't wait for corpus jobs
+    return { payload: described, lane: 'headnotes' };
+  }
+  return { payload: described, lane: 'corpus' };
+}
+
+// Run fn over every file, recording per-file status. Files finished by an earlier attempt
+// are not repeated. Individual failures don't stop the run, but fail the attempt at the end
+// so the queue retries the files that failed (unless none of them can succeed on a retry).
+// Without a corpus (headnote jobs) there is no keyword index to save.
+async function forEachFile(ctx, names, corpus, fn) {
+  const finished = new Map((ctx.job.files || []).map(file => [file.name, file.status]));
+  await ctx.setFiles(names);
+
+  const result = { ingested: 0, updated: 0, generated: 0, skipped: 0, removed: 0, failed: 0, chunksAdded: 0 };
+  let retryable = 0;
+  try {
+    for (const [i, name] of names.entries()) {
+      if (finished.get(name) === 'done' || finished.get(name) === 'skipped') {
+        continue;
+      }
+      console.log(`📖 Job file (${i + 1}/${names.length}): ${name}`);
+      await ctx.updateFile(name, { status: 'running', error: null });
+      try {
+        const outcome = await fn(name);
+        result[outcome.status]++;
+        result.chunksAdded += outcome.chunksProcessed || 0;
+        await ctx.updateFile(name, {
+          status: outcome.status === 'skipped' ? 'skipped' : 'done',
+          chunksDone: outcome.totalChunks || 0,
+          chunksTotal: outcome.totalChunks || 0
+        });
+      } catch (error) {
+        if (isJobCancelled(error)) throw error;
+        console.error(`  ❌ Error processing ${name}:`, error.message);
+        result.failed++;
+        if (!error.permanent) retryable++;
+        await ctx.updateFile(name, { status: 'failed', error: error.message });
+      }
+
+      if (corpus && hasUnsavedIndexes(corpus, INDEX_SAVE_EVERY)) {
+        saveCorpusIndexes(corpus);
+      }
+    }
+  } finally {
+    if (corpus) saveCorpusIndexes(corpus);
+  }
+
+  if (result.failed > 0) {
+    const error = new Error(`${result.failed} of ${names.length} files failed`);
+    error.result = result;
+    error.permanent = retryable === 0;
+    throw error;
+  }
+  return result;
+}
+
+// How a corpus job shows up in the corpus lock (see corpusLock.js)
+const jobHolder = (job) => `server ${job.type} job ${job._id}`;
+
+async function ingestCorpus({ files, reset = false }, ctx, { force }) {
+  // A reset that already happened on an earlier attempt is not repeated
+  const corpus = await openCorpus({ reset: reset && !(ctx.job.files?.length > 0), holder: jobHolder(ctx.job) });
+  try {
+    const names = files || listCorpusFiles();
+    return await forEachFile(ctx, names, corpus, name => ingestCorpusFile(corpus, name, {
+      force,
+      onProgress: ({ chunksDone, chunksTotal }) => ctx.updateFile(name, { chunksDone, chunksTotal })
+    }));
+  } finally {
+    closeCorpus(corpus);
+  }
+}
+
+async function deleteFromCorpus({ files, removeFile }, ctx) {
+  const corpus = await openCorpus({ holder: jobHolder(ctx.job) });
+  try {
+    return await forEachFile(ctx, files, corpus, async (name) => {
+      const removed = await removeCorpusFile(corpus, name);
+      await removeHeadnote(name);
+      if (removeFile) {
+        fs.rmSync(path.join(PDF_DIR, name), { force: true });
+      }
+      console.log(`  🗑️ Removed ${removed} chunks${removeFile ? ' and the PDF' : ''}`);
+      return { status: 'removed', totalChunks: removed };
+    });
+  } finally {
+    closeCorpus(corpus);
+  }
+}
+
+async function generateHeadnotes({ files, force }, ctx) {
+  const names = files || listCorpusFiles();
+  let called = false;
+  return forEachFile(ctx, names, null, async (name) => {
+    if (called && HEADNOTE_DELAY_MS > 0) {
+      await new Promise(resolve => setTimeout(resolve, HEADNOTE_DELAY_MS));
+    }
+    const outcome = await generateHeadnote(name, { force });
+    called = called || outcome.status === 'generated';
+    return outcome;
+  });
+}
+
+export const JOB_HANDLERS = {
+  ingest: (payload, ctx) => (payload.uploadId
+    ? ingestUpload(payload.uploadId, ctx)
+    : ingestCorpus(payload, ctx, { force: false })),
+
+  // Without reset every listed file is deleted and embedded again; a reset starts from an
+  // empty collection, so nothing needs forcing
+  reembed: (payload, ctx) => (payload.uploadId
+    ? ingestUpload(payload.uploadId, ctx)
+    : ingestCorpus(payload, ctx, { force: !payload.reset })),
+
+  delete: (payload, ctx) => deleteFromCorpus(payload, ctx),
+
+  headnote: (payload, ctx) => generateHeadnotes(payload, ctx)
+};
@@ -0,0 +1,286 @@
+// backend/lib/jobs/index.js - MongoDB-backed background job queue
+//
+// Jobs are stored in the jobs collection, so they survive restarts. A worker loop in the
+// server polls for queued jobs and runs up to JOB_CONCURRENCY of them at once, but never
+// two from the same lane (shared-corpus jobs share one lane, headnote jobs another, and each
+// upload has its own). A running job reports progress per file; every report also renews its
+// lease and picks up cancellation requests. Jobs whose lease expires (the server died
+// mid-job) are queued again. A failed attempt is retried with exponential backoff up to
+// JOB_MAX_ATTEMPTS times.
+//
+// Job types and payloads (see handlers.js):
+//   ingest   { files?: [name] }         - add PDFs from PDF_DIR to the shared corpus (default all)
+//            { uploadId }               - index a user's upload into their private collection
+//   reembed  { files?: [name], reset? } - embed corpus files again (reset rebuilds the collection)
+//            { uploadId }               - index an upload again
+//   delete   { files: [name] }          - remove PDFs from the shared corpus
+//   headnote { files?: [name], force? } - generate headnotes of corpus PDFs (see headnotes.js)
+import os from 'os';
+import Job from '../../models/Job.js';
+import { JOB_HANDLERS, describeJob } from './handlers.js';
+import { jobCancelledError, isJobCancelled } from './errors.js';
+
+export const JOB_TYPES = Object.keys(JOB_HANDLERS);
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 10 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 30000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+let pollTimer = null;
+let polling = false;
+let running = 0;
+const finishedListeners = [];
+
+// Validate a job request. Returns { job } (type, payload, lane) or { error }.
+export function prepareJob(type, payload = {}) {
+  if (!JOB_TYPES.includes(type)) {
+    return { error: `type must be one of: ${JOB_TYPES.join(', ')}` };
+  }
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'payload must be an object' };
+  }
+  const described = describeJob(type, payload);
+  if (described.error) {
+    return { error: described.error };
+  }
+  return { job: { type, payload: described.payload, lane: described.lane } };
+}
+
+// Queue a job; throws if the request is invalid
+export async function enqueueJob(type, payload = {}, { user } = {}) {
+  const { job, error } = prepareJob(type, payload);
+  if (error) {
+    throw new Error(error);
+  }
+  const created = await Job.create({ ...job, user, maxAttempts: MAX_ATTEMPTS });
+  console.log(`🗂️ Queued ${type} job ${created._id}`);
+  setImmediate(pollForJobs);
+  return created;
+}
+
+// Queued jobs are cancelled at once; running ones stop at their next progress report.
+// Returns the updated job, or null if it had already finished.
+export async function cancelJob(jobId) {
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+}
+
+// Cancel every queued or running job for one upload (before it is deleted or re-queued)
+export async function cancelUploadJobs(uploadId) {
+  const jobs = await Job.find({ 'payload.uploadId': String(uploadId), status: { $in: ACTIVE_STATUSES } }, { _id: 1 });
+  await Promise.all(jobs.map(job => cancelJob(job._id)));
+}
+
+export function hasActiveJob(filter) {
+  return Job.exists({ ...filter, status: { $in: ACTIVE_STATUSES } });
+}
+
+// Called with each job that finished (completed, failed or cancelled)
+export function onJobFinished(listener) {
+  finishedListeners.push(listener);
+}
+
+// Progress reporting handed to a handler. Every update renews the lease and throws if the
+// job was cancelled, so handlers stop at the next file or batch.
+function createJobContext(job) {
+  const touch = async (update = {}, filter = {}) => {
+    const current = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: WORKER_ID, ...filter },
+      { ...update, $set: { ...(update.$set || {}), lockedAt: new Date() } },
+      { new: true, projection: { cancelRequested: 1 } }
+    );
+    if (!current) {
+      throw new Error('Job lease was lost');
+    }
+    if (current.cancelRequested) {
+      throw jobCancelledError();
+    }
+  };
+
+  return {
+    job,
+
+    // Declare the files this run will work on (keeps their status from an earlier attempt)
+    async setFiles(names) {
+      const previous = new Map((job.files || []).map(file => [file.name, file.toObject ? file.toObject() : file]));
+      job.files = names.map(name => previous.get(name) || { name, status: 'pending', chunksDone: 0, chunksTotal: 0 });
+      await touch({ $set: { files: job.files } });
+    },
+
+    // Update one file's status, chunk counts or error
+    async updateFile(name, patch) {
+      const $set = {};
+      for (const [key, value] of Object.entries(patch)) {
+        $set[`files.$.${key}`] = value;
+      }
+      await touch({ $set }, { 'files.name': name });
+    },
+
+    async checkCancelled() {
+      await touch();
+    }
+  };
+}
+
+async function finishJob(job, update) {
+  const finished = await Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: { ...update, finishedAt: new Date() }, $unset: { lockedBy: 1, lockedAt: 1 } },
+    { new: true }
+  );
+  if (finished) {
+    finishedListeners.forEach(listener => {
+      Promise.resolve(listener(finished)).catch(error => console.error('Job listener error:', error.message));
+    });
+  }
+}
+
+// Store how a run ended: completed, cancelled, queued again for a retry, or failed
+async function settleJob(job, result, error) {
+  if (!error) {
+    await finishJob(job, { status: 'completed', result, error: null });
+    console.log(`✅ Job ${job._id} completed`);
+    return;
+  }
+
+  if (isJobCancelled(error)) {
+    await finishJob(job, { status: 'cancelled' });
+    console.log(`⏹️ Job ${job._id} cancelled`);
+    return;
+  }
+
+  if (job.attempts < job.maxAttempts && !error.permanent) {
+    const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'queued', error: error.message, result: error.result, runAfter: new Date(Date.now() + delay) },
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      }
+    );
+    console.log(`⚠️  Job ${job._id} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+    return;
+  }
+
+  await finishJob(job, { status: 'failed', error: error.message, result: error.result });
+  console.error(`❌ Job ${job._id} failed:`, error.message);
+}
+
+async function runJob(job) {
+  console.log(`⚙️  Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+  let result;
+  let failure = null;
+  try {
+    result = await JOB_HANDLERS[job.type](job.payload, createJobContext(job));
+  } catch (error) {
+    failure = error;
+  }
+
+  // If the status can't be written (e.g. MongoDB is briefly unreachable) the job stays
+  // running until its lease expires and requeueStaleJobs puts it back in the queue
+  try {
+    await settleJob(job, result, failure);
+  } catch (error) {
+    console.error(`❌ Could not record the outcome of job ${job._id}:`, error.message);
+  }
+}
+
+// Atomically take the oldest runnable job whose lane is free
+async function claimNextJob() {
+  const busyLanes = await Job.distinct('lane', { status: 'running' });
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: new Date() }, lane: { $nin: busyLanes } },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: new Date(), startedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+}
+
+// An interrupted attempt doesn't count towards maxAttempts
+function requeueJobs(filter) {
+  return Job.updateMany(
+    { ...filter, status: 'running' },
+    {
+      $set: { status: 'queued', runAfter: new Date() },
+      $inc: { attempts: -1 },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+}
+
+// Put jobs whose worker stopped reporting back in the queue
+async function requeueStaleJobs() {
+  const { modifiedCount } = await requeueJobs({ lockedAt: { $lt: new Date(Date.now() - LEASE_MS) } });
+  if (modifiedCount > 0) {
+    console.log(`🗂️ Re-queued ${modifiedCount} interrupted jobs`);
+  }
+}
+
+// Workers on other hosts can't be checked, so they are trusted until their lease expires
+function isWorkerAlive(workerId) {
+  const separator = workerId.lastIndexOf(':');
+  const pid = Number(workerId.substring(separator + 1));
+  if (workerId.substring(0, separator) !== os.hostname()) return true;
+  if (pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function pollForJobs() {
+  if (polling || !pollTimer) return;
+  polling = true;
+  try {
+    await requeueStaleJobs();
+    while (running < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      running++;
+      runJob(job)
+        .catch(error => console.error('Job runner error:', error.message))
+        .finally(() => {
+          running--;
+          setImmediate(pollForJobs);
+        });
+    }
+  } catch (error) {
+    console.error('Job queue error:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+// Start the worker loop. Jobs left running by a server process on this host that has since
+// exited are re-queued straight away instead of waiting for their lease to expire.
+export async function startJobWorker() {
+  if (pollTimer) return;
+  const lockedBy = await Job.distinct('lockedBy', { status: 'running' });
+  const { modifiedCount } = await requeueJobs({ lockedBy: { $in: lockedBy.filter(id => id && !isWorkerAlive(id)) } });
+  if (modifiedCount > 0) {
+    console.log(`🗂️ Resuming ${modifiedCount} jobs interrupted by the last shutdown`);
+  }
+
+  pollTimer = setInterval(pollForJobs, POLL_INTERVAL_MS);
+  console.log(`🗂️ Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY})`);
+  pollForJobs();
+}
@@ -0,0 +1,72 @@
+// backend/lib/llm/extractive.js - Deterministic answer built directly from the retrieved context
+//
+// Needs no model or network access, so it is always available and is used as the
+// last-resort fallback when every configured LLM fails.
+
+// Generate a structured answer from the "[Document n: title]" blocks in the context
+export function generateStructuredFallback(context, question) {
+  try {
+    // Extract key information from context
+    const documents = context.split('[Document').filter(doc => doc.trim());
+    const relevantInfo = [];
+    
+    documents.forEach((doc, index) => {
+      if (index === 0 && !context.trimStart().startsWith('[Document')) return; // Skip preamble
+      
+      // Extract document title
+      const titleMatch = doc.match(/(\d+): ([^\]]+)\]/);
+      const title = titleMatch ? titleMatch[2] : `Document ${index}`;
+      const sourceId = titleMatch ? titleMatch[1] : null;
+      
+      // Extract first meaningful sentence or key information
+      const content = doc.replace(/^[^\]]*\]/, '').split('---')[0].trim();
+      const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 20);
+      const keySentence = sentences[0] || content.substring(0, 150);
+      
+      relevantInfo.push({
+        title: title.trim(),
+        sourceId,
+        content: keySentence.trim()
+      });
+    });
+    
+    // Create structured response
+    let structuredAnswer = `Based on the legal documents, here's what I found regarding "${question}":\n\n`;
+    
+    relevantInfo.forEach((info) => {
+      structuredAnswer += `📄 **${info.title}**\n`;
+      structuredAnswer += `${info.content}${info.sourceId ? ` [${info.sourceId}]` : ''}\n\n`;
+    });
+    
+    structuredAnswer += `---\n💡 This information is extracted directly from ${relevantInfo.length} relevant legal document(s). `;
+    structuredAnswer += `For more detailed analysis, please ensure the AI service is available.`;
+    
+    return structuredAnswer;
+    
+  } catch (fallbackError) {
+    console.error('Fallback generation error:', fallbackError.message);
+    return `Based on the legal documents found:\n\n${context}\n\n---\n\nRelevant information for: "${question}"`;
+  }
+}
+
+export function createExtractiveLLM() {
+  return {
+    name: 'extractive',
+    models: ['structured-extract'],
+
+    isAvailable() {
+      return true;
+    },
+
+    async generate({ context, question }) {
+      return generateStructuredFallback(context, question);
+    },
+
+    // Emit the extracted answer line by line so streaming clients behave the same
+    async stream(request, model, onToken) {
+      const text = generateStructuredFallback(request.context, request.question);
+      text.split(/(?<=\n)/).forEach(line => onToken(line));
+      return text;
+    }
+  };
+}
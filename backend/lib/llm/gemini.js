@@ -0,0 +1,88 @@
+// backend/lib/llm/gemini.js - Google Gemini generateContent adapter
+import axios from 'axios';
+import { readEventStream } from './sse.js';
+
+// Token counts from a response's usageMetadata, when present
+function readUsage(data) {
+  const usage = data?.usageMetadata;
+  if (!usage || !Number.isFinite(usage.promptTokenCount)) return null;
+  return { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount || 0 };
+}
+
+export function createGeminiLLM({ models, temperature, maxTokens, timeout }) {
+  const body = (prompt) => ({
+    contents: [{
+      parts: [{
+        text: prompt
+      }]
+    }],
+    generationConfig: {
+      temperature,
+      topK: 40,
+      topP: 0.8,
+      maxOutputTokens: maxTokens,
+    }
+  });
+
+  return {
+    name: 'gemini',
+    models,
+
+    isAvailable() {
+      const key = process.env.GEMINI_API_KEY;
+      return Boolean(key) && !key.includes('your-actual-gemini-api-key-here');
+    },
+
+    async generate({ prompt }, model, { signal, onUsage } = {}) {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+        body(prompt),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout,
+          signal
+        }
+      );
+
+      const usage = readUsage(response.data);
+      if (usage) onUsage?.(usage);
+
+      const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        throw new Error('Invalid response format from Gemini API');
+      }
+      return text.trim();
+    },
+
+    // Stream partial text through onToken; resolves to the full text
+    async stream({ prompt }, model, onToken, { signal, onUsage } = {}) {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`,
+        body(prompt),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          responseType: 'stream',
+          timeout,
+          signal
+        }
+      );
+
+      let text = '';
+      await readEventStream(response.data, (event) => {
+        // Every chunk carries the running token counts
+        const usage = readUsage(event);
+        if (usage) onUsage?.(usage);
+        const piece = event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      });
+
+      if (!text) {
+        throw new Error('Empty streaming response from Gemini API');
+      }
+      return text.trim();
+    }
+  };
+}
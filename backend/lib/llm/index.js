@@ -0,0 +1,242 @@
+// backend/lib/llm/index.js - Answer-generation provider layer
+//
+// LLM_PROVIDER picks the default backend for the deployment:
+//   gemini      - Google Gemini (GEMINI_API_KEY, LLM_GEMINI_MODELS)
+//   openai      - any OpenAI-compatible chat endpoint (LLM_OPENAI_BASE, LLM_OPENAI_MODELS, LLM_OPENAI_API_KEY)
+//   extractive  - deterministic answer assembled from the retrieved excerpts
+//
+// Each provider tries its models in order. Temperature, max tokens, timeout and retry
+// delay come from LLM_<PROVIDER>_<SETTING>, falling back to LLM_<SETTING>. If every model
+// fails, LLM_FALLBACK_PROVIDER (default: extractive) answers instead. Requests may pick
+// a different provider from LLM_ALLOWED_PROVIDERS.
+import { createGeminiLLM } from './gemini.js';
+import { createOpenAILLM } from './openai.js';
+import { createExtractiveLLM } from './extractive.js';
+
+export { generateStructuredFallback } from './extractive.js';
+
+const PROVIDER_NAMES = ['gemini', 'openai', 'extractive'];
+
+let providers;
+
+function setting(provider, key, fallback) {
+  const value = process.env[`LLM_${provider.toUpperCase()}_${key}`] ?? process.env[`LLM_${key}`];
+  return value === undefined || value === '' ? fallback : value;
+}
+
+function numberSetting(provider, key, fallback) {
+  const value = parseFloat(setting(provider, key, fallback));
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function listSetting(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function commonOptions(name) {
+  return {
+    temperature: numberSetting(name, 'TEMPERATURE', 0.7),
+    maxTokens: numberSetting(name, 'MAX_TOKENS', 1024),
+    timeout: numberSetting(name, 'TIMEOUT_MS', 20000),
+    retryDelay: numberSetting(name, 'RETRY_DELAY_MS', 1000)
+  };
+}
+
+function createProviders() {
+  const gemini = commonOptions('gemini');
+  const openai = commonOptions('openai');
+
+  return {
+    gemini: Object.assign(createGeminiLLM({
+      ...gemini,
+      models: listSetting(setting('gemini', 'MODELS', 'gemini-1.5-flash-latest,gemini-1.5-flash,gemini-pro'))
+    }), { retryDelay: gemini.retryDelay }),
+    openai: Object.assign(createOpenAILLM({
+      ...openai,
+      baseUrl: process.env.LLM_OPENAI_BASE,
+      apiKey: process.env.LLM_OPENAI_API_KEY,
+      models: listSetting(setting('openai', 'MODELS', ''))
+    }), { retryDelay: openai.retryDelay }),
+    extractive: Object.assign(createExtractiveLLM(), { retryDelay: 0 })
+  };
+}
+
+function getProviders() {
+  if (!providers) {
+    providers = createProviders();
+  }
+  return providers;
+}
+
+export function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+// Providers a request is allowed to ask for by name
+export function getAllowedProviderNames() {
+  const allowed = listSetting(process.env.LLM_ALLOWED_PROVIDERS).map(name => name.toLowerCase());
+  return allowed.length > 0 ? allowed.filter(name => PROVIDER_NAMES.includes(name)) : PROVIDER_NAMES;
+}
+
+// Validate a per-request provider/model choice; returns an error message or null
+export function validateProviderChoice(providerName, model) {
+  if (providerName === undefined && model === undefined) return null;
+  if ((providerName !== undefined && typeof providerName !== 'string') || (model !== undefined && typeof model !== 'string')) {
+    return 'provider and model must be strings';
+  }
+
+  const name = (providerName || getDefaultProviderName()).toLowerCase();
+  if (!getAllowedProviderNames().includes(name)) {
+    return `Unknown or disallowed provider "${providerName}". Allowed: ${getAllowedProviderNames().join(', ')}`;
+  }
+  const provider = getProviders()[name];
+  if (model !== undefined && !provider.models.includes(model)) {
+    return `Model "${model}" is not configured for provider "${name}"`;
+  }
+  return null;
+}
+
+// The provider and model a request will most likely be answered by (before any runtime
+// fallback), used to size the context for that model
+export function resolveModelChoice({ provider: providerName, model } = {}) {
+  const all = getProviders();
+  const primary = all[(providerName || getDefaultProviderName()).toLowerCase()];
+  const fallback = all[(process.env.LLM_FALLBACK_PROVIDER || 'extractive').toLowerCase()] || all.extractive;
+  const chosen = [primary, fallback, all.extractive].find(candidate => candidate?.isAvailable());
+  return {
+    provider: chosen.name,
+    model: chosen === primary && model ? model : chosen.models[0]
+  };
+}
+
+// Try each model of one provider in turn; returns { text, model } or throws the last error.
+// shouldStop() aborts the retries (client went away, or a stream already emitted output).
+async function generateWithProvider(provider, preferredModel, call, shouldStop) {
+  const models = preferredModel
+    ? [preferredModel, ...provider.models.filter(m => m !== preferredModel)]
+    : provider.models;
+
+  if (models.length === 0) {
+    throw new Error(`No models configured for provider "${provider.name}"`);
+  }
+
+  let lastError;
+  for (let i = 0; i < models.length; i++) {
+    try {
+      console.log(`🤖 Trying ${provider.name} model: ${models[i]}`);
+      const text = await call(provider, models[i]);
+      console.log(`✅ Generated answer with ${provider.name}/${models[i]}`);
+      return { text, model: models[i] };
+    } catch (error) {
+      lastError = error;
+      console.log(`⚠️  ${provider.name}/${models[i]} failed: ${error.message}`);
+      if (shouldStop()) {
+        throw error;
+      }
+
+      // Back off longer when rate limited before trying the next model
+      if (i < models.length - 1 && provider.retryDelay > 0) {
+        const delay = error.response?.status === 429 ? provider.retryDelay * 2 : provider.retryDelay;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  throw lastError;
+}
+
+// Run call(provider, model) with the chosen (or default) provider, falling back to
+// LLM_FALLBACK_PROVIDER and finally the extractive provider. Tasks that need a real
+// model (e.g. rewriting a question) pass extractiveFallback: false and get an error instead.
+async function runWithFallback(options, call, hasOutput = () => false) {
+  const { provider: providerName, model, signal, extractiveFallback = true } = options;
+  const all = getProviders();
+  const primaryName = (providerName || getDefaultProviderName()).toLowerCase();
+  const fallbackName = (process.env.LLM_FALLBACK_PROVIDER || 'extractive').toLowerCase();
+  const primary = all[primaryName];
+  const shouldStop = () => Boolean(signal?.aborted) || hasOutput();
+
+  if (!primary) {
+    throw new Error(`Unknown LLM provider "${primaryName}"`);
+  }
+
+  if (primary.isAvailable() && (extractiveFallback || primary !== all.extractive)) {
+    try {
+      const result = await generateWithProvider(primary, model, call, shouldStop);
+      return { ...result, provider: primary.name, fallback: false };
+    } catch (error) {
+      console.error(`Answer generation error (${primary.name}):`, error.message);
+      if (shouldStop()) throw error;
+    }
+  } else {
+    console.log(`ℹ️  ${primary.name} is not configured, using ${fallbackName} provider`);
+  }
+
+  const fallback = all[fallbackName] || all.extractive;
+  if (fallback !== primary && fallback.isAvailable() && (extractiveFallback || fallback !== all.extractive)) {
+    console.log(`🛠️  Falling back to ${fallback.name} provider`);
+    try {
+      const result = await generateWithProvider(fallback, undefined, call, shouldStop);
+      return { ...result, provider: fallback.name, fallback: true };
+    } catch (error) {
+      console.error(`Answer generation error (${fallback.name}):`, error.message);
+      if (shouldStop()) throw error;
+    }
+  }
+
+  if (!extractiveFallback) {
+    throw new Error('No language model is available');
+  }
+
+  // The extractive provider never needs the network, so it always has the last word
+  const text = await call(all.extractive, all.extractive.models[0]);
+  return { text, model: all.extractive.models[0], provider: 'extractive', fallback: true };
+}
+
+// With options.usage (see lib/usage.js), add each model call's token counts to the meter
+// under options.usageKind. Providers report counts through onUsage when the API returns them;
+// otherwise the meter estimates them from the prompt and reply.
+function metered(request, { usage, usageKind = 'answer' }, call) {
+  if (!usage) return call;
+  return async (provider, model) => {
+    let reported = null;
+    const onUsage = (tokens) => {
+      reported = tokens;
+    };
+    try {
+      const text = await call(provider, model, onUsage);
+      usage.add({ kind: usageKind, provider: provider.name, model, ...reported, input: request.prompt, output: text });
+      return text;
+    } catch (error) {
+      // A call that failed part-way (e.g. a cancelled stream) may still have been billed
+      if (reported) {
+        usage.add({ kind: usageKind, provider: provider.name, model, ...reported });
+      }
+      throw error;
+    }
+  };
+}
+
+// Generate text for { prompt, context, question }. Resolves to { text, provider, model, fallback }.
+export function generateText(request, options = {}) {
+  return runWithFallback(options, metered(request, options, (provider, model, onUsage) =>
+    provider.generate(request, model, { signal: options.signal, onUsage })
+  ));
+}
+
+// Like generateText, but passes partial output to onToken as it is produced. Once any
+// output has been sent it can't be retracted, so later failures are not retried.
+export function streamText(request, options = {}, onToken) {
+  let emitted = false;
+  const emit = (text) => {
+    emitted = true;
+    onToken(text);
+  };
+
+  return runWithFallback(
+    options,
+    metered(request, options, (provider, model, onUsage) =>
+      provider.stream(request, model, emit, { signal: options.signal, onUsage })
+    ),
+    () => emitted
+  );
+}
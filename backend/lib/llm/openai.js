@@ -0,0 +1,79 @@
+// backend/lib/llm/openai.js - Any OpenAI-compatible /chat/completions endpoint
+// (OpenAI, llama.cpp server, Ollama's /v1, vLLM, LM Studio)
+import axios from 'axios';
+import { readEventStream } from './sse.js';
+
+// Token counts from a response's usage block, when present
+function readUsage(data) {
+  const usage = data?.usage;
+  if (!usage || !Number.isFinite(usage.prompt_tokens)) return null;
+  return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens || 0 };
+}
+
+export function createOpenAILLM({ baseUrl, apiKey, models, temperature, maxTokens, timeout }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const body = (prompt, model, stream) => ({
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature,
+    max_tokens: maxTokens,
+    stream,
+    // Ask for token counts in the final chunk (ignored by servers that don't support it)
+    ...(stream ? { stream_options: { include_usage: true } } : {})
+  });
+
+  return {
+    name: 'openai',
+    models,
+
+    isAvailable() {
+      return Boolean(baseUrl) && models.length > 0;
+    },
+
+    async generate({ prompt }, model, { signal, onUsage } = {}) {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        body(prompt, model, false),
+        { headers, timeout, signal }
+      );
+
+      const usage = readUsage(response.data);
+      if (usage) onUsage?.(usage);
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error('Invalid response format from chat completion endpoint');
+      }
+      return text.trim();
+    },
+
+    // Stream partial text through onToken; resolves to the full text
+    async stream({ prompt }, model, onToken, { signal, onUsage } = {}) {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        body(prompt, model, true),
+        { headers, timeout, signal, responseType: 'stream' }
+      );
+
+      let text = '';
+      await readEventStream(response.data, (event) => {
+        const usage = readUsage(event);
+        if (usage) onUsage?.(usage);
+        const piece = event.choices?.[0]?.delta?.content || '';
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      });
+
+      if (!text) {
+        throw new Error('Empty streaming response from chat completion endpoint');
+      }
+      return text.trim();
+    }
+  };
+}
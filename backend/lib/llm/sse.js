@@ -0,0 +1,23 @@
+// backend/lib/llm/sse.js - Minimal reader for upstream server-sent event streams
+
+// Call onData with each parsed `data:` payload from an axios response stream
+export async function readEventStream(stream, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    onData(JSON.parse(payload));
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+}
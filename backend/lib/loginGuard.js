@@ -0,0 +1,106 @@
+// backend/lib/loginGuard.js - Rate limiting, progressive lockout and audit for sign-in
+//
+// Two independent limits protect /api/login and /api/signup:
+//   - per IP: at most AUTH_RATE_LIMIT attempts (default 20) per AUTH_RATE_WINDOW_MS
+//     (default 15 minutes), successful or not
+//   - per username: LOCKOUT_THRESHOLD failed logins (default 5) within LOCKOUT_WINDOW_MS
+//     (default 15 minutes) lock the username for LOCKOUT_BASE_MS (default 1 minute). Every
+//     further lockout within a day doubles the lock, up to LOCKOUT_MAX_MS (default 1 hour).
+// Counters live in the configured rate-limit store (see rateLimit/index.js). Failed attempts,
+// lockouts and rejected sign-ups are written to the AuthEvent audit log.
+import AuthEvent from '../models/AuthEvent.js';
+import { getRateLimitStore } from './rateLimit/index.js';
+
+const MINUTE_MS = 60 * 1000;
+const RATE_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT, 10) || 20;
+const RATE_WINDOW_MS = parseInt(process.env.AUTH_RATE_WINDOW_MS, 10) || 15 * MINUTE_MS;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_WINDOW_MS = parseInt(process.env.LOCKOUT_WINDOW_MS, 10) || 15 * MINUTE_MS;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOCKOUT_BASE_MS, 10) || MINUTE_MS;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOCKOUT_MAX_MS, 10) || 60 * MINUTE_MS;
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE_MS;
+
+const usernameKey = (username) => String(username).trim().toLowerCase();
+
+function describeWait(ms) {
+  const minutes = Math.ceil(ms / MINUTE_MS);
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+// Write an audit record without letting a logging failure break sign-in
+export async function recordAuthEvent(type, req, { username, user, reason } = {}) {
+  try {
+    await AuthEvent.create({
+      type,
+      username: typeof username === 'string' ? username.substring(0, 100) : undefined,
+      user: user?._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')?.substring(0, 300),
+      reason
+    });
+  } catch (error) {
+    console.error('Auth audit error:', error.message);
+  }
+}
+
+// Express middleware counting every attempt from one IP for the given action
+export function limitByIp(action) {
+  return async (req, res, next) => {
+    try {
+      const { count, expiresAt } = await getRateLimitStore().increment(`auth:${action}:ip:${req.ip}`, RATE_WINDOW_MS);
+      if (count > RATE_LIMIT) {
+        const waitMs = expiresAt.getTime() - Date.now();
+        if (count === RATE_LIMIT + 1) {
+          await recordAuthEvent('rate_limited', req, { username: req.body?.username, reason: `${action} from IP` });
+        }
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: `Too many attempts. Please try again in ${describeWait(waitMs)}.`,
+          retryAfter: Math.ceil(waitMs / 1000)
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Rate limit error:', error.message);
+      next();
+    }
+  };
+}
+
+// Milliseconds until the username may try again, or 0 when it isn't locked
+export async function getLockoutRemaining(username) {
+  const lock = await getRateLimitStore().get(`auth:lock:${usernameKey(username)}`);
+  return lock ? Math.max(lock.expiresAt.getTime() - Date.now(), 0) : 0;
+}
+
+// Count a failed login; locks the username once it reaches the threshold.
+// Resolves to the lock duration in ms when this failure caused a lockout, otherwise 0.
+export async function recordLoginFailure(username) {
+  const store = getRateLimitStore();
+  const key = usernameKey(username);
+  const { count } = await store.increment(`auth:fail:${key}`, LOCKOUT_WINDOW_MS);
+  if (count < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const { count: lockouts } = await store.increment(`auth:lockouts:${key}`, LOCKOUT_MEMORY_MS);
+  const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (lockouts - 1), LOCKOUT_MAX_MS);
+  await store.set(`auth:lock:${key}`, lockouts, lockMs);
+  await store.delete(`auth:fail:${key}`);
+  return lockMs;
+}
+
+// A successful login clears the failure count (earlier lockouts still escalate the next one)
+export async function recordLoginSuccess(username) {
+  await getRateLimitStore().delete(`auth:fail:${usernameKey(username)}`);
+}
+
+export function lockedOutResponse(res, remainingMs) {
+  res.set('Retry-After', String(Math.ceil(remainingMs / 1000)));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts for this account. Please try again in ${describeWait(remainingMs)}.`,
+    retryAfter: Math.ceil(remainingMs / 1000)
+  });
+}
@@ -0,0 +1,71 @@
+// backend/lib/passwordPolicy.js - Rules new passwords must satisfy
+//
+// PASSWORD_MIN_LENGTH (default 8) and PASSWORD_MAX_LENGTH (default 128) bound the length,
+// PASSWORD_REQUIRE_MIXED=true also asks for both letters and digits, and the password must
+// not be the username or appear in the breached-password list (BREACHED_PASSWORDS_FILE,
+// default security/breached-passwords.txt). The list holds one password per line; lines that
+// are SHA-1 hashes (optionally "HASH:count", as in Have I Been Pwned downloads) are matched
+// against the password's hash instead, so a trimmed HIBP export can be used as is.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LENGTH = parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128;
+const REQUIRE_MIXED = process.env.PASSWORD_REQUIRE_MIXED === 'true';
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '..', 'security', 'breached-passwords.txt');
+
+const SHA1_LINE = /^([0-9a-f]{40})(:\d+)?$/i;
+
+let breached;
+
+function loadBreachedPasswords() {
+  const list = { plain: new Set(), sha1: new Set() };
+  if (!fs.existsSync(BREACHED_PASSWORDS_FILE)) {
+    console.log(`⚠️  Breached-password list not found at ${BREACHED_PASSWORDS_FILE}, skipping that check`);
+    return list;
+  }
+
+  for (const line of fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8').split(/\r?\n/)) {
+    const entry = line.trim();
+    if (!entry || entry.startsWith('#')) continue;
+    const hashed = entry.match(SHA1_LINE);
+    if (hashed) list.sha1.add(hashed[1].toUpperCase());
+    else list.plain.add(entry.toLowerCase());
+  }
+  console.log(`🔐 Loaded ${list.plain.size + list.sha1.size} breached passwords`);
+  return list;
+}
+
+export function isBreachedPassword(password) {
+  if (!breached) {
+    breached = loadBreachedPasswords();
+  }
+  if (breached.plain.has(password.toLowerCase())) return true;
+  if (breached.sha1.size === 0) return false;
+  return breached.sha1.has(crypto.createHash('sha1').update(password).digest('hex').toUpperCase());
+}
+
+// Returns an error message, or null if the password is acceptable
+export function checkPassword(password, { username } = {}) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (password.length > MAX_LENGTH) {
+    return `Password must be at most ${MAX_LENGTH} characters`;
+  }
+  if (REQUIRE_MIXED && !(/[a-z]/i.test(password) && /\d/.test(password))) {
+    return 'Password must contain both letters and numbers';
+  }
+  if (username && password.toLowerCase() === username.toLowerCase()) {
+    return 'Password must not be the same as the username';
+  }
+  if (isBreachedPassword(password)) {
+    return 'This password has appeared in a data breach. Please choose a different one';
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+// backend/lib/pdf.js - PDF text extraction and chunking shared by ingestion
+import crypto from 'crypto';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+
+export const CHUNK_SIZE = 1000;
+export const CHUNK_OVERLAP = 200;
+
+// Content hash used to detect already-ingested (or changed) files
+export function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Human-readable case title from the PDF file name
+export function titleFromFileName(fileName) {
+  return fileName.replace(/\.pdf$/i, '').replace(/_/g, ' ');
+}
+
+// Id of a corpus chunk in ChromaDB (and the keyword and citation indexes)
+export function chunkId(fileName, index) {
+  return `${fileName}_chunk_${index}`;
+}
+
+// Same text extraction as pdf-parse's default page renderer
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+// Extract plain text from a PDF buffer, remembering where each page starts in the text
+export async function extractPdfText(buffer) {
+  const pages = [];
+  const { text, numpages } = await pdfParse(buffer, {
+    pagerender: pageData => renderPage(pageData).then(pageText => {
+      pages.push(pageText);
+      return pageText;
+    })
+  });
+
+  // pdf-parse joins pages as "\n\n" + page, so page n starts right after its separator
+  const pageOffsets = [];
+  let offset = 0;
+  for (const pageText of pages) {
+    offset += 2;
+    pageOffsets.push(offset);
+    offset += pageText.length;
+  }
+
+  return { text: text || '', numPages: numpages, pages, pageOffsets };
+}
+
+// 1-based page number containing a character offset
+function pageAt(pageOffsets, offset) {
+  let low = 0;
+  let high = pageOffsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pageOffsets[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+// Character range [start, end) of each chunk in the text, or null when it can't be found
+// (chunks appear in order, overlapping their predecessor)
+export function chunkOffsets(text, chunks) {
+  let cursor = 0;
+  return chunks.map(chunk => {
+    const start = text.indexOf(chunk, cursor);
+    if (start === -1) return null;
+    cursor = start + 1;
+    return { start, end: start + chunk.length };
+  });
+}
+
+// Page range covered by each chunk
+export function locateChunks(text, chunks, pageOffsets) {
+  return chunkOffsets(text, chunks).map(range => {
+    if (!range || pageOffsets.length === 0) {
+      return { pageStart: null, pageEnd: null };
+    }
+    return {
+      pageStart: pageAt(pageOffsets, range.start),
+      pageEnd: pageAt(pageOffsets, range.end - 1)
+    };
+  });
+}
+
+// Split text into overlapping chunks (deterministic, so chunk ids are stable across runs)
+export async function splitText(text) {
+  const splitter = new RecursiveCharacterTextSplitter({
+    chunkSize: CHUNK_SIZE,
+    chunkOverlap: CHUNK_OVERLAP
+  });
+
+  const docs = await splitter.createDocuments([text]);
+  return docs.map(doc => doc.pageContent);
+}
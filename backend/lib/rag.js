@@ -0,0 +1,284 @@
+// backend/lib/rag.js - Retrieval, context assembly and grounded answer generation for /api/query
+import { generateQueryEmbedding, getEmbeddingProvider } from './embeddings/index.js';
+import { generateText, streamText, resolveModelChoice } from './llm/index.js';
+import { hashKey, normalizeQuestion, readCache, writeCache } from './cache/index.js';
+import { getSearchIndex, searchIndex } from './bm25.js';
+import { getCitationGraph, citationBoosts } from './citations.js';
+import { COLLECTION_NAME } from './chroma.js';
+
+// Chroma returns squared L2 distance; for unit vectors that maps to cosine similarity as 1 - d/2
+export function distanceToScore(distance) {
+  return Number(Math.max(0, 1 - distance / 2).toFixed(4));
+}
+
+// Retrieval modes accepted by /api/query: embeddings only, BM25 only, or both fused
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+export const DEFAULT_RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RETRIEVAL_MODE)
+  ? process.env.RETRIEVAL_MODE
+  : 'hybrid';
+
+// Reciprocal rank fusion constant and how many candidates each retriever contributes
+const RRF_K = parseInt(process.env.RRF_K, 10) || 60;
+const HYBRID_CANDIDATES = parseInt(process.env.HYBRID_CANDIDATES, 10) || 20;
+
+// Whether keyword search can run (the index is built by npm run preprocess)
+export function keywordIndexAvailable() {
+  return getSearchIndex(COLLECTION_NAME) !== null;
+}
+
+// Squared L2 distance, the same measure Chroma reports for its own results
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return sum;
+}
+
+async function vectorSearch(collection, queryEmbedding, { limit, where }) {
+  // Use ChromaDB's query with manual embeddings
+  const results = await collection.query({
+    queryEmbeddings: [queryEmbedding], // Use manual embeddings instead of queryTexts
+    nResults: limit,
+    ...(where && { where }),
+    include: ['documents', 'metadatas', 'distances']
+  });
+
+  return (results.documents[0] || []).map((document, i) => ({
+    id: results.ids[0][i],
+    document,
+    metadata: results.metadatas[0][i] || {},
+    distance: results.distances[0][i]
+  }));
+}
+
+// Load text and metadata for chunks found only by keyword search, with their vector
+// distance when there is a query embedding to compare against
+async function fetchChunks(collection, ids, queryEmbedding) {
+  if (ids.length === 0) return new Map();
+  const results = await collection.get({
+    ids,
+    include: ['documents', 'metadatas', ...(queryEmbedding ? ['embeddings'] : [])]
+  });
+
+  return new Map(results.ids.map((id, i) => [id, {
+    id,
+    document: results.documents[i] || '',
+    metadata: results.metadatas[i] || {},
+    distance: queryEmbedding && results.embeddings?.[i]
+      ? squaredDistance(queryEmbedding, results.embeddings[i])
+      : null
+  }]));
+}
+
+// Merge ranked lists by reciprocal rank fusion: score = sum of 1 / (RRF_K + rank)
+function fuseRankings(vectorHits, keywordHits) {
+  const fused = new Map();
+  const entry = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { id, rrfScore: 0, vectorRank: null, keywordRank: null, bm25Score: null });
+    }
+    return fused.get(id);
+  };
+
+  vectorHits.forEach((hit, i) => {
+    const item = entry(hit.id);
+    item.vectorRank = i + 1;
+    item.rrfScore += 1 / (RRF_K + i + 1);
+  });
+  keywordHits.forEach((hit, i) => {
+    const item = entry(hit.id);
+    item.keywordRank = i + 1;
+    item.bm25Score = hit.score;
+    item.rrfScore += 1 / (RRF_K + i + 1);
+  });
+
+  return [...fused.values()].sort((a, b) => b.rrfScore - a.rrfScore);
+}
+
+// Add the chunks that cite the best-matching judgments to the matches and work out which
+// matches the re-ranker should boost (see citations.js). Added chunks are found through the
+// citation graph, whatever their distance.
+async function addCitationRelated(collection, retrieved, { queryEmbedding, filenames }) {
+  const { boosts, addIds } = citationBoosts(getCitationGraph(COLLECTION_NAME), retrieved.matches, { filenames });
+  if (addIds.length === 0) return { ...retrieved, boosts };
+
+  const fetched = await fetchChunks(collection, addIds, queryEmbedding);
+  const added = addIds
+    .filter(id => fetched.has(id))
+    .map(id => ({ ...fetched.get(id), retrieval: { mode: retrieved.mode, vectorRank: null, keywordRank: null, citation: true } }));
+  console.log(`🔗 Added ${added.length} passages citing the best-matching judgments`);
+  return { ...retrieved, matches: [...retrieved.matches, ...added], boosts };
+}
+
+// Find the chunks for a question, optionally restricted by a Chroma where clause (and the
+// matching file names, for the keyword index; see lib/filters). Hybrid mode fuses both
+// rankings before the distance threshold, which then only drops chunks found by vector search alone.
+// Returns { matches, totalFound, mode, embeddingCached } where mode is the one actually used.
+// With citations (shared corpus only), passages citing the best matches are added and
+// boosts maps the chunk ids rerankMatches should lift. The question's embedding is added to
+// the usage meter, if given, unless it came from the cache.
+export async function retrieveMatches(collection, question, { k = 5, maxDistance = 1.5, where = null, filenames = null, mode = DEFAULT_RETRIEVAL_MODE, citations = false, usage } = {}) {
+  const keywordIndex = mode === 'vector' ? null : getSearchIndex(COLLECTION_NAME);
+  if (mode === 'hybrid' && !keywordIndex) {
+    console.log('ℹ️  No keyword index found, using vector search only');
+    mode = 'vector';
+  }
+  if (mode === 'keyword' && !keywordIndex) {
+    throw new Error('Keyword index is not available');
+  }
+
+  // Generate embedding for the question with the same provider used for preprocessing
+  const { embedding: queryEmbedding, cached: embeddingCached } = mode === 'keyword'
+    ? { embedding: null, cached: false }
+    : await generateQueryEmbedding(question);
+  if (queryEmbedding && usage && !embeddingCached) {
+    const embedder = getEmbeddingProvider();
+    usage.add({ kind: 'embedding', provider: embedder.name, model: embedder.model, input: question, outputTokens: 0 });
+  }
+
+  if (mode === 'vector') {
+    const documents = await vectorSearch(collection, queryEmbedding, { limit: k, where });
+    console.log(`📊 Found ${documents.length} matches`);
+    // Filter for good matches (distance < 1.5 is a good similarity threshold)
+    const matches = documents
+      .map((match, i) => ({ ...match, retrieval: { mode, vectorRank: i + 1 } }))
+      .filter(match => match.distance < maxDistance);
+    const retrieved = { matches, totalFound: documents.length, mode, embeddingCached };
+    return citations ? addCitationRelated(collection, retrieved, { queryEmbedding, filenames }) : retrieved;
+  }
+
+  const candidates = Math.max(k, HYBRID_CANDIDATES);
+  const keywordHits = searchIndex(keywordIndex, question, { limit: candidates, filenames });
+  const vectorHits = mode === 'hybrid'
+    ? await vectorSearch(collection, queryEmbedding, { limit: candidates, where })
+    : [];
+  const fused = fuseRankings(vectorHits, keywordHits);
+  console.log(`📊 Found ${vectorHits.length} vector and ${keywordHits.length} keyword matches (${fused.length} after fusion)`);
+
+  const known = new Map(vectorHits.map(hit => [hit.id, hit]));
+  const missing = fused.filter(item => !known.has(item.id)).map(item => item.id);
+  const fetched = await fetchChunks(collection, missing, queryEmbedding);
+
+  const matches = fused
+    // The keyword index can be briefly ahead of or behind Chroma while ingestion runs
+    .filter(item => known.has(item.id) || fetched.has(item.id))
+    .map(item => ({
+      ...(known.get(item.id) || fetched.get(item.id)),
+      retrieval: {
+        mode,
+        vectorRank: item.vectorRank,
+        keywordRank: item.keywordRank,
+        bm25Score: item.bm25Score,
+        rrfScore: Number(item.rrfScore.toFixed(5))
+      }
+    }))
+    // Keyword hits are kept whatever their distance: exact wording is the evidence for them
+    .filter(match => match.retrieval.keywordRank !== null || match.distance < maxDistance)
+    .slice(0, k);
+
+  const retrieved = { matches, totalFound: fused.length, mode, embeddingCached };
+  return citations ? addCitationRelated(collection, retrieved, { queryEmbedding, filenames }) : retrieved;
+}
+
+// subQueries, when the question was decomposed (see decompose.js), are listed as the parts
+// the answer has to cover
+export function buildAnswerPrompt(question, context, subQueries = null) {
+  const parts = subQueries?.length > 1
+    ? `\nTHE QUESTION HAS THESE PARTS (answer every one of them):\n${subQueries.map((query, i) => `${i + 1}. ${query}`).join('\n')}\n`
+    : '';
+  return `You are a helpful legal AI assistant. Based on the provided legal document excerpts, answer the user's question in a clear, informative, and conversational manner.
+
+INSTRUCTIONS:
+- Use the document context to provide accurate information
+- Write in a clear, professional but conversational tone
+- Focus on directly answering the user's specific question
+- If the documents contain relevant case details, summarize them helpfully
+- Cite the excerpts you rely on with their document number in square brackets, e.g. [1] or [2][3], right after the statement they support
+- Only cite document numbers that appear in the context, and do not cite anything else
+- If information is limited, acknowledge what you can and cannot determine from the documents
+- Do not make up information not found in the documents
+
+USER QUESTION: ${question}
+${parts}
+LEGAL DOCUMENT CONTEXT:
+${context}
+
+Please provide a helpful answer based on the above context, with [n] citations:`;
+}
+
+// Source ids referenced by [n] markers in the answer, in order of first appearance
+export function extractCitations(answer, sources) {
+  const valid = new Set(sources.map(source => source.id));
+  const cited = [];
+  for (const [, id] of answer.matchAll(/\[(\d+)\]/g)) {
+    const n = Number(id);
+    if (valid.has(n) && !cited.includes(n)) {
+      cited.push(n);
+    }
+  }
+  return cited;
+}
+
+// Answers are cached by the normalized question, the model expected to answer, the chunk ids
+// of the sources, the context text itself and any sub-queries, so re-ingested or re-ranked
+// passages miss
+function answerCacheKey(context, question, { provider, model, sources = [], subQueries = null }) {
+  const choice = resolveModelChoice({ provider, model });
+  const chunkIds = sources.flatMap(source => source.chunkIds || [source.chunkId]).join(',');
+  return hashKey(choice.provider, choice.model, normalizeQuestion(question), chunkIds, context, ...(subQueries ? [subQueries.join('\n')] : []));
+}
+
+// Answers produced by a fallback provider aren't cached, so the chosen model gets another try
+async function cacheAnswer(key, result) {
+  if (result.fallback || result.provider === 'extractive') return;
+  await writeCache('answer', key, { answer: result.answer, provider: result.provider, model: result.model });
+}
+
+// Generate an answer with the configured LLM provider (see lib/llm), or reuse a cached one
+// (cached: true). Pass options.sources from buildContext so the cache key covers them, and
+// options.subQueries for a decomposed question.
+export async function generateAnswer(context, question, options = {}) {
+  const key = answerCacheKey(context, question, options);
+  const hit = await readCache('answer', key);
+  if (hit) {
+    console.log('💾 Answer served from cache');
+    return { ...hit, fallback: false, cached: true };
+  }
+
+  const prompt = buildAnswerPrompt(question, context, options.subQueries);
+  const result = await generateText({ prompt, context, question }, options);
+  const answer = {
+    answer: result.text,
+    provider: result.provider,
+    model: result.model,
+    fallback: result.fallback,
+    cached: false
+  };
+  await cacheAnswer(key, answer);
+  return answer;
+}
+
+// Stream an answer token by token through onToken; resolves like generateAnswer. A cached
+// answer arrives as a single token.
+export async function streamAnswer(context, question, options = {}, onToken) {
+  const key = answerCacheKey(context, question, options);
+  const hit = await readCache('answer', key);
+  if (hit) {
+    console.log('💾 Answer served from cache');
+    onToken(hit.answer);
+    return { ...hit, fallback: false, cached: true };
+  }
+
+  const prompt = buildAnswerPrompt(question, context, options.subQueries);
+  const result = await streamText({ prompt, context, question }, options, onToken);
+  const answer = {
+    answer: result.text,
+    provider: result.provider,
+    model: result.model,
+    fallback: result.fallback,
+    cached: false
+  };
+  await cacheAnswer(key, answer);
+  return answer;
+}
@@ -0,0 +1,34 @@
+// backend/lib/rateLimit/index.js - Counter store for rate limits and lockouts
+//
+// RATE_LIMIT_STORE picks where counters live:
+//   memory  - in this process (default; fine for a single server)
+//   mongo   - in MongoDB, so limits hold across several servers
+//
+// A store keeps fixed-window counters: increment(key, windowMs) starts a window on the
+// first hit and resolves to { count, expiresAt }; get, set(key, count, ttlMs) and delete
+// work on the same counters.
+import { createMemoryStore } from './memory.js';
+import { createMongoStore } from './mongo.js';
+
+let store;
+
+function createStore() {
+  const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongo':
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected memory or mongo)`);
+  }
+}
+
+// The configured store (created lazily so dotenv has loaded first)
+export function getRateLimitStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
@@ -0,0 +1,45 @@
+// backend/lib/rateLimit/memory.js - In-process counter store (single server)
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore() {
+  const counters = new Map();
+
+  // Drop expired counters now and then so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (!counter || counter.expiresAt <= Date.now()) return null;
+    return counter;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const counter = current(key) || { count: 0, expiresAt: Date.now() + windowMs };
+      counter.count++;
+      counters.set(key, counter);
+      return { count: counter.count, expiresAt: new Date(counter.expiresAt) };
+    },
+
+    async get(key) {
+      const counter = current(key);
+      return counter ? { count: counter.count, expiresAt: new Date(counter.expiresAt) } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      counters.delete(key);
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// backend/lib/rateLimit/mongo.js - Counter store shared by every server through MongoDB
+import RateLimitCounter from '../../models/RateLimitCounter.js';
+
+export function createMongoStore() {
+  return {
+    name: 'mongo',
+
+    // One atomic update: restart the window if it has expired, otherwise count up
+    async increment(key, windowMs) {
+      const now = new Date();
+      const live = { $gt: ['$expiresAt', now] };
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+            expiresAt: { $cond: [live, '$expiresAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+      return { count: counter.count, expiresAt: counter.expiresAt };
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return counter ? { count: counter.count, expiresAt: counter.expiresAt } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      await RateLimitCounter.updateOne(
+        { key },
+        { $set: { count, expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+
+    async delete(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+}
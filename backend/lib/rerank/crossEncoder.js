@@ -0,0 +1,44 @@
+// backend/lib/rerank/crossEncoder.js - Cross-encoder served over HTTP
+//
+// Works with a local text-embeddings-inference server (POST /rerank { query, texts } ->
+// [{ index, score }]) and with Cohere/Jina-style endpoints (POST /rerank { model, query,
+// documents } -> { results: [{ index, relevance_score }] }).
+import axios from 'axios';
+
+export function createCrossEncoderReranker({ url, apiKey, model, timeout = 10000 } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: 'cross-encoder',
+    model: model || 'cross-encoder',
+
+    isAvailable() {
+      return Boolean(url);
+    },
+
+    async score(question, passages) {
+      const response = await axios.post(
+        url,
+        { model, query: question, texts: passages, documents: passages, raw_scores: false },
+        { headers, timeout }
+      );
+
+      const results = Array.isArray(response.data) ? response.data : response.data?.results;
+      if (!Array.isArray(results)) {
+        throw new Error('Invalid response format from re-rank endpoint');
+      }
+
+      const scores = new Array(passages.length).fill(0);
+      for (const result of results) {
+        const score = result.score ?? result.relevance_score;
+        if (Number.isInteger(result.index) && typeof score === 'number') {
+          scores[result.index] = score;
+        }
+      }
+      return scores;
+    }
+  };
+}
@@ -0,0 +1,134 @@
+// backend/lib/rerank/index.js - Re-ranking stage between retrieval and context assembly
+//
+// /api/query over-fetches RERANK_CANDIDATES chunks, scores them against the question with
+// the RERANKER backend and keeps the best ones, at most RERANK_MAX_PER_DOCUMENT per judgment:
+//   lexical        - offline query-term overlap heuristic (default)
+//   llm            - the configured language model grades each passage (RERANK_LLM_PROVIDER)
+//   cross-encoder  - a cross-encoder behind an HTTP /rerank endpoint (RERANK_API_URL,
+//                    RERANK_MODEL, RERANK_API_KEY)
+//   none           - keep the retrieval order
+// If the chosen backend fails, the lexical heuristic is used for that request.
+import { createLexicalReranker } from './lexical.js';
+import { createLlmReranker } from './llm.js';
+import { createCrossEncoderReranker } from './crossEncoder.js';
+
+export const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES, 10) || 30;
+const MAX_PER_DOCUMENT = parseInt(process.env.RERANK_MAX_PER_DOCUMENT, 10) || 2;
+
+let reranker;
+let lexical;
+
+function createReranker() {
+  const name = (process.env.RERANKER || 'lexical').toLowerCase();
+
+  switch (name) {
+    case 'none':
+      return null;
+    case 'lexical':
+      return createLexicalReranker();
+    case 'llm':
+      return createLlmReranker({ provider: process.env.RERANK_LLM_PROVIDER || undefined });
+    case 'cross-encoder':
+      return createCrossEncoderReranker({
+        url: process.env.RERANK_API_URL,
+        apiKey: process.env.RERANK_API_KEY,
+        model: process.env.RERANK_MODEL,
+        timeout: parseInt(process.env.RERANK_TIMEOUT_MS, 10) || 10000
+      });
+    default:
+      throw new Error(`Unknown RERANKER "${name}" (expected lexical, llm, cross-encoder or none)`);
+  }
+}
+
+// The configured re-ranker, or null when re-ranking is turned off
+export function getReranker() {
+  if (reranker === undefined) {
+    reranker = createReranker();
+  }
+  return reranker;
+}
+
+function getLexicalReranker() {
+  if (!lexical) {
+    lexical = createLexicalReranker();
+  }
+  return lexical;
+}
+
+// Best-first, but no judgment contributes more than maxPerDocument chunks unless there
+// aren't enough other judgments to fill k
+function selectDiverse(ranked, k, maxPerDocument) {
+  const selected = [];
+  const skipped = [];
+  const perDocument = new Map();
+
+  for (const match of ranked) {
+    if (selected.length >= k) break;
+    const documentKey = match.metadata.filename || match.id;
+    const count = perDocument.get(documentKey) || 0;
+    if (count < maxPerDocument) {
+      selected.push(match);
+      perDocument.set(documentKey, count + 1);
+    } else {
+      skipped.push(match);
+    }
+  }
+
+  return [...selected, ...skipped.slice(0, k - selected.length)];
+}
+
+// The reason for a boost, without its weight
+const describeBoost = ({ weight, ...reason }) => reason;
+
+// Order matches by score plus their boost (boosts: id -> { weight, ...reason }), where a
+// weight of 1 lifts a match by the whole spread of scores; ties keep the retrieval order
+function rankWithBoosts(matches, scores, boosts) {
+  const spread = Math.max(...scores) - Math.min(...scores) || 1;
+  return matches
+    .map((match, i) => {
+      const boost = boosts?.get(match.id) || null;
+      return { match, boost, adjusted: scores[i] + (boost ? boost.weight * spread : 0), position: i };
+    })
+    .sort((a, b) => b.adjusted - a.adjusted || a.position - b.position);
+}
+
+// Score matches against the question and keep the final k. Each returned match carries
+// rerank: { score, rank, reranker, boost? } (rank is its position among all candidates).
+// boosts (see retrieveMatches) lift related passages, e.g. ones citing the best-matching
+// judgments; a boosted match records the reason as rerank.boost.
+// Resolves to { matches, reranker } where reranker names the backend actually used.
+// Model calls made by the llm backend are added to the usage meter, if given.
+export async function rerankMatches(question, matches, { k = 5, maxPerDocument = MAX_PER_DOCUMENT, boosts = null, usage } = {}) {
+  const configured = getReranker();
+  if (!configured || matches.length === 0) {
+    // Without scores, retrieval order stands in for them
+    const kept = rankWithBoosts(matches, matches.map((_, i) => -i), boosts)
+      .map(({ match, boost }, i) => ({ ...match, rerank: { score: null, rank: i + 1, reranker: 'none', ...(boost && { boost: describeBoost(boost) }) } }));
+    return { matches: selectDiverse(kept, k, maxPerDocument), reranker: 'none' };
+  }
+
+  const passages = matches.map(match => match.document);
+  let used = configured.isAvailable() ? configured : getLexicalReranker();
+  let scores;
+  try {
+    scores = await used.score(question, passages, { usage });
+  } catch (error) {
+    console.log(`⚠️  ${used.name} re-ranking failed (${error.message}), using lexical re-ranker`);
+    used = getLexicalReranker();
+    scores = await used.score(question, passages);
+  }
+
+  const ranked = rankWithBoosts(matches, matches.map((_, i) => scores[i] ?? 0), boosts)
+    .map(({ match, boost, position }, i) => ({
+      ...match,
+      rerank: {
+        score: Number((scores[position] ?? 0).toFixed(4)),
+        rank: i + 1,
+        reranker: used.name,
+        ...(boost && { boost: describeBoost(boost) })
+      }
+    }));
+
+  console.log(`🏅 Re-ranked ${matches.length} candidates with ${used.name}`);
+  return { matches: selectDiverse(ranked, k, maxPerDocument), reranker: used.name };
+}
@@ -0,0 +1,61 @@
+// backend/lib/rerank/lexical.js - Offline re-ranker based on query term overlap
+//
+// Scores each passage by the IDF-weighted share of query terms it contains (IDF taken
+// over the candidate set), how many of the question's word pairs appear verbatim, and
+// whether every number in the question (section, article, year) is present.
+import { tokenizeForSearch } from '../bm25.js';
+
+const WEIGHTS = { coverage: 0.6, phrases: 0.25, numbers: 0.15 };
+
+function bigrams(tokens) {
+  const pairs = new Set();
+  for (let i = 1; i < tokens.length; i++) {
+    pairs.add(`${tokens[i - 1]} ${tokens[i]}`);
+  }
+  return pairs;
+}
+
+export function createLexicalReranker() {
+  return {
+    name: 'lexical',
+    model: 'term-overlap-v1',
+
+    isAvailable() {
+      return true;
+    },
+
+    async score(question, passages) {
+      const queryTokens = tokenizeForSearch(question);
+      const queryTerms = [...new Set(queryTokens)];
+      const queryPairs = bigrams(queryTokens);
+      const numbers = queryTerms.filter(term => /^\d+$/.test(term));
+
+      const tokenized = passages.map(passage => tokenizeForSearch(passage));
+      const termSets = tokenized.map(tokens => new Set(tokens));
+
+      const idf = new Map(queryTerms.map(term => {
+        const df = termSets.filter(terms => terms.has(term)).length;
+        return [term, Math.log(1 + passages.length / (1 + df))];
+      }));
+      const totalIdf = queryTerms.reduce((sum, term) => sum + idf.get(term), 0);
+
+      return tokenized.map((tokens, i) => {
+        const terms = termSets[i];
+        const coverage = totalIdf > 0
+          ? queryTerms.filter(term => terms.has(term)).reduce((sum, term) => sum + idf.get(term), 0) / totalIdf
+          : 0;
+
+        const pairs = bigrams(tokens);
+        const phrases = queryPairs.size > 0
+          ? [...queryPairs].filter(pair => pairs.has(pair)).length / queryPairs.size
+          : coverage;
+
+        const numberScore = numbers.length > 0
+          ? numbers.filter(number => terms.has(number)).length / numbers.length
+          : coverage;
+
+        return WEIGHTS.coverage * coverage + WEIGHTS.phrases * phrases + WEIGHTS.numbers * numberScore;
+      });
+    }
+  };
+}
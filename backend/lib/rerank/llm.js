@@ -0,0 +1,58 @@
+// backend/lib/rerank/llm.js - LLM-judge re-ranker
+//
+// Sends the question and the (shortened) candidates to the configured language model in a
+// single prompt and asks for a 0-10 relevance grade per passage.
+import { generateText } from '../llm/index.js';
+
+const PASSAGE_CHARS = 600;
+
+function buildJudgePrompt(question, passages) {
+  const numbered = passages.map((passage, i) => {
+    const text = passage.length > PASSAGE_CHARS ? `${passage.substring(0, PASSAGE_CHARS)}...` : passage;
+    return `[${i + 1}] ${text.replace(/\s+/g, ' ')}`;
+  }).join('\n\n');
+
+  return `You are ranking excerpts from Indian court judgments by how useful they are for answering a question.
+Grade every passage from 0 (irrelevant) to 10 (directly answers the question).
+Reply with one line per passage in the form "n: grade" and nothing else.
+
+QUESTION: ${question}
+
+PASSAGES:
+${numbered}
+
+GRADES:`;
+}
+
+export function createLlmReranker({ provider } = {}) {
+  return {
+    name: 'llm',
+    model: provider || 'default',
+
+    isAvailable() {
+      return true;
+    },
+
+    async score(question, passages, { usage } = {}) {
+      const result = await generateText(
+        { prompt: buildJudgePrompt(question, passages), context: '', question },
+        { provider, extractiveFallback: false, usage, usageKind: 'rerank' }
+      );
+      this.model = `${result.provider}/${result.model}`;
+
+      const scores = new Array(passages.length).fill(0);
+      let graded = 0;
+      for (const [, n, grade] of result.text.matchAll(/\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/g)) {
+        const index = Number(n) - 1;
+        if (index >= 0 && index < passages.length) {
+          scores[index] = Math.min(Number(grade), 10) / 10;
+          graded++;
+        }
+      }
+      if (graded === 0) {
+        throw new Error('Judge reply contained no grades');
+      }
+      return scores;
+    }
+  };
+}
@@ -0,0 +1,93 @@
+// backend/lib/searchOptions.js - Per-request retrieval settings for /api/query
+//
+// A query may tune how it searches; anything left out uses the server default:
+//   k                 - passages kept for the answer context (default CONTEXT_MAX_CHUNKS,
+//                       at most QUERY_MAX_K, default 20)
+//   minScore          - similarity threshold from 0 to 1 for vector matches (default
+//                       RETRIEVAL_MIN_SCORE, 0.25, i.e. a squared distance of 1.5)
+//   maxContextTokens  - token budget for the context sent to the model (default: the model's
+//                       profile, see lib/context.js; from 500 to QUERY_MAX_CONTEXT_TOKENS, 16000)
+//   mode              - vector, keyword or hybrid (default RETRIEVAL_MODE)
+//   decompose         - split compound questions into sub-queries searched separately
+//                       (default QUERY_DECOMPOSE, false; see lib/decompose.js)
+import { RETRIEVAL_MODES, DEFAULT_RETRIEVAL_MODE } from './rag.js';
+import { CONTEXT_MAX_CHUNKS } from './context.js';
+
+const MIN_SCORE_LIMIT = 0.95;
+const MIN_CONTEXT_TOKENS = 500;
+
+function numberSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Defaults and limits, also sent to the client for the Advanced search controls
+export function getSearchSettings() {
+  return {
+    defaults: {
+      k: CONTEXT_MAX_CHUNKS,
+      minScore: Math.min(Math.max(numberSetting('RETRIEVAL_MIN_SCORE', 0.25), 0), MIN_SCORE_LIMIT),
+      maxContextTokens: null,
+      mode: DEFAULT_RETRIEVAL_MODE,
+      decompose: process.env.QUERY_DECOMPOSE === 'true'
+    },
+    limits: {
+      k: { min: 1, max: Math.max(parseInt(process.env.QUERY_MAX_K, 10) || 20, 1) },
+      minScore: { min: 0, max: MIN_SCORE_LIMIT },
+      maxContextTokens: { min: MIN_CONTEXT_TOKENS, max: Math.max(parseInt(process.env.QUERY_MAX_CONTEXT_TOKENS, 10) || 16000, MIN_CONTEXT_TOKENS) },
+      modes: RETRIEVAL_MODES
+    }
+  };
+}
+
+// Convert a similarity score (see rag.distanceToScore) to the squared distance cutoff
+export function scoreToDistance(score) {
+  return 2 * (1 - score);
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate the search settings of a query request; returns { options } with defaults
+// filled in, or { error }
+export function parseSearchOptions({ k, minScore, maxContextTokens, mode, decompose } = {}) {
+  const { defaults, limits } = getSearchSettings();
+  const options = { ...defaults };
+
+  if (!isBlank(k)) {
+    if (!Number.isInteger(k) || k < limits.k.min || k > limits.k.max) {
+      return { error: `k must be a whole number from ${limits.k.min} to ${limits.k.max}` };
+    }
+    options.k = k;
+  }
+
+  if (!isBlank(minScore)) {
+    if (typeof minScore !== 'number' || !Number.isFinite(minScore) || minScore < limits.minScore.min || minScore > limits.minScore.max) {
+      return { error: `minScore must be a number from ${limits.minScore.min} to ${limits.minScore.max}` };
+    }
+    options.minScore = minScore;
+  }
+
+  if (!isBlank(maxContextTokens)) {
+    const { min, max } = limits.maxContextTokens;
+    if (!Number.isInteger(maxContextTokens) || maxContextTokens < min || maxContextTokens > max) {
+      return { error: `maxContextTokens must be a whole number from ${min} to ${max}` };
+    }
+    options.maxContextTokens = maxContextTokens;
+  }
+
+  if (!isBlank(mode)) {
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      return { error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` };
+    }
+    options.mode = mode;
+  }
+
+  if (!isBlank(decompose)) {
+    if (typeof decompose !== 'boolean') {
+      return { error: 'decompose must be true or false' };
+    }
+    options.decompose = decompose;
+  }
+
+  return { options };
+}
@@ -0,0 +1,149 @@
+// backend/lib/tokens.js - Access tokens, rotating refresh tokens and revocation
+//
+// Login issues a short-lived access token (JWT, ACCESS_TOKEN_TTL) and a refresh token
+// (random, REFRESH_TOKEN_DAYS) that is sent to the browser as an httpOnly cookie and stored
+// in MongoDB only as a SHA-256 hash. Each refresh rotates the refresh token; presenting a
+// token that was already rotated (outside a short grace period for parallel tabs) is
+// treated as theft and revokes the whole session. Logging out revokes the session and adds
+// the access token's jti to the revocation list; "log out of all devices" revokes every
+// session and invalidates all access tokens issued before it.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+export const REFRESH_COOKIE = 'refresh_token';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const REUSE_GRACE_MS = 10 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(userId, session) {
+  return jwt.sign({ id: userId, sid: session }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+async function createRefreshToken(userId, session, req) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent')?.substring(0, 300),
+    ip: req.ip
+  });
+  return token;
+}
+
+// Start a new session for a user who just signed up or logged in
+export async function issueTokens(user, req) {
+  const session = crypto.randomUUID();
+  return {
+    token: signAccessToken(user._id, session),
+    refreshToken: await createRefreshToken(user._id, session, req)
+  };
+}
+
+// Exchange a refresh token for a new access token and refresh token. Resolves to
+// { token, refreshToken, user } or { error: { status, message } }.
+export async function rotateRefreshToken(refreshToken, req) {
+  const invalid = { error: { status: 401, message: 'Invalid refresh token' } };
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return invalid;
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.revokedAt || stored.expiresAt < new Date()) {
+    return invalid;
+  }
+
+  // Rotate atomically so two requests can't both use the same token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, rotatedAt: { $exists: false } },
+    { $set: { rotatedAt: new Date() } }
+  );
+  if (!rotated && Date.now() - stored.rotatedAt > REUSE_GRACE_MS) {
+    console.log(`🚨 Refresh token reuse for user ${stored.user}, revoking session ${stored.session}`);
+    await revokeSession(stored.session);
+    return invalid;
+  }
+
+  const user = await User.findById(stored.user, { username: 1, role: 1, disabled: 1 });
+  if (!user) {
+    return invalid;
+  }
+  if (user.disabled) {
+    await revokeSession(stored.session);
+    return { error: { status: 403, message: 'Account disabled' } };
+  }
+
+  return {
+    token: signAccessToken(user._id, stored.session),
+    refreshToken: await createRefreshToken(user._id, stored.session, req),
+    user
+  };
+}
+
+// Revoke every refresh token of one session
+export async function revokeSession(session) {
+  await RefreshToken.updateMany({ session, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } });
+}
+
+// Put an access token on the revocation list until it would have expired anyway
+export async function revokeAccessToken(payload) {
+  if (!payload.jti || !payload.exp) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { user: payload.id, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+}
+
+// Log a user out everywhere: revoke all refresh tokens and every access token issued so far
+export async function revokeAllSessions(userId) {
+  await RefreshToken.updateMany({ user: userId, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } });
+  await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+}
+
+// Whether a verified access token was revoked (by logout or by logging out everywhere)
+export async function isAccessTokenRevoked(payload, user) {
+  if (user.tokensValidAfter && payload.iat * 1000 < user.tokensValidAfter.getTime() - 1000) {
+    return true;
+  }
+  return Boolean(payload.jti && (await RevokedToken.exists({ jti: payload.jti })));
+}
+
+// The refresh token cookie; the browser only sends it to the auth routes under /api
+export function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE === 'true',
+    sameSite: 'lax',
+    path: '/api',
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api' });
+}
+
+// Read the refresh token from the Cookie header (no cookie-parser needed for one cookie)
+export function readRefreshCookie(req) {
+  const cookies = req.headers.cookie?.split(';') || [];
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (cookie.substring(0, separator).trim() === REFRESH_COOKIE) {
+      return decodeURIComponent(cookie.substring(separator + 1).trim());
+    }
+  }
+  return null;
+}
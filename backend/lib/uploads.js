@@ -0,0 +1,180 @@
+// backend/lib/uploads.js - Storage and background ingestion of user uploads
+//
+// Each user's files live under UPLOAD_DIR/<user id>/ and are chunked and embedded with the
+// same pipeline as the shared corpus into that user's own Chroma collection
+// (<CHROMA_COLLECTION>_user_<user id>). Ingestion runs as a background job and records its
+// progress on the UserDocument as well as on the job.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import UserDocument from '../models/UserDocument.js';
+import { chroma, COLLECTION_NAME } from './chroma.js';
+import {
+  generateEmbedding,
+  getEmbeddingProvider,
+  getEmbeddingSignature,
+  checkEmbeddingSignature,
+  sleep
+} from './embeddings/index.js';
+import { splitText, locateChunks } from './pdf.js';
+import { extractDocumentText } from './extract.js';
+import { retrieveMatches } from './rag.js';
+import { isJobCancelled, permanentError } from './jobs/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const CHUNK_BATCH_SIZE = parseInt(process.env.INGEST_CHUNK_BATCH, 10) || 10;
+const EMBED_DELAY_MS = parseInt(process.env.EMBED_DELAY_MS, 10) || 1000;
+
+export function userCollectionName(userId) {
+  return `${COLLECTION_NAME}_user_${userId}`;
+}
+
+export function uploadPath(doc) {
+  return path.join(UPLOAD_DIR, String(doc.user), doc.storedName);
+}
+
+// Save an uploaded buffer under the user's folder
+export function storeUploadFile(doc, buffer) {
+  fs.mkdirSync(path.dirname(uploadPath(doc)), { recursive: true });
+  fs.writeFileSync(uploadPath(doc), buffer);
+}
+
+export function removeUploadFile(doc) {
+  fs.rmSync(uploadPath(doc), { force: true });
+}
+
+// The user's private collection; null if it doesn't exist and create is false
+export async function getUserCollection(userId, { create = false } = {}) {
+  const name = userCollectionName(userId);
+  if (!create) {
+    try {
+      return await chroma.getCollection({ name });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const signature = await getEmbeddingSignature();
+  const collection = await chroma.getOrCreateCollection({ name, metadata: signature });
+  const mismatch = checkEmbeddingSignature(collection.metadata, signature);
+  if (mismatch && (await collection.count()) > 0) {
+    throw new Error(mismatch);
+  }
+  return collection;
+}
+
+// Remove every chunk of one upload from the user's collection
+export async function deleteUploadChunks(doc) {
+  const collection = await getUserCollection(doc.user);
+  if (collection) {
+    await collection.delete({ where: { document_id: String(doc._id) } });
+  }
+}
+
+function chunkMetadata(doc, chunk, totalChunks) {
+  const metadata = {
+    // Shared-corpus code groups chunks by filename, so uploads get a unique one
+    filename: `upload_${doc._id}`,
+    source: doc.originalName,
+    title: doc.originalName.replace(/\.(pdf|docx|txt)$/i, ''),
+    document_id: String(doc._id),
+    owner: String(doc.user),
+    private: true,
+    chunk_index: chunk.chunkIndex,
+    total_chunks: totalChunks,
+    page_start: chunk.pageStart,
+    page_end: chunk.pageEnd,
+    content_hash: doc.contentHash,
+    processed_at: new Date().toISOString()
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Parse, chunk and embed one upload, replacing any chunks from an earlier run. Runs as an
+// ingest or reembed job (see jobs/handlers.js); ctx reports progress and stops the run
+// when the job is cancelled.
+export async function ingestUpload(uploadId, ctx) {
+  const doc = await UserDocument.findById(uploadId);
+  if (!doc) {
+    throw permanentError('Upload not found');
+  }
+
+  console.log(`📥 Ingesting upload ${doc.originalName} (${doc._id})`);
+  await ctx.setFiles([doc.originalName]);
+  await ctx.updateFile(doc.originalName, { status: 'running', chunksDone: 0, error: null });
+  doc.status = 'processing';
+  doc.error = undefined;
+  doc.progress = { chunksDone: 0, chunksTotal: 0 };
+  await doc.save();
+
+  let collection;
+  try {
+    const buffer = fs.readFileSync(uploadPath(doc));
+    const { text, pageOffsets } = await extractDocumentText(buffer, doc.fileType);
+    if (!text || text.trim().length < 20) {
+      throw permanentError('No readable text found in the file');
+    }
+
+    const contents = await splitText(text);
+    const locations = locateChunks(text, contents, pageOffsets);
+    const chunks = contents.map((content, chunkIndex) => ({ content, chunkIndex, ...locations[chunkIndex] }));
+
+    collection = await getUserCollection(doc.user, { create: true });
+    await collection.delete({ where: { document_id: String(doc._id) } });
+    await UserDocument.updateOne({ _id: doc._id }, { $set: { 'progress.chunksTotal': chunks.length } });
+
+    for (let i = 0; i < chunks.length; i += CHUNK_BATCH_SIZE) {
+      await ctx.updateFile(doc.originalName, { chunksDone: i, chunksTotal: chunks.length });
+
+      const batch = chunks.slice(i, i + CHUNK_BATCH_SIZE);
+      const embeddings = [];
+      for (const chunk of batch) {
+        embeddings.push(await generateEmbedding(chunk.content));
+        if (getEmbeddingProvider().name !== 'local') {
+          await sleep(EMBED_DELAY_MS);
+        }
+      }
+      await collection.upsert({
+        ids: batch.map(chunk => `upload_${doc._id}_chunk_${chunk.chunkIndex}`),
+        embeddings,
+        documents: batch.map(chunk => chunk.content),
+        metadatas: batch.map(chunk => chunkMetadata(doc, chunk, chunks.length))
+      });
+      await UserDocument.updateOne({ _id: doc._id }, { $set: { 'progress.chunksDone': i + batch.length } });
+    }
+
+    await UserDocument.updateOne({ _id: doc._id }, { $set: { status: 'ready', ingestedAt: new Date() } });
+    await ctx.updateFile(doc.originalName, { status: 'done', chunksDone: chunks.length, chunksTotal: chunks.length });
+    console.log(`✅ Upload ${doc.originalName} ready (${chunks.length} chunks)`);
+    return { chunks: chunks.length };
+  } catch (error) {
+    // Cancelled because the upload was deleted: drop anything stored since
+    if (isJobCancelled(error) && !(await UserDocument.exists({ _id: doc._id }))) {
+      if (collection) await collection.delete({ where: { document_id: String(doc._id) } });
+      console.log(`🗑️ Upload ${doc._id} was deleted during ingestion`);
+      throw error;
+    }
+
+    const message = isJobCancelled(error) ? 'Indexing was cancelled' : error.message;
+    const willRetry = !isJobCancelled(error) && !error.permanent && ctx.job.attempts < ctx.job.maxAttempts;
+    console.error(`❌ Upload ${doc._id} failed${willRetry ? ' (will retry)' : ''}:`, message);
+    await UserDocument.updateOne({ _id: doc._id }, { $set: { status: willRetry ? 'queued' : 'failed', error: message } });
+    if (!isJobCancelled(error)) {
+      await ctx.updateFile(doc.originalName, { status: 'failed', error: message }).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+// Vector search over the caller's own uploads; empty if they have none
+export async function searchUserDocuments(userId, question, { k, maxDistance, usage }) {
+  const collection = await getUserCollection(userId);
+  if (!collection || (await collection.count()) === 0) {
+    return [];
+  }
+  const { matches } = await retrieveMatches(collection, question, { k, maxDistance, mode: 'vector', usage });
+  return matches;
+}
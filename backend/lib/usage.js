@@ -0,0 +1,182 @@
+// backend/lib/usage.js - Per-question usage records, cost estimates and quotas
+//
+// Each question gets a usage meter (createUsageMeter) that is passed down as `usage` to the
+// embedding, rewrite, planning, re-rank and answer calls. Every model call adds its token
+// counts, as reported by the provider or estimated from the text length, and recordUsage
+// stores the total as a UsageRecord. The extractive provider and the local embedder cost
+// nothing and are not metered.
+//
+// Cost is estimated from USD prices per million tokens, looked up by model name, then
+// provider name. USAGE_PRICES (JSON, e.g. {"gemini-1.5-flash": {"input": 0.075,
+// "output": 0.3}}) adds to or overrides the built-in prices.
+//
+// Quotas limit questions and tokens per UTC day and calendar month:
+//   QUOTA_<ROLE>_DAILY_QUERIES, QUOTA_<ROLE>_MONTHLY_QUERIES,
+//   QUOTA_<ROLE>_DAILY_TOKENS, QUOTA_<ROLE>_MONTHLY_TOKENS
+// falling back to QUOTA_<LIMIT> for every role; 0 or unset means unlimited. An admin can
+// override any limit for one user (User.quota). Limits are checked before a question is
+// answered, so the question that crosses a token limit still completes.
+import mongoose from 'mongoose';
+import User, { QUOTA_LIMITS } from '../models/User.js';
+import UsageRecord from '../models/UsageRecord.js';
+import { estimateTokens } from './context.js';
+
+const UNMETERED_PROVIDERS = ['extractive', 'local'];
+
+const BUILT_IN_PRICES = {
+  'gemini-1.5-flash-latest': { input: 0.075, output: 0.3 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'embedding-001': { input: 0, output: 0 },
+  'text-embedding-004': { input: 0, output: 0 }
+};
+
+const LIMIT_SETTINGS = {
+  dailyQueries: 'DAILY_QUERIES',
+  monthlyQueries: 'MONTHLY_QUERIES',
+  dailyTokens: 'DAILY_TOKENS',
+  monthlyTokens: 'MONTHLY_TOKENS'
+};
+
+function loadPrices() {
+  if (!process.env.USAGE_PRICES) return BUILT_IN_PRICES;
+  try {
+    return { ...BUILT_IN_PRICES, ...JSON.parse(process.env.USAGE_PRICES) };
+  } catch (error) {
+    console.error('❌ USAGE_PRICES is not valid JSON, using built-in prices:', error.message);
+    return BUILT_IN_PRICES;
+  }
+}
+
+const PRICES = loadPrices();
+
+// Estimated cost in USD of one call
+export function estimateCost(provider, model, inputTokens, outputTokens) {
+  const price = PRICES[model] || PRICES[provider];
+  if (!price) return 0;
+  return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1e6;
+}
+
+// Collects the model calls made while answering one question
+export function createUsageMeter() {
+  const calls = [];
+  return {
+    calls,
+
+    // { kind, provider, model, inputTokens, outputTokens } with tokens as reported by the
+    // provider, or { ..., input, output } text to estimate them from
+    add({ kind, provider, model, inputTokens, outputTokens, input = '', output = '' }) {
+      if (UNMETERED_PROVIDERS.includes(provider)) return;
+      const estimated = !Number.isFinite(inputTokens) || !Number.isFinite(outputTokens);
+      const tokensIn = Number.isFinite(inputTokens) ? inputTokens : estimateTokens(input);
+      const tokensOut = Number.isFinite(outputTokens) ? outputTokens : estimateTokens(output);
+      calls.push({
+        kind,
+        provider,
+        model,
+        inputTokens: tokensIn,
+        outputTokens: tokensOut,
+        estimated,
+        costUsd: estimateCost(provider, model, tokensIn, tokensOut)
+      });
+    },
+
+    totals() {
+      return calls.reduce((sum, call) => ({
+        inputTokens: sum.inputTokens + call.inputTokens,
+        outputTokens: sum.outputTokens + call.outputTokens,
+        costUsd: sum.costUsd + call.costUsd
+      }), { inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    }
+  };
+}
+
+// Store what one question used; failures are logged, never thrown, so accounting can't
+// break an answer that was already sent
+export async function recordUsage({ userId, role, endpoint, meter, status = 'completed', provider, model, conversationId, startedAt, cache }) {
+  try {
+    const totals = meter.totals();
+    await UsageRecord.create({
+      user: userId,
+      role,
+      endpoint,
+      conversation: conversationId || undefined,
+      status,
+      provider,
+      model,
+      ...totals,
+      latencyMs: startedAt ? Date.now() - startedAt : undefined,
+      cache,
+      calls: meter.calls
+    });
+    console.log(`📊 Usage: ${totals.inputTokens} in / ${totals.outputTokens} out tokens, ~$${totals.costUsd.toFixed(5)}`);
+  } catch (error) {
+    console.error('Usage record error:', error.message);
+  }
+}
+
+function roleLimit(role, setting) {
+  const value = process.env[`QUOTA_${String(role).toUpperCase()}_${setting}`] ?? process.env[`QUOTA_${setting}`];
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : 0;
+}
+
+// The limits that apply to a user: their own overrides, then their role's (0 = unlimited)
+export function getQuotaLimits(role, overrides = {}) {
+  return Object.fromEntries(QUOTA_LIMITS.map(limit => [
+    limit,
+    Number.isFinite(overrides?.[limit]) ? overrides[limit] : roleLimit(role, LIMIT_SETTINGS[limit])
+  ]));
+}
+
+function startOfDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function startOfMonth(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// Questions (failed ones excluded), tokens and cost since a date
+async function usageSince(userId, since) {
+  const [totals] = await UsageRecord.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        queries: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 0, 1] } },
+        tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } },
+        costUsd: { $sum: '$costUsd' }
+      }
+    }
+  ]);
+  return { queries: totals?.queries || 0, tokens: totals?.tokens || 0, costUsd: totals?.costUsd || 0 };
+}
+
+// Limits and what has been used of them today and this month
+export async function getQuotaStatus(userId, role) {
+  const now = new Date();
+  const [user, today, month] = await Promise.all([
+    User.findById(userId, { quota: 1 }).lean(),
+    usageSince(userId, startOfDay(now)),
+    usageSince(userId, startOfMonth(now))
+  ]);
+  const limits = getQuotaLimits(role, user?.quota);
+  return {
+    limits,
+    today: { ...today, resetsAt: new Date(startOfDay(now).getTime() + 24 * 60 * 60 * 1000) },
+    month: { ...month, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  };
+}
+
+// The first limit the user has used up, as { message, resetsAt }, or null
+export function findExceededQuota({ limits, today, month }) {
+  const checks = [
+    [limits.dailyQueries, today.queries, today.resetsAt, `daily limit of ${limits.dailyQueries} questions`],
+    [limits.monthlyQueries, month.queries, month.resetsAt, `monthly limit of ${limits.monthlyQueries} questions`],
+    [limits.dailyTokens, today.tokens, today.resetsAt, `daily limit of ${limits.dailyTokens} tokens`],
+    [limits.monthlyTokens, month.tokens, month.resetsAt, `monthly limit of ${limits.monthlyTokens} tokens`]
+  ];
+  const exceeded = checks.find(([limit, used]) => limit > 0 && used >= limit);
+  return exceeded ? { message: `You have reached your ${exceeded[3]}`, resetsAt: exceeded[2] } : null;
+}
@@ -0,0 +1,44 @@
+// backend/make-admin.js - Give an existing account the admin role
+//
+// Usage:
+//   npm run make-admin -- <username>
+//
+// Signing up never grants admin, so the first admin is created here: sign up through the app,
+// then promote that account from a shell on the server. Later admins can be promoted by an
+// admin through /api/admin/users.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from './models/User.js';
+
+dotenv.config();
+
+async function makeAdmin() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('❌ Usage: npm run make-admin -- <username>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const user = await User.findOne({ username });
+    if (!user) {
+      throw new Error(`No account named "${username}"; sign up first`);
+    }
+    if (user.role === 'admin') {
+      console.log(`ℹ️  ${username} is already an admin`);
+    } else {
+      user.role = 'admin';
+      await user.save();
+      console.log(`✅ ${username} is now an admin`);
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Could not make admin:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+makeAdmin();
@@ -0,0 +1,54 @@
+// backend/middleware/auth.js
+import jwt from 'jsonwebtoken';
+import User, { ROLES } from '../models/User.js';
+import { isAccessTokenRevoked } from '../lib/tokens.js';
+
+// Roles in increasing order of access:
+//   guest  - read-only: can ask questions and browse, but not upload or change the corpus
+//   member - can also upload private documents and queue jobs for them
+//   admin  - can also manage users and the shared corpus
+const ROLE_LEVELS = Object.fromEntries(ROLES.map((role, i) => [role, i]));
+
+// Auth middleware. The role, disabled flag and revocations are checked against the database
+// on every request, so they take effect without waiting for the access token to expire.
+export async function auth(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ success: false, message: 'No token' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return res.status(401).json({ success: false, message: 'Invalid token' });
+  }
+
+  try {
+    const user = await User.findById(payload.id, { username: 1, role: 1, disabled: 1, tokensValidAfter: 1 }).lean();
+    if (!user || await isAccessTokenRevoked(payload, user)) {
+      return res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+    if (user.disabled) {
+      return res.status(403).json({ success: false, message: 'Account disabled' });
+    }
+    req.user = { id: String(user._id), username: user.username, role: user.role || 'member' };
+    req.token = payload;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error.message);
+    res.status(500).json({ success: false, message: 'Server error during authentication' });
+  }
+}
+
+export function hasRole(user, minimumRole) {
+  return ROLE_LEVELS[user?.role] >= ROLE_LEVELS[minimumRole];
+}
+
+// Only let users with at least minimumRole through; use after auth
+export function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, minimumRole)) {
+      return res.status(403).json({ success: false, message: `This action requires the ${minimumRole} role` });
+    }
+    next();
+  };
+}
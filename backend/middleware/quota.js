@@ -0,0 +1,26 @@
+// backend/middleware/quota.js
+import { getQuotaStatus, findExceededQuota } from '../lib/usage.js';
+
+// Refuse questions once the user has used up a daily or monthly quota; use after auth.
+// If the usage can't be read the question is let through rather than blocking everyone.
+export async function enforceQuota(req, res, next) {
+  let exceeded;
+  try {
+    exceeded = findExceededQuota(await getQuotaStatus(req.user.id, req.user.role));
+  } catch (error) {
+    console.error('Quota check error:', error.message);
+    return next();
+  }
+  if (!exceeded) return next();
+
+  const retryAfter = Math.max(Math.ceil((exceeded.resetsAt.getTime() - Date.now()) / 1000), 1);
+  console.log(`🚫 ${req.user.username} is over quota: ${exceeded.message}`);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: `${exceeded.message}. It resets at ${exceeded.resetsAt.toISOString().replace('T', ' ').substring(0, 16)} UTC.`,
+    quotaExceeded: true,
+    resetsAt: exceeded.resetsAt,
+    retryAfter
+  });
+}
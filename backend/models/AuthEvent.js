@@ -0,0 +1,27 @@
+// backend/models/AuthEvent.js - Audit record of a sign-in or sign-up attempt
+import mongoose from 'mongoose';
+
+const AUDIT_DAYS = parseInt(process.env.AUTH_AUDIT_DAYS, 10) || 90;
+
+export const AUTH_EVENT_TYPES = [
+  'login_failed',
+  'login_locked',
+  'rate_limited',
+  'account_locked',
+  'signup_rejected'
+];
+
+const authEventSchema = new mongoose.Schema({
+  type: { type: String, enum: AUTH_EVENT_TYPES, required: true },
+  username: { type: String },
+  // Set when the username belongs to an existing account
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ip: { type: String },
+  userAgent: { type: String },
+  reason: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_DAYS * 24 * 60 * 60 });
+authEventSchema.index({ username: 1, createdAt: -1 });
+
+export default mongoose.model('AuthEvent', authEventSchema);
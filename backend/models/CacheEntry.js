@@ -0,0 +1,16 @@
+// backend/models/CacheEntry.js - A cached embedding or answer for the MongoDB cache store
+import mongoose from 'mongoose';
+
+const cacheEntrySchema = new mongoose.Schema({
+  namespace: { type: String, required: true },
+  key: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  hits: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+cacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+// MongoDB removes expired entries on its own (reads also ignore them until it does)
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,13 @@
+// backend/models/Conversation.js - A chat thread owned by one user
+import mongoose from 'mongoose';
+
+const conversationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  messageCount: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+
+export default mongoose.model('Conversation', conversationSchema);
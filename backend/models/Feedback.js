@@ -0,0 +1,37 @@
+// backend/models/Feedback.js - A user's rating of one answer, with a snapshot of what produced it
+import mongoose from 'mongoose';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_STATUSES = ['new', 'reviewed', 'resolved', 'dismissed'];
+
+const feedbackSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The assistant turn being rated
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  rating: { type: String, enum: FEEDBACK_RATINGS, required: true },
+  comment: { type: String, maxlength: 2000 },
+  // Copied from the conversation so the record survives the thread being deleted
+  question: { type: String, required: true },
+  searchQuestion: { type: String },
+  answer: { type: String, required: true },
+  sources: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  prompt: { type: String },
+  provider: { type: String },
+  model: { type: String },
+  // Triage by an admin; expected is what a correct answer should have been grounded in,
+  // used when exporting to the evaluation golden set
+  status: { type: String, enum: FEEDBACK_STATUSES, default: 'new' },
+  reviewNote: { type: String, maxlength: 2000 },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  expected: {
+    cases: { type: [String], default: undefined },
+    passages: { type: [String], default: undefined }
+  }
+}, { timestamps: true });
+
+feedbackSchema.index({ message: 1, user: 1 }, { unique: true });
+feedbackSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,26 @@
+// backend/models/Headnote.js - Generated structured summary of one judgment (see lib/headnotes.js)
+import mongoose from 'mongoose';
+
+const headnoteSchema = new mongoose.Schema({
+  // PDF file name in the shared corpus, the same key the chunks and catalog use
+  filename: { type: String, required: true, unique: true },
+  title: { type: String, required: true },
+  // Hash of the PDF and prompt version the headnote was generated from; either changing
+  // makes the next headnote job regenerate it
+  contentHash: { type: String, required: true },
+  version: { type: Number, required: true },
+  petitioner: { type: String },
+  respondent: { type: String },
+  court: { type: String },
+  bench: { type: String },
+  decisionDate: { type: String },
+  issues: { type: [String], default: [] },
+  statutes: { type: [String], default: [] },
+  precedents: { type: [String], default: [] },
+  holding: { type: String },
+  finalOrder: { type: String },
+  provider: { type: String },
+  model: { type: String }
+}, { timestamps: true });
+
+export default mongoose.model('Headnote', headnoteSchema);
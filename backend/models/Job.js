@@ -0,0 +1,43 @@
+// backend/models/Job.js - A background ingestion job (see lib/jobs/index.js)
+import mongoose from 'mongoose';
+
+// Progress of one file within a job
+const jobFileSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'running', 'done', 'skipped', 'failed'], default: 'pending' },
+  chunksDone: { type: Number, default: 0 },
+  chunksTotal: { type: Number, default: 0 },
+  error: { type: String }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, enum: ['ingest', 'reembed', 'delete', 'headnote'], required: true },
+  // What the job works on: the shared corpus ({ files, reset }) or one upload ({ uploadId })
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Jobs in the same lane never run at the same time (e.g. everything touching the corpus)
+  lane: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  // Earliest time the job may (re)start; pushed back after a failed attempt
+  runAfter: { type: Date, default: Date.now },
+  // Worker holding the job and when it last reported in; stale leases are re-queued
+  lockedBy: { type: String },
+  lockedAt: { type: Date },
+  cancelRequested: { type: Boolean, default: false },
+  files: [jobFileSchema],
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+jobSchema.index({ 'payload.uploadId': 1, status: 1 });
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,26 @@
+// backend/models/Message.js - One turn (question or answer) in a conversation
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['user', 'assistant'], required: true },
+  content: { type: String, required: true },
+  // User turns: the standalone question actually used for retrieval
+  rewrittenQuestion: { type: String },
+  // Assistant turns: what the answer was grounded on and how it was produced
+  sources: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  citations: { type: [Number], default: undefined },
+  provider: { type: String },
+  model: { type: String },
+  cancelled: { type: Boolean },
+  // Comparison answers: the side-by-side table (see lib/compare.js); content holds it as text
+  comparison: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  // Answers to a decomposed question: its sub-queries and the sources found for each
+  // (see lib/decompose.js)
+  plan: { type: mongoose.Schema.Types.Mixed, default: undefined }
+}, { timestamps: true });
+
+messageSchema.index({ conversation: 1, createdAt: 1 });
+
+export default mongoose.model('Message', messageSchema);
@@ -0,0 +1,13 @@
+// backend/models/RateLimitCounter.js - A fixed-window counter for the MongoDB rate-limit store
+import mongoose from 'mongoose';
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+// MongoDB removes expired counters on its own (reads also ignore them until it does)
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,20 @@
+// backend/models/RefreshToken.js - One issued refresh token (only its hash is stored)
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Every token rotated from the same login shares a session id; reusing a rotated token
+  // revokes the whole session
+  session: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  rotatedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String }
+}, { timestamps: true });
+
+// MongoDB removes expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,13 @@
+// backend/models/RevokedToken.js - Access tokens revoked before they expire (by jti)
+import mongoose from 'mongoose';
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // The token's own expiry; after that it is rejected anyway and the entry is removed
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,45 @@
+// backend/models/UsageRecord.js - Model usage and cost of one question
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400;
+
+export const USAGE_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// One model or embedding call made while answering; several attempts may be recorded
+// when a model fails and the next one is tried
+const callSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['embedding', 'rewrite', 'plan', 'rerank', 'answer'], required: true },
+  provider: { type: String },
+  model: { type: String },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  // True when the provider didn't report token counts and they were estimated from text length
+  estimated: { type: Boolean, default: false },
+  costUsd: { type: Number, default: 0 }
+}, { _id: false });
+
+const usageRecordSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String },
+  endpoint: { type: String, required: true },
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  status: { type: String, enum: USAGE_STATUSES, default: 'completed' },
+  // The provider and model that produced the answer
+  provider: { type: String },
+  model: { type: String },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 },
+  latencyMs: { type: Number },
+  // Which steps were served from the cache (see lib/cache)
+  cache: {
+    embedding: { type: Boolean, default: false },
+    answer: { type: Boolean, default: false }
+  },
+  calls: { type: [callSchema], default: [] }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+usageRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,23 @@
+// backend/models/User.js
+import mongoose from 'mongoose';
+
+// Lowest to highest access (see middleware/auth.js)
+export const ROLES = ['guest', 'member', 'admin'];
+
+// Limits that can be set per user, overriding the role's (see lib/usage.js)
+export const QUOTA_LIMITS = ['dailyQueries', 'monthlyQueries', 'dailyTokens', 'monthlyTokens'];
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'member' },
+  disabled: { type: Boolean, default: false },
+  lastLoginAt: { type: Date },
+  // Access tokens issued before this are rejected ("log out of all devices")
+  tokensValidAfter: { type: Date },
+  // Per-user quota overrides; unset limits follow the role, 0 means unlimited
+  quota: Object.fromEntries(QUOTA_LIMITS.map(limit => [limit, { type: Number, min: 0 }]))
+}, { timestamps: true });
+
+export default mongoose.model('User', userSchema);
@@ -0,0 +1,24 @@
+// backend/models/UserDocument.js - A file uploaded by a user into their private collection
+import mongoose from 'mongoose';
+
+const userDocumentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  originalName: { type: String, required: true, trim: true, maxlength: 255 },
+  // File name on disk under UPLOAD_DIR/<user id>/
+  storedName: { type: String, required: true },
+  fileType: { type: String, enum: ['pdf', 'docx', 'txt'], required: true },
+  size: { type: Number, required: true },
+  contentHash: { type: String, required: true },
+  status: { type: String, enum: ['queued', 'processing', 'ready', 'failed'], default: 'queued' },
+  // Ingestion progress: chunks embedded so far out of the total
+  progress: {
+    chunksDone: { type: Number, default: 0 },
+    chunksTotal: { type: Number, default: 0 }
+  },
+  error: { type: String },
+  ingestedAt: { type: Date }
+}, { timestamps: true });
+
+userDocumentSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('UserDocument', userDocumentSchema);
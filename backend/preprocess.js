@@ -1,382 +1,149 @@
-// backend/preprocess.js - Optimized for 400+ PDFs
-import fs from 'fs';
-import path from 'path';
-import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+// backend/preprocess.js - Resumable ingestion of backend/pdfs into ChromaDB
+//
+// Usage:
+//   npm run preprocess                 # ingest every PDF not already in the collection
+//   npm run preprocess -- --reset      # drop the collection and rebuild from scratch
+//   npm run preprocess -- --limit 20   # only look at the first 20 PDFs (sorted by name)
+//
+// Re-runs are resumable: see lib/ingest.js for how stored, partial and changed files are
+// handled. The server runs the same ingestion as background jobs (POST /api/jobs); the
+// script refuses to start while one of them has the corpus open (see lib/corpusLock.js).
 import dotenv from 'dotenv';
-import { ChromaClient } from 'chromadb';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import axios from 'axios';
+import { COLLECTION_NAME } from './lib/chroma.js';
+import { getEmbeddingProvider } from './lib/embeddings/index.js';
+import { BM25_INDEX_PATH } from './lib/bm25.js';
+import { CITATION_INDEX_PATH } from './lib/citations.js';
+import {
+  PDF_DIR,
+  CHUNK_BATCH_SIZE,
+  listCorpusFiles,
+  openCorpus,
+  ingestCorpusFile,
+  hasUnsavedIndexes,
+  saveCorpusIndexes,
+  closeCorpus
+} from './lib/ingest.js';
 
 dotenv.config();
 
-console.log('🚀 Starting PDF preprocessing for 5 documents with manual embeddings...');
+// Configuration (override via environment for faster or gentler runs)
+const BATCH_SIZE = parseInt(process.env.INGEST_CONCURRENCY, 10) || 2; // PDFs processed in parallel
+const INDEX_SAVE_EVERY = 20; // Files indexed between writes of the keyword and citation indexes
 
-const CHROMA_URL = process.env.CHROMA_HOST || 'localhost';
-const CHROMA_PORT = process.env.CHROMA_PORT || 8000;
-const COLLECTION_NAME = process.env.CHROMA_COLLECTION || 'legal_cases';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-// Configuration for small batch processing (5 PDFs only)
-const BATCH_SIZE = 2; // Process 2 PDFs at a time
-const CHUNK_BATCH_SIZE = 10; // Add 10 chunks at a time to ChromaDB
-const MAX_RETRIES = 3;
-const MAX_PDFS = 5; // Only process first 5 PDFs
+// Command line flags
+const args = process.argv.slice(2);
+const RESET = args.includes('--reset');
+const limitIndex = args.indexOf('--limit');
+const MAX_PDFS = limitIndex !== -1 ? parseInt(args[limitIndex + 1], 10) : Infinity;
 
 // Simple tracking
-let processedCount = 0;
-let errorLog = [];
-let successLog = [];
-
-// Initialize ChromaDB client
-const chroma = new ChromaClient({
-  path: `http://${CHROMA_URL}:${CHROMA_PORT}`
-});
-
-let collection;
-
-// Clean metadata for ChromaDB
-function cleanMetadata(metadata) {
-  const cleaned = {};
-  for (const [key, value] of Object.entries(metadata)) {
-    if (value !== null && value !== undefined) {
-      if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-        cleaned[key] = value;
-      } else {
-        cleaned[key] = String(value);
-      }
-    }
-  }
-  return cleaned;
-}
+let corpus;
+let stopRequested = false;
+const stats = { ingested: [], updated: [], skipped: [], failed: [], chunksAdded: 0 };
 
-// Generate embeddings using Gemini API (manual approach)
-async function generateEmbedding(text, retries = 0) {
+// Process a single PDF with error handling
+async function processPDF(fileName, index, total) {
   try {
-    if (!GEMINI_API_KEY || GEMINI_API_KEY.includes('your-actual-gemini-api-key-here')) {
-      throw new Error('Valid GEMINI_API_KEY is required for manual embeddings');
-    }
-
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/embedding-001:embedContent?key=${GEMINI_API_KEY}`,
-      {
-        model: "models/embedding-001",
-        content: {
-          parts: [{ text: text }]
+    console.log(`📖 Processing (${index + 1}/${total}): ${fileName}`);
+    return await ingestCorpusFile(corpus, fileName, {
+      onProgress: async () => {
+        if (stopRequested) {
+          throw new Error('Interrupted before all chunks were stored (will resume on next run)');
         }
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
       }
-    );
-    
-    return response.data.embedding.values;
+    });
   } catch (error) {
-    if (retries < MAX_RETRIES) {
-      console.log(`   ⚠️ Embedding retry ${retries + 1}/${MAX_RETRIES} for text: ${text.substring(0, 50)}...`);
-      await sleep(1000 * (retries + 1)); // Exponential backoff
-      return generateEmbedding(text, retries + 1);
-    }
-    console.error(`   ❌ Embedding generation failed: ${error.message}`);
-    throw error;
+    console.error(`  ❌ Error processing ${fileName}:`, error.message);
+    return { status: 'failed', fileName, error: error.message, chunksProcessed: 0 };
   }
 }
 
-// Sleep utility for rate limiting
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Process PDFs and store in ChromaDB
+async function processPDFs() {
+  corpus = await openCorpus({ reset: RESET, holder: 'npm run preprocess' });
 
-// Initialize ChromaDB collection
-async function initializeCollection() {
-  try {
-    console.log('📡 Connecting to ChromaDB...');
-    
-    // Always start fresh - delete existing collection if it exists
-    try {
-      await chroma.deleteCollection({ name: COLLECTION_NAME });
-      console.log('🗑️ Deleted existing collection for fresh start');
-    } catch (e) {
-      console.log('ℹ️ No existing collection found');
-    }
-    
-    // Create new collection (ChromaDB will use default embedding automatically)
-    console.log(`✨ Creating collection: ${COLLECTION_NAME} with default embedding function`);
-    
-    collection = await chroma.createCollection({ 
-      name: COLLECTION_NAME
-    });
-    
-    console.log('✅ ChromaDB collection ready with local embeddings!');
-    return collection;
-  } catch (error) {
-    console.error('❌ FATAL ERROR during ChromaDB initialization:', error.message);
-    throw error;
+  const allFiles = listCorpusFiles().slice(0, MAX_PDFS);
+
+  console.log(`📚 Found ${allFiles.length} PDFs`);
+  if (allFiles.length === 0) {
+    return;
   }
-}
 
-// Process a single PDF with error handling
-async function processPDF(filePath, fileName, index, total) {
-  try {
-    console.log(`📖 Processing (${index + 1}/${total}): ${fileName}`);
-    
-    // Read and parse PDF
-    const buffer = fs.readFileSync(filePath);
-    const { text } = await pdfParse(buffer);
-    
-    if (!text || text.trim().length < 100) {
-      throw new Error('No significant text found in PDF');
-    }
-    
-    console.log(`  📄 Extracted ${text.length} characters`);
-    
-    // Split text into chunks
-    const splitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200
-    });
-    
-    const docs = await splitter.createDocuments([text], [{
-      filename: fileName,
-      source: fileName,
-      title: fileName.replace('.PDF', '').replace(/_/g, ' ')
-    }]);
-    
-    console.log(`  🔪 Split into ${docs.length} chunks`);
-    
-    if (docs.length === 0) {
-      throw new Error('No chunks created from PDF');
-    }
-    
-    // Process chunks in batches to avoid memory issues
-    let totalAdded = 0;
-    for (let i = 0; i < docs.length; i += CHUNK_BATCH_SIZE) {
-      const chunkBatch = docs.slice(i, i + CHUNK_BATCH_SIZE);
-      const batchAdded = await processChunkBatch(chunkBatch, fileName, i);
-      totalAdded += batchAdded;
-      
-      // Small delay between chunk batches
-      if (i + CHUNK_BATCH_SIZE < docs.length) {
-        await sleep(100);
-      }
+  console.log(`\n🚀 Processing ${allFiles.length} PDFs, ${BATCH_SIZE} at a time...`);
+  console.log('━'.repeat(60));
+
+  for (let i = 0; i < allFiles.length && !stopRequested; i += BATCH_SIZE) {
+    const batch = allFiles.slice(i, i + BATCH_SIZE);
+    const results = await Promise.all(batch.map((file, idx) =>
+      processPDF(file, i + idx, allFiles.length)
+    ));
+
+    for (const result of results) {
+      stats.chunksAdded += result.chunksProcessed;
+      if (result.status === 'ingested') stats.ingested.push(result);
+      else if (result.status === 'updated') stats.updated.push(result);
+      else if (result.status === 'skipped') stats.skipped.push(result);
+      else stats.failed.push(result);
     }
-    
-    console.log(`  ✅ Successfully added ${totalAdded}/${docs.length} chunks`);
-    
-    return {
-      success: true,
-      fileName,
-      chunksProcessed: totalAdded,
-      totalChunks: docs.length
-    };
-    
-  } catch (error) {
-    console.error(`  ❌ Error processing ${fileName}:`, error.message);
-    return {
-      success: false,
-      fileName,
-      error: error.message,
-      chunksProcessed: 0
-    };
-  }
-}
 
-// Process a batch of chunks with manual embeddings
-async function processChunkBatch(docs, fileName, startIndex) {
-  try {
-    // Prepare data for ChromaDB
-    const documents = docs.map(doc => doc.pageContent);
-    const ids = docs.map((_, idx) => `${fileName}_chunk_${startIndex + idx}`);
-    
-    // Create clean metadata
-    const metadatas = docs.map((doc, idx) => {
-      return cleanMetadata({
-        filename: fileName,
-        source: fileName,
-        title: fileName.replace('.PDF', '').replace(/_/g, ' '),
-        chunk_index: startIndex + idx,
-        total_chunks: docs.length,
-        processed_at: new Date().toISOString()
-      });
-    });
-    
-    // Generate embeddings manually using Gemini API
-    console.log(`      🧠 Generating embeddings for ${documents.length} chunks...`);
-    const embeddings = [];
-    
-    for (let i = 0; i < documents.length; i++) {
-      try {
-        const embedding = await generateEmbedding(documents[i]);
-        embeddings.push(embedding);
-        console.log(`      ✅ Generated embedding ${i + 1}/${documents.length}`);
-        
-        // Rate limiting between embedding calls
-        if (i < documents.length - 1) {
-          await sleep(1000); // 1 second delay between calls
-        }
-      } catch (error) {
-        console.error(`      ❌ Failed to generate embedding for chunk ${i + 1}: ${error.message}`);
-        throw error;
-      }
-}
+    const done = Math.min(i + BATCH_SIZE, allFiles.length);
+    console.log(`\n📈 Progress: ${done}/${allFiles.length} files | ${stats.ingested.length} ingested, ${stats.updated.length} updated, ${stats.skipped.length} skipped, ${stats.failed.length} failed`);
 
-    // Add to ChromaDB with manual embeddings (bypassing automatic embedding function)
-    console.log(`      💾 Adding ${documents.length} chunks with manual embeddings to ChromaDB...`);
-    
-    let retries = 0;
-    while (retries < MAX_RETRIES) {
-      try {
-        await collection.add({
-          ids: ids,
-          embeddings: embeddings, // Manual embeddings
-          documents: documents,
-          metadatas: metadatas
-        });
-        
-        console.log(`      ✅ Added batch of ${documents.length} chunks with manual embeddings`);
-        return documents.length;
-      } catch (error) {
-        retries++;
-        if (retries >= MAX_RETRIES) {
-          throw error;
-        }
-        console.log(`      ⚠️ Retry ${retries}/${MAX_RETRIES} for ChromaDB batch`);
-        await sleep(1000 * retries); // Exponential backoff
-      }
+    if (hasUnsavedIndexes(corpus, INDEX_SAVE_EVERY)) {
+      saveCorpusIndexes(corpus);
     }
-  } catch (error) {
-    console.error(`      ❌ Failed to process chunk batch: ${error.message}`);
-    return 0;
-  }
-}
 
-// Process PDFs and store in ChromaDB
-async function processPDFs() {
-  try {
-    await initializeCollection();
-    
-    console.log('📁 Reading PDF directory...');
-const pdfDir = path.join(process.cwd(), 'pdfs');
-    
-if (!fs.existsSync(pdfDir)) {
-      console.error(`❌ PDF folder missing at ${pdfDir}`);
-  process.exit(1);
+    // Release parsed PDF buffers between batches (script runs with --expose-gc)
+    if (global.gc) global.gc();
+  }
 }
 
-    // Get first 5 PDF files (simple approach)
-    const allFiles = fs.readdirSync(pdfDir)
-      .filter(f => f.toLowerCase().endsWith('.pdf'))
-      .sort()
-      .slice(0, MAX_PDFS); // Only take first 5 PDFs
-    
-    console.log(`📚 Found ${allFiles.length} PDFs (limited to first ${MAX_PDFS})`);
-    
-    if (allFiles.length === 0) {
-      console.log('🎉 No PDFs to process!');
-      return;
-    }
-    
-    console.log(`\n🚀 Processing ${allFiles.length} PDFs in batches of ${BATCH_SIZE}...`);
-    console.log('━'.repeat(60));
-    
-    // Process in batches
-    let totalChunksAdded = 0;
-    
-    for (let i = 0; i < allFiles.length; i += BATCH_SIZE) {
-      const batch = allFiles.slice(i, i + BATCH_SIZE);
-      const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(allFiles.length / BATCH_SIZE);
-
-      console.log(`\n📦 Processing Batch ${batchNumber}/${totalBatches} (${batch.length} files)`);
-      console.log('─'.repeat(40));
-      
-      // Process batch in parallel
-      const batchPromises = batch.map((file, idx) => 
-        processPDF(path.join(pdfDir, file), file, i + idx, allFiles.length)
-      );
-      const batchResults = await Promise.all(batchPromises);
-      
-      // Update progress tracking
-      for (const result of batchResults) {
-        processedCount++;
-        
-        if (result.success) {
-          successLog.push(result);
-          totalChunksAdded += result.chunksProcessed;
-          console.log(`✅ ${result.fileName}: ${result.chunksProcessed} chunks`);
-        } else {
-          errorLog.push(result);
-          console.log(`❌ ${result.fileName}: ${result.error}`);
-        }
-      }
-      
-      // Progress summary
-      const successRate = ((successLog.length / processedCount) * 100).toFixed(1);
-      console.log(`\n📈 Progress: ${processedCount}/${allFiles.length} files (${successRate}% success rate)`);
-      console.log(`📊 Total chunks added: ${totalChunksAdded}`);
-      
-      // Rate limiting between batches
-      if (i + BATCH_SIZE < allFiles.length) {
-        console.log('⏳ Waiting between batches...');
-        await sleep(2000);
-      }
-    }
-    
-    // Final verification and summary
-    console.log('\n🎉 PROCESSING COMPLETE!');
-    console.log('━'.repeat(60));
-    
-    const finalCount = await collection.count();
-    console.log(`📊 ChromaDB contains ${finalCount} document chunks total`);
-    console.log(`✅ Successfully processed: ${successLog.length} PDFs`);
-    console.log(`❌ Failed to process: ${errorLog.length} PDFs`);
-    console.log(`📈 Total chunks added this run: ${totalChunksAdded}`);
-    
-    if (errorLog.length > 0) {
-      console.log('\n❌ Failed files:');
-      errorLog.forEach(error => {
-        console.log(`   • ${error.fileName}: ${error.error}`);
-      });
-    }
-    
-    if (finalCount > 0) {
-      console.log('\n✅ SUCCESS: Your legal documents are now searchable!');
-      console.log('🚀 Ready to start your Legal QA system: npm run start');
-    } else {
-      console.log('\n❌ WARNING: No documents were successfully processed');
-    }
-    
-  } catch (error) {
-    console.error('❌ FATAL ERROR during processing:', error.message);
-    throw error;
+function printSummary() {
+  console.log(stopRequested ? '\n⏹️ PROCESSING INTERRUPTED' : '\n🎉 PROCESSING COMPLETE!');
+  console.log('━'.repeat(60));
+  console.log(`✅ Ingested: ${stats.ingested.length} PDFs (${stats.chunksAdded} chunks added this run)`);
+  console.log(`🏷️ Metadata refreshed: ${stats.updated.length} PDFs`);
+  console.log(`⏭️ Skipped (already ingested): ${stats.skipped.length} PDFs`);
+  console.log(`❌ Failed: ${stats.failed.length} PDFs`);
+
+  if (stats.failed.length > 0) {
+    console.log('\n❌ Failed files (re-run to retry):');
+    stats.failed.forEach(failure => {
+      console.log(`   • ${failure.fileName}: ${failure.error}`);
+    });
   }
 }
 
-// Graceful shutdown handling
+// First Ctrl+C finishes the current batch and exits cleanly; a second one exits immediately
 process.on('SIGINT', () => {
-  console.log('\n⏹️  Processing interrupted by user');
-process.exit(0);
+  if (stopRequested) {
+    process.exit(130);
+  }
+  stopRequested = true;
+  console.log('\n⏹️  Stopping after the current batch (press Ctrl+C again to abort)...');
 });
 
 // Main execution
 async function main() {
   try {
     console.log('🔍 System Check...');
-    console.log(`   ChromaDB: http://${CHROMA_URL}:${CHROMA_PORT}`);
-    console.log(`   PDF Directory: ${path.join(process.cwd(), 'pdfs')}`);
-    console.log(`   Max PDFs: ${MAX_PDFS} files`);
-    console.log(`   Batch Size: ${BATCH_SIZE} PDFs at a time`);
-    console.log(`   Chunk Batch: ${CHUNK_BATCH_SIZE} chunks at a time`);
-    console.log(`   Gemini API: ${GEMINI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+    console.log(`   ChromaDB collection: ${COLLECTION_NAME}`);
+    console.log(`   PDF Directory: ${PDF_DIR}`);
+    console.log(`   Concurrency: ${BATCH_SIZE} PDFs, ${CHUNK_BATCH_SIZE} chunks per upsert`);
+    console.log(`   Reset: ${RESET ? 'yes' : 'no (resuming)'}`);
+    const embedder = getEmbeddingProvider();
+    console.log(`   Embedding provider: ${embedder.name} (${embedder.model})`);
     console.log('');
-    
-    // Validate Gemini API key
-    if (!GEMINI_API_KEY || GEMINI_API_KEY.includes('your-actual-gemini-api-key-here')) {
-      throw new Error('Valid GEMINI_API_KEY is required for manual embedding generation');
-    }
-    
+
     await processPDFs();
-    process.exit(0);
+    closeCorpus(corpus);
+    printSummary();
+
+    const finalCount = await corpus.collection.count();
+    console.log(`\n📊 ChromaDB contains ${finalCount} document chunks total`);
+    console.log(`🔤 Keyword index: ${Object.keys(corpus.keywordIndex.files).length} PDFs in ${BM25_INDEX_PATH}`);
+    console.log(`🔗 Citation index: ${Object.keys(corpus.citationIndex.files).length} PDFs in ${CITATION_INDEX_PATH}`);
+    process.exit(stats.failed.length > 0 || stopRequested ? 1 : 0);
   } catch (error) {
     console.error('💥 Script failed:', error.message);
     process.exit(1);
@@ -0,0 +1,507 @@
+// backend/routes/admin.js - User management, usage reports and answer feedback triage (admins only)
+import express from 'express';
+import mongoose from 'mongoose';
+import User, { ROLES, QUOTA_LIMITS } from '../models/User.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import UserDocument from '../models/UserDocument.js';
+import Job from '../models/Job.js';
+import AuthEvent, { AUTH_EVENT_TYPES } from '../models/AuthEvent.js';
+import UsageRecord from '../models/UsageRecord.js';
+import Feedback, { FEEDBACK_RATINGS, FEEDBACK_STATUSES } from '../models/Feedback.js';
+import { auth, requireRole } from '../middleware/auth.js';
+import { revokeAllSessions } from '../lib/tokens.js';
+import { getQuotaLimits } from '../lib/usage.js';
+import { toGoldenItem } from '../lib/eval/golden.js';
+
+const router = express.Router();
+const MAX_USAGE_DAYS = 365;
+const MAX_AUTH_EVENTS = 500;
+const MAX_FEEDBACK = 200;
+const MAX_REVIEW_NOTE_LENGTH = 2000;
+
+router.use(auth, requireRole('admin'));
+
+function serializeUser(user, usage = {}) {
+  return {
+    id: user._id,
+    username: user.username,
+    role: user.role || 'member',
+    disabled: Boolean(user.disabled),
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt,
+    // Overrides set for this user, and the limits that apply after falling back to the role
+    quota: user.quota || {},
+    limits: getQuotaLimits(user.role || 'member', user.quota),
+    usage: {
+      questions: usage.questions || 0,
+      conversations: usage.conversations || 0,
+      uploads: usage.uploads || 0,
+      lastQuestionAt: usage.lastQuestionAt || null,
+      tokens: usage.tokens || 0,
+      costUsd: usage.costUsd || 0
+    }
+  };
+}
+
+// Questions, conversations, uploads and model usage per user, keyed by user id
+async function usageByUser(userIds) {
+  const match = { user: { $in: userIds } };
+  const [questions, conversations, uploads, models] = await Promise.all([
+    Message.aggregate([
+      { $match: { ...match, role: 'user' } },
+      { $group: { _id: '$user', questions: { $sum: 1 }, lastQuestionAt: { $max: '$createdAt' } } }
+    ]),
+    Conversation.aggregate([{ $match: match }, { $group: { _id: '$user', conversations: { $sum: 1 } } }]),
+    UserDocument.aggregate([{ $match: match }, { $group: { _id: '$user', uploads: { $sum: 1 } } }]),
+    UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: '$user', tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } }, costUsd: { $sum: '$costUsd' } } }
+    ])
+  ]);
+
+  const usage = new Map();
+  for (const row of [...questions, ...conversations, ...uploads, ...models]) {
+    const key = String(row._id);
+    const { _id, ...counts } = row;
+    usage.set(key, { ...usage.get(key), ...counts });
+  }
+  return usage;
+}
+
+// All users with their usage (?role=guest and ?search=name to narrow down)
+router.get('/users', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role !== undefined) {
+      if (!ROLES.includes(req.query.role)) {
+        return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      query.role = req.query.role;
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const escaped = req.query.search.trim().substring(0, 100).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.username = { $regex: escaped, $options: 'i' };
+    }
+
+    const users = await User.find(query, { password: 0 }).sort({ createdAt: -1 }).limit(500).lean();
+    const usage = await usageByUser(users.map(user => user._id));
+    res.json({ success: true, users: users.map(user => serializeUser(user, usage.get(String(user._id)))) });
+  } catch (error) {
+    console.error('List users error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load users' });
+  }
+});
+
+// Check a { dailyQueries, monthlyQueries, dailyTokens, monthlyTokens } quota override;
+// returns an error message or null. null for a limit removes the override (0 = unlimited).
+function validateQuota(quota) {
+  if (!quota || typeof quota !== 'object' || Array.isArray(quota)) {
+    return 'quota must be an object';
+  }
+  for (const [limit, value] of Object.entries(quota)) {
+    if (!QUOTA_LIMITS.includes(limit)) {
+      return `quota limits must be among: ${QUOTA_LIMITS.join(', ')}`;
+    }
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return `quota.${limit} must be a whole number (0 for unlimited) or null`;
+    }
+  }
+  return null;
+}
+
+// Change a user's role, disable or re-enable the account, and/or override quota limits:
+// { role, disabled, quota }
+router.patch('/users/:id', async (req, res) => {
+  try {
+    const { role, disabled, quota } = req.body;
+    if (role === undefined && disabled === undefined && quota === undefined) {
+      return res.status(400).json({ success: false, message: 'Nothing to update (role, disabled or quota)' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'disabled must be true or false' });
+    }
+    const quotaError = quota === undefined ? null : validateQuota(quota);
+    if (quotaError) {
+      return res.status(400).json({ success: false, message: quotaError });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Admins can't lock themselves out
+    if (req.params.id === req.user.id && ((role !== undefined && role !== 'admin') || disabled === true)) {
+      return res.status(400).json({ success: false, message: 'You cannot demote or disable your own account' });
+    }
+
+    const update = {};
+    const unset = {};
+    if (role !== undefined) update.role = role;
+    if (disabled !== undefined) update.disabled = disabled;
+    for (const [limit, value] of Object.entries(quota || {})) {
+      if (value === null) unset[`quota.${limit}`] = '';
+      else update[`quota.${limit}`] = value;
+    }
+    const changes = { $set: update };
+    if (Object.keys(unset).length > 0) changes.$unset = unset;
+    const user = await User.findByIdAndUpdate(req.params.id, changes, { new: true, projection: { password: 0 } }).lean();
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // A disabled account is signed out everywhere straight away
+    if (disabled === true) {
+      await revokeAllSessions(user._id);
+    }
+
+    console.log(`👤 ${req.user.username} updated ${user.username}: ${JSON.stringify({ ...update, ...unset })}`);
+    const usage = await usageByUser([user._id]);
+    res.json({ success: true, user: serializeUser(user, usage.get(String(user._id))) });
+  } catch (error) {
+    console.error('Update user error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to update user' });
+  }
+});
+
+// requests counts questions, or model calls in byModel
+const TOKEN_TOTALS = {
+  requests: { $sum: 1 },
+  inputTokens: { $sum: '$inputTokens' },
+  outputTokens: { $sum: '$outputTokens' },
+  costUsd: { $sum: '$costUsd' }
+};
+
+// Tokens and estimated cost from the usage records since a date
+async function modelUsageSince(since) {
+  const [report] = await UsageRecord.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, ...TOKEN_TOTALS } }],
+        perDay: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...TOKEN_TOTALS } },
+          { $sort: { _id: 1 } }
+        ],
+        // Individual calls, so embeddings, rewrites and re-ranking show up under their own model
+        byModel: [
+          { $unwind: '$calls' },
+          { $replaceRoot: { newRoot: '$calls' } },
+          { $group: { _id: { kind: '$kind', provider: '$provider', model: '$model' }, ...TOKEN_TOTALS } },
+          { $sort: { costUsd: -1 } }
+        ],
+        topUsers: [
+          { $group: { _id: '$user', ...TOKEN_TOTALS } },
+          { $sort: { costUsd: -1, inputTokens: -1 } },
+          { $limit: 10 },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = ({ requests, inputTokens, outputTokens, costUsd }) => ({ requests, inputTokens, outputTokens, costUsd });
+  return {
+    total: report.total[0] ? totals(report.total[0]) : { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 },
+    perDay: report.perDay.map(row => ({ date: row._id, ...totals(row) })),
+    byModel: report.byModel.map(row => ({ ...row._id, ...totals(row) })),
+    topUsers: report.topUsers.map(row => ({
+      id: row._id,
+      username: row.user[0]?.username || null,
+      ...totals(row)
+    }))
+  };
+}
+
+// Activity over the last ?days=30 days: questions per day, the most active users, uploads,
+// jobs, and model tokens and estimated cost per day, per model and for the biggest spenders
+router.get('/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_USAGE_DAYS);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [usersByRole, disabledUsers, questionsPerDay, topUsers, uploads, jobs, modelUsage] = await Promise.all([
+      User.aggregate([{ $group: { _id: { $ifNull: ['$role', 'member'] }, count: { $sum: 1 } } }]),
+      User.countDocuments({ disabled: true }),
+      Message.aggregate([
+        { $match: { role: 'user', createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, questions: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Message.aggregate([
+        { $match: { role: 'user', createdAt: { $gte: since } } },
+        { $group: { _id: '$user', questions: { $sum: 1 } } },
+        { $sort: { questions: -1 } },
+        { $limit: 10 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } }
+      ]),
+      UserDocument.aggregate([
+        { $group: { _id: '$status', documents: { $sum: 1 }, bytes: { $sum: '$size' } } }
+      ]),
+      Job.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      modelUsageSince(since)
+    ]);
+
+    res.json({
+      success: true,
+      days,
+      users: {
+        byRole: Object.fromEntries(usersByRole.map(row => [row._id, row.count])),
+        disabled: disabledUsers
+      },
+      questions: {
+        total: questionsPerDay.reduce((sum, day) => sum + day.questions, 0),
+        perDay: questionsPerDay.map(day => ({ date: day._id, questions: day.questions }))
+      },
+      topUsers: topUsers.map(row => ({
+        id: row._id,
+        username: row.user[0]?.username || null,
+        questions: row.questions
+      })),
+      uploads: Object.fromEntries(uploads.map(row => [row._id, { documents: row.documents, bytes: row.bytes }])),
+      jobs: jobs.map(row => ({ type: row._id.type, status: row._id.status, count: row.count })),
+      models: modelUsage
+    });
+  } catch (error) {
+    console.error('Usage report error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to build usage report' });
+  }
+});
+
+// Recent failed sign-ins, lockouts and rejected sign-ups, newest first
+// (?type=login_failed, ?username=name, ?ip=address and ?limit=100 to narrow down)
+router.get('/auth-events', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type !== undefined) {
+      if (!AUTH_EVENT_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: `type must be one of: ${AUTH_EVENT_TYPES.join(', ')}` });
+      }
+      query.type = req.query.type;
+    }
+    if (typeof req.query.username === 'string' && req.query.username.trim()) {
+      query.username = req.query.username.trim();
+    }
+    if (typeof req.query.ip === 'string' && req.query.ip.trim()) {
+      query.ip = req.query.ip.trim();
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_AUTH_EVENTS);
+
+    const events = await AuthEvent.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({
+      success: true,
+      events: events.map(event => ({
+        id: event._id,
+        type: event.type,
+        username: event.username || null,
+        user: event.user || null,
+        ip: event.ip || null,
+        userAgent: event.userAgent || null,
+        reason: event.reason || null,
+        createdAt: event.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Auth events error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load sign-in audit log' });
+  }
+});
+
+// The ?status= and ?rating= filters shared by the feedback list and export
+function feedbackQuery({ status, rating }) {
+  const query = {};
+  if (status !== undefined) {
+    if (!FEEDBACK_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${FEEDBACK_STATUSES.join(', ')}` };
+    }
+    query.status = status;
+  }
+  if (rating !== undefined) {
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+    }
+    query.rating = rating;
+  }
+  return { query };
+}
+
+function serializeFeedbackForReview(feedback, { detail = false } = {}) {
+  return {
+    id: feedback._id,
+    user: feedback.user?._id || feedback.user,
+    username: feedback.user?.username || null,
+    messageId: feedback.message,
+    conversationId: feedback.conversation,
+    rating: feedback.rating,
+    comment: feedback.comment || '',
+    question: feedback.question,
+    searchQuestion: feedback.searchQuestion || null,
+    answer: feedback.answer,
+    provider: feedback.provider || null,
+    model: feedback.model || null,
+    status: feedback.status,
+    reviewNote: feedback.reviewNote || '',
+    reviewedAt: feedback.reviewedAt || null,
+    expected: {
+      cases: feedback.expected?.cases || [],
+      passages: feedback.expected?.passages || []
+    },
+    sourceCount: feedback.sources?.length || 0,
+    // The retrieved chunks and the prompt are only sent for a single item
+    ...(detail ? { sources: feedback.sources || [], prompt: feedback.prompt || null } : {}),
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt
+  };
+}
+
+// Answer feedback to triage, newest first (?status=new, ?rating=down and ?limit=100 to narrow
+// down), with counts per status and rating across all feedback
+router.get('/feedback', async (req, res) => {
+  try {
+    const { query, error } = feedbackQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_FEEDBACK);
+
+    const [items, counts] = await Promise.all([
+      Feedback.find(query, { sources: 0, prompt: 0 })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('user', 'username')
+        .lean(),
+      Feedback.aggregate([{ $group: { _id: { status: '$status', rating: '$rating' }, count: { $sum: 1 } } }])
+    ]);
+
+    const byStatus = Object.fromEntries(FEEDBACK_STATUSES.map(status => [status, 0]));
+    const byRating = Object.fromEntries(FEEDBACK_RATINGS.map(rating => [rating, 0]));
+    for (const row of counts) {
+      byStatus[row._id.status] = (byStatus[row._id.status] || 0) + row.count;
+      byRating[row._id.rating] = (byRating[row._id.rating] || 0) + row.count;
+    }
+
+    res.json({
+      success: true,
+      counts: { byStatus, byRating },
+      feedback: items.map(item => serializeFeedbackForReview(item))
+    });
+  } catch (error) {
+    console.error('List feedback error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load feedback' });
+  }
+});
+
+// Reviewed feedback as an evaluation golden set (see lib/eval/golden.js), ready for
+// `npm run eval -- --golden <file>`. Defaults to thumbs-down items marked reviewed or resolved;
+// ?status= and ?rating= pick others, and ?format=jsonl returns JSON Lines. Items without an
+// expected case or passage can't be scored and are listed under skipped.
+router.get('/feedback/export', async (req, res) => {
+  try {
+    const { query, error } = feedbackQuery({ rating: 'down', ...req.query });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!query.status) {
+      query.status = { $in: ['reviewed', 'resolved'] };
+    }
+
+    const feedback = await Feedback.find(query, { sources: 0, prompt: 0 }).sort({ createdAt: 1 }).lean();
+    const items = [];
+    const skipped = [];
+    for (const entry of feedback) {
+      const { item, error: itemError } = toGoldenItem({
+        id: `feedback-${entry._id}`,
+        question: entry.searchQuestion || entry.question,
+        expected: { cases: entry.expected?.cases || [], passages: entry.expected?.passages || [] }
+      });
+      if (item) items.push(item);
+      else skipped.push({ id: entry._id, reason: itemError });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'jsonl') {
+      res.set('Content-Disposition', `attachment; filename="feedback-golden-${stamp}.jsonl"`);
+      return res.type('application/x-ndjson').send(items.map(item => JSON.stringify(item)).join('\n') + (items.length > 0 ? '\n' : ''));
+    }
+    res.set('Content-Disposition', `attachment; filename="feedback-golden-${stamp}.json"`);
+    res.json({ items, skipped });
+  } catch (error) {
+    console.error('Export feedback error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to export feedback' });
+  }
+});
+
+// One feedback item with the retrieved chunks and the prompt that produced the answer
+router.get('/feedback/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Feedback not found' });
+    }
+    const feedback = await Feedback.findById(req.params.id).populate('user', 'username').lean();
+    if (!feedback) {
+      return res.status(404).json({ success: false, message: 'Feedback not found' });
+    }
+    res.json({ success: true, feedback: serializeFeedbackForReview(feedback, { detail: true }) });
+  } catch (error) {
+    console.error('Get feedback error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load feedback' });
+  }
+});
+
+const isStringList = (value) => Array.isArray(value) && value.length <= 20 &&
+  value.every(item => typeof item === 'string' && item.trim() && item.length <= 2000);
+
+// Triage a feedback item: { status, reviewNote, expected: { cases, passages } }. expected is
+// what a correct answer should be grounded in, and is required for the golden set export.
+router.patch('/feedback/:id', async (req, res) => {
+  try {
+    const { status, reviewNote, expected } = req.body;
+    if (status === undefined && reviewNote === undefined && expected === undefined) {
+      return res.status(400).json({ success: false, message: 'Nothing to update (status, reviewNote or expected)' });
+    }
+    if (status !== undefined && !FEEDBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${FEEDBACK_STATUSES.join(', ')}` });
+    }
+    if (reviewNote !== undefined && (typeof reviewNote !== 'string' || reviewNote.length > MAX_REVIEW_NOTE_LENGTH)) {
+      return res.status(400).json({ success: false, message: `reviewNote must be text of at most ${MAX_REVIEW_NOTE_LENGTH} characters` });
+    }
+    if (expected !== undefined) {
+      const { cases = [], passages = [] } = expected || {};
+      if (!isStringList(cases) || !isStringList(passages)) {
+        return res.status(400).json({ success: false, message: 'expected.cases and expected.passages must be lists of up to 20 strings' });
+      }
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Feedback not found' });
+    }
+
+    const update = { reviewedBy: req.user.id, reviewedAt: new Date() };
+    if (status !== undefined) update.status = status;
+    if (reviewNote !== undefined) update.reviewNote = reviewNote.trim();
+    if (expected !== undefined) {
+      update.expected = {
+        cases: (expected?.cases || []).map(item => item.trim()),
+        passages: (expected?.passages || []).map(item => item.trim())
+      };
+    }
+    const feedback = await Feedback.findByIdAndUpdate(req.params.id, { $set: update }, { new: true })
+      .populate('user', 'username')
+      .lean();
+    if (!feedback) {
+      return res.status(404).json({ success: false, message: 'Feedback not found' });
+    }
+
+    console.log(`📝 ${req.user.username} reviewed feedback ${feedback._id}${status ? ` as ${status}` : ''}`);
+    res.json({ success: true, feedback: serializeFeedbackForReview(feedback, { detail: true }) });
+  } catch (error) {
+    console.error('Update feedback error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to update feedback' });
+  }
+});
+
+export default router;
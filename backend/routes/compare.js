@@ -0,0 +1,97 @@
+// backend/routes/compare.js - Side-by-side comparison of selected judgments (see lib/compare.js)
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { validateProviderChoice } from '../lib/llm/index.js';
+import { keywordIndexAvailable } from '../lib/rag.js';
+import { parseSearchOptions } from '../lib/searchOptions.js';
+import { getCaseCatalog } from '../lib/filters.js';
+import { parseCompareRequest, compareCases, formatComparison } from '../lib/compare.js';
+import { findConversation, recordExchange } from '../lib/conversations.js';
+import { createUsageMeter, recordUsage } from '../lib/usage.js';
+
+// getCorpus() returns { collection, error } for the shared collection (see routes/documents.js)
+export default function createCompareRoutes(getCorpus) {
+  const router = express.Router();
+
+  // Compare judgments: { caseIds: [file name], question?, conversationId?, provider?, model?,
+  // mode?, maxContextTokens? }. The comparison is added to the conversation (a new one unless
+  // conversationId is given) like an answer.
+  router.post('/', auth, enforceQuota, async (req, res) => {
+    const startedAt = Date.now();
+    const usage = createUsageMeter();
+    const usageRecord = { userId: req.user.id, role: req.user.role, endpoint: 'compare', meter: usage, startedAt };
+    try {
+      const { provider, model, mode, maxContextTokens, conversationId } = req.body;
+      const { collection, error: collectionError } = getCorpus();
+      if (!collection) {
+        return res.status(503).json({
+          success: false,
+          message: collectionError || 'Document index is not available yet. Please try again later.'
+        });
+      }
+
+      const providerError = validateProviderChoice(provider, model);
+      if (providerError) {
+        return res.status(400).json({ success: false, message: providerError });
+      }
+      const { options: search, error: searchError } = parseSearchOptions({ mode, maxContextTokens });
+      if (searchError) {
+        return res.status(400).json({ success: false, message: searchError });
+      }
+      if (search.mode === 'keyword' && !keywordIndexAvailable()) {
+        return res.status(503).json({ success: false, message: 'Keyword search is not available until the keyword index is built (npm run preprocess).' });
+      }
+
+      const request = parseCompareRequest(req.body, await getCaseCatalog(collection));
+      if (request.error) {
+        return res.status(400).json({ success: false, message: request.error });
+      }
+
+      let conversation = null;
+      if (conversationId !== undefined && conversationId !== null && conversationId !== '') {
+        conversation = await findConversation(conversationId, req.user.id);
+        if (!conversation) {
+          return res.status(404).json({ success: false, message: 'Conversation not found' });
+        }
+      }
+
+      console.log(`⚖️  Comparing ${request.cases.map(document => document.filename).join(', ')}`);
+      const comparison = await compareCases(collection, { ...request, provider, model, mode: search.mode, maxContextTokens: search.maxContextTokens, usage });
+      const { sources, contextStats, ...table } = comparison;
+      const answer = formatComparison(comparison);
+
+      const recorded = await recordExchange(conversation, {
+        userId: req.user.id,
+        question: request.question || `Compare ${request.cases.map(document => document.title).join(' and ')}`,
+        answer,
+        sources,
+        citations: [...new Set([
+          ...table.aspects.flatMap(aspect => aspect.cells.flatMap(cell => cell.citations)),
+          ...(table.summary?.citations || [])
+        ])],
+        provider: comparison.provider,
+        model: comparison.model,
+        comparison: { question: table.question, focus: table.focus, cases: table.cases, aspects: table.aspects, summary: table.summary }
+      });
+      await recordUsage({ ...usageRecord, provider: comparison.provider, model: comparison.model, conversationId: recorded.conversation._id });
+
+      res.json({
+        success: true,
+        ...table,
+        answer,
+        sources,
+        contextStats,
+        conversationId: recorded.conversation._id,
+        messageId: recorded.answered._id,
+        usage: usage.totals()
+      });
+    } catch (error) {
+      console.error('Compare error:', error.message);
+      await recordUsage({ ...usageRecord, status: 'failed' });
+      res.status(500).json({ success: false, message: 'Failed to compare the judgments. Please try again.' });
+    }
+  });
+
+  return router;
+}
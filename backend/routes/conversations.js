@@ -0,0 +1,167 @@
+// backend/routes/conversations.js - CRUD for saved chat threads
+import express from 'express';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Feedback from '../models/Feedback.js';
+import { auth } from '../middleware/auth.js';
+import { findConversation, createConversation } from '../lib/conversations.js';
+
+const router = express.Router();
+
+router.use(auth);
+
+function serializeConversation(conversation) {
+  return {
+    id: conversation._id,
+    title: conversation.title,
+    messageCount: conversation.messageCount,
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt
+  };
+}
+
+function serializeMessage(message, feedback) {
+  return {
+    id: message._id,
+    role: message.role,
+    content: message.content,
+    rewrittenQuestion: message.rewrittenQuestion,
+    sources: message.sources,
+    citations: message.citations,
+    provider: message.provider,
+    model: message.model,
+    cancelled: message.cancelled,
+    comparison: message.comparison,
+    plan: message.plan,
+    // The caller's own rating of an answer, if any
+    feedback: feedback ? { rating: feedback.rating, comment: feedback.comment || '' } : undefined,
+    createdAt: message.createdAt
+  };
+}
+
+function validTitle(title) {
+  return typeof title === 'string' && title.trim().length > 0 && title.trim().length <= 200;
+}
+
+// List the caller's conversations, most recently active first
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ user: req.user.id })
+      .sort({ lastMessageAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ success: true, conversations: conversations.map(serializeConversation) });
+  } catch (error) {
+    console.error('List conversations error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load conversations' });
+  }
+});
+
+// Start an empty conversation
+router.post('/', async (req, res) => {
+  try {
+    const { title = 'New conversation' } = req.body;
+    if (!validTitle(title)) {
+      return res.status(400).json({ success: false, message: 'Title must be 1-200 characters' });
+    }
+    const conversation = await createConversation(req.user.id, title.trim());
+    res.status(201).json({ success: true, conversation: serializeConversation(conversation) });
+  } catch (error) {
+    console.error('Create conversation error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to create conversation' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation: serializeConversation(conversation) });
+  } catch (error) {
+    console.error('Get conversation error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load conversation' });
+  }
+});
+
+// Rename
+router.patch('/:id', async (req, res) => {
+  try {
+    const { title } = req.body;
+    if (!validTitle(title)) {
+      return res.status(400).json({ success: false, message: 'Title must be 1-200 characters' });
+    }
+    const conversation = await findConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    conversation.title = title.trim();
+    await conversation.save();
+    res.json({ success: true, conversation: serializeConversation(conversation) });
+  } catch (error) {
+    console.error('Rename conversation error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to rename conversation' });
+  }
+});
+
+// Delete a conversation together with its messages
+router.delete('/:id', async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    await Message.deleteMany({ conversation: conversation._id });
+    await conversation.deleteOne();
+    res.json({ success: true, message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Delete conversation error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to delete conversation' });
+  }
+});
+
+// All turns of a conversation, oldest first, with the caller's feedback on each answer
+router.get('/:id/messages', async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: 1 })
+      .lean();
+    const feedback = await Feedback.find(
+      { user: req.user.id, message: { $in: messages.filter(m => m.role === 'assistant').map(m => m._id) } },
+      { message: 1, rating: 1, comment: 1 }
+    ).lean();
+    const feedbackByMessage = new Map(feedback.map(item => [String(item.message), item]));
+    res.json({
+      success: true,
+      conversation: serializeConversation(conversation),
+      messages: messages.map(message => serializeMessage(message, feedbackByMessage.get(String(message._id))))
+    });
+  } catch (error) {
+    console.error('List messages error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load messages' });
+  }
+});
+
+// Remove all turns but keep the thread
+router.delete('/:id/messages', async (req, res) => {
+  try {
+    const conversation = await findConversation(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    await Message.deleteMany({ conversation: conversation._id });
+    conversation.messageCount = 0;
+    await conversation.save();
+    res.json({ success: true, message: 'Messages cleared' });
+  } catch (error) {
+    console.error('Clear messages error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to clear messages' });
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+// backend/routes/documents.js - Browse the judgments in the corpus and read them in full
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { parseFilters } from '../lib/filters.js';
+import {
+  SORT_ORDERS,
+  MAX_PAGE_SIZE,
+  listDocuments,
+  findDocument,
+  documentPdfPath,
+  readDocumentText
+} from '../lib/documents.js';
+import { findHeadnote, serializeHeadnote } from '../lib/headnotes.js';
+import { COLLECTION_NAME } from '../lib/chroma.js';
+import { getCitationGraph, getDocumentCitations, getCitingDocuments } from '../lib/citations.js';
+
+const FILTER_PARAMS = ['dateFrom', 'dateTo', 'category', 'party', 'court', 'bench', 'statute'];
+const MAX_SEARCH_LENGTH = 200;
+
+// Filters arrive as query parameters, so stateParty is the string "true" or "false"
+function filtersFromQuery(query) {
+  const raw = Object.fromEntries(FILTER_PARAMS.filter(key => query[key] !== undefined).map(key => [key, query[key]]));
+  if (query.stateParty !== undefined && query.stateParty !== '') {
+    if (query.stateParty !== 'true' && query.stateParty !== 'false') {
+      return { error: 'stateParty must be true or false' };
+    }
+    raw.stateParty = query.stateParty === 'true';
+  }
+  return parseFilters(raw);
+}
+
+// getCorpus() returns { collection, error } for the shared collection, which index.js opens
+// (and may still be waiting for) at startup
+export default function createDocumentRoutes(getCorpus) {
+  const router = express.Router();
+
+  router.use(auth);
+  router.use((req, res, next) => {
+    const { collection, error } = getCorpus();
+    if (!collection) {
+      return res.status(503).json({
+        success: false,
+        message: error || 'Document index is not available yet. Please try again later.'
+      });
+    }
+    req.collection = collection;
+    next();
+  });
+
+  // Judgments with their case metadata, a page at a time (?page=1&pageSize=20), narrowed by
+  // ?search= (title, parties or file name) and the query filters, sorted by ?sort=newest|oldest|title
+  router.get('/', async (req, res) => {
+    try {
+      const { filters, error } = filtersFromQuery(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      const { search = '', sort = 'newest' } = req.query;
+      if (typeof search !== 'string' || search.length > MAX_SEARCH_LENGTH) {
+        return res.status(400).json({ success: false, message: `search must be text of at most ${MAX_SEARCH_LENGTH} characters` });
+      }
+      if (!SORT_ORDERS.includes(sort)) {
+        return res.status(400).json({ success: false, message: `sort must be one of: ${SORT_ORDERS.join(', ')}` });
+      }
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const result = await listDocuments(req.collection, { filters, search, sort, page, pageSize });
+      res.json({ success: true, ...result, filters });
+    } catch (error) {
+      console.error('List documents error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load judgments' });
+    }
+  });
+
+  // One judgment: its metadata, headnote (null until generated), full text by page and where
+  // each stored chunk sits in the text
+  router.get('/:id', async (req, res) => {
+    try {
+      const document = await findDocument(req.collection, req.params.id);
+      if (!document) {
+        return res.status(404).json({ success: false, message: 'Judgment not found' });
+      }
+      const [text, headnote] = await Promise.all([
+        readDocumentText(req.collection, document.filename),
+        findHeadnote(document.filename)
+      ]);
+      if (!text) {
+        return res.status(404).json({ success: false, message: 'The PDF of this judgment is no longer available' });
+      }
+      res.json({
+        success: true,
+        document: { id: document.filename, ...document },
+        headnote: headnote ? serializeHeadnote(headnote) : null,
+        ...text
+      });
+    } catch (error) {
+      console.error('Read document error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load the judgment' });
+    }
+  });
+
+  // The generated headnote of one judgment
+  router.get('/:id/headnote', async (req, res) => {
+    try {
+      const document = await findDocument(req.collection, req.params.id);
+      if (!document) {
+        return res.status(404).json({ success: false, message: 'Judgment not found' });
+      }
+      const headnote = await findHeadnote(document.filename);
+      if (!headnote) {
+        return res.status(404).json({ success: false, message: 'No headnote has been generated for this judgment yet' });
+      }
+      res.json({ success: true, headnote: serializeHeadnote(headnote) });
+    } catch (error) {
+      console.error('Get headnote error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load the headnote' });
+    }
+  });
+
+  // Cases and statutory provisions a judgment cites, with the chunks they appear in; cases
+  // found in the corpus link to that judgment (cited: { id, title })
+  router.get('/:id/citations', async (req, res) => {
+    try {
+      const document = await findDocument(req.collection, req.params.id);
+      if (!document) {
+        return res.status(404).json({ success: false, message: 'Judgment not found' });
+      }
+      const citations = getDocumentCitations(getCitationGraph(COLLECTION_NAME), document.filename);
+      if (!citations) {
+        return res.status(404).json({ success: false, message: 'Citations have not been extracted for this judgment yet' });
+      }
+      res.json({ success: true, id: document.filename, ...citations });
+    } catch (error) {
+      console.error('Get citations error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load citations' });
+    }
+  });
+
+  // Judgments in the corpus that cite this one, with the citing chunks
+  router.get('/:id/cited-by', async (req, res) => {
+    try {
+      const document = await findDocument(req.collection, req.params.id);
+      if (!document) {
+        return res.status(404).json({ success: false, message: 'Judgment not found' });
+      }
+      const citedBy = getCitingDocuments(getCitationGraph(COLLECTION_NAME), document.filename);
+      res.json({ success: true, id: document.filename, citedBy });
+    } catch (error) {
+      console.error('Get citing judgments error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load citing judgments' });
+    }
+  });
+
+  // The original PDF
+  router.get('/:id/pdf', async (req, res) => {
+    try {
+      const document = await findDocument(req.collection, req.params.id);
+      const filePath = document && documentPdfPath(document.filename);
+      if (!filePath) {
+        return res.status(404).json({ success: false, message: 'Judgment not found' });
+      }
+      res.set('Content-Disposition', `inline; filename="${encodeURIComponent(document.filename)}"`);
+      res.type('application/pdf').sendFile(filePath);
+    } catch (error) {
+      console.error('Download document error:', error.message);
+      res.status(500).json({ success: false, message: 'Failed to load the PDF' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,96 @@
+// backend/routes/feedback.js - Thumbs up/down and comments on answers
+import express from 'express';
+import mongoose from 'mongoose';
+import Feedback, { FEEDBACK_RATINGS } from '../models/Feedback.js';
+import Message from '../models/Message.js';
+import { auth } from '../middleware/auth.js';
+import { buildAnswerPrompt } from '../lib/rag.js';
+import { formatContext } from '../lib/context.js';
+import { buildComparisonPrompt } from '../lib/compare.js';
+
+const router = express.Router();
+const MAX_COMMENT_LENGTH = 2000;
+
+router.use(auth);
+
+export function serializeFeedback(feedback) {
+  return {
+    id: feedback._id,
+    messageId: feedback.message,
+    rating: feedback.rating,
+    comment: feedback.comment || '',
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt
+  };
+}
+
+// The prompt that produced a stored answer, from its sources
+function rebuildPrompt(answer, searchQuestion, sources) {
+  if (answer.comparison) {
+    return buildComparisonPrompt(answer.comparison.question, answer.comparison.cases, sources);
+  }
+  return buildAnswerPrompt(searchQuestion, formatContext(sources), answer.plan?.subQueries.map(part => part.query));
+}
+
+// Rate one of the caller's answers: { messageId, rating: "up" | "down", comment? }. Rating the
+// same answer again replaces the earlier feedback. The question, retrieved sources, prompt
+// and model are stored with it so reviewers see exactly what produced the answer.
+router.post('/', async (req, res) => {
+  try {
+    const { messageId, rating, comment = '' } = req.body;
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ success: false, message: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` });
+    }
+    if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ success: false, message: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+
+    const answer = await Message.findOne({ _id: messageId, user: req.user.id, role: 'assistant' }).lean();
+    if (!answer) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+    const asked = await Message.findOne({
+      conversation: answer.conversation,
+      role: 'user',
+      createdAt: { $lte: answer.createdAt }
+    }).sort({ createdAt: -1 }).lean();
+    if (!asked) {
+      return res.status(404).json({ success: false, message: 'Question for this answer not found' });
+    }
+
+    const sources = answer.sources || [];
+    // Headnote answers (see lib/headnotes.js) are stored text, not a model reply to a prompt
+    const generated = sources.length > 0 && answer.provider !== 'headnote';
+    const searchQuestion = asked.rewrittenQuestion || asked.content;
+    const feedback = await Feedback.findOneAndUpdate(
+      { message: answer._id, user: req.user.id },
+      {
+        $set: {
+          conversation: answer.conversation,
+          rating,
+          comment: comment.trim() || undefined,
+          question: asked.content,
+          searchQuestion,
+          answer: answer.content,
+          sources,
+          prompt: generated ? rebuildPrompt(answer, searchQuestion, sources) : undefined,
+          provider: answer.provider,
+          model: answer.model
+        },
+        $setOnInsert: { status: 'new' }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    console.log(`${rating === 'up' ? '👍' : '👎'} Feedback on answer ${answer._id} from ${req.user.username}`);
+    res.json({ success: true, feedback: serializeFeedback(feedback) });
+  } catch (error) {
+    console.error('Feedback error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to save feedback' });
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+// backend/routes/jobs.js - Enqueue background ingestion jobs and poll their progress
+//
+// Members queue and see jobs for their own uploads; jobs that change the shared corpus
+// (ingest, delete documents, rebuild the collection, generate headnotes) are admin-only, and
+// admins see every job.
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import UserDocument from '../models/UserDocument.js';
+import { auth, requireRole, hasRole } from '../middleware/auth.js';
+import { prepareJob, enqueueJob, cancelJob } from '../lib/jobs/index.js';
+
+const router = express.Router();
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+router.use(auth, requireRole('member'));
+
+// Totals across the job's files
+function summarizeProgress(files) {
+  const count = (status) => files.filter(file => file.status === status).length;
+  return {
+    filesTotal: files.length,
+    filesDone: count('done') + count('skipped'),
+    filesFailed: count('failed'),
+    currentFile: files.find(file => file.status === 'running')?.name || null,
+    chunksDone: files.reduce((sum, file) => sum + (file.chunksDone || 0), 0),
+    chunksTotal: files.reduce((sum, file) => sum + (file.chunksTotal || 0), 0)
+  };
+}
+
+function serializeJob(job, { withFiles = false } = {}) {
+  const files = job.files || [];
+  return {
+    id: job._id,
+    type: job.type,
+    payload: job.payload,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAfter: job.runAfter,
+    progress: summarizeProgress(files),
+    ...(withFiles && { files }),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Admins can see every job, others only their own
+function ownerFilter(user) {
+  return hasRole(user, 'admin') ? {} : { user: user.id };
+}
+
+async function findJob(id, user) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Job.findOne({ _id: id, ...ownerFilter(user) });
+}
+
+// Jobs the caller can see, newest first (?status=running to narrow down)
+router.get('/', async (req, res) => {
+  try {
+    const query = ownerFilter(req.user);
+    if (req.query.status !== undefined) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await Job.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ success: true, jobs: jobs.map(job => serializeJob(job)) });
+  } catch (error) {
+    console.error('List jobs error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load jobs' });
+  }
+});
+
+// Queue an ingest, reembed, delete or headnote job: { type, payload }
+router.post('/', async (req, res) => {
+  try {
+    const { type, payload = {} } = req.body;
+    const { job, error } = prepareJob(type, payload);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!job.payload.uploadId && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ success: false, message: 'Only admins can change the shared corpus' });
+    }
+    if (job.payload.uploadId && !(await UserDocument.exists({ _id: job.payload.uploadId, user: req.user.id }))) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const created = await enqueueJob(type, payload, { user: req.user.id });
+    res.status(202).json({ success: true, job: serializeJob(created) });
+  } catch (error) {
+    console.error('Create job error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to queue job' });
+  }
+});
+
+// Status and per-file progress of one job
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req.params.id, req.user);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, job: serializeJob(job, { withFiles: true }) });
+  } catch (error) {
+    console.error('Get job error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load job' });
+  }
+});
+
+// Cancel a queued job, or ask a running one to stop after its current batch
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await findJob(req.params.id, req.user);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const cancelled = await cancelJob(job._id);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, message: 'Job has already finished' });
+    }
+    res.json({ success: true, job: serializeJob(cancelled) });
+  } catch (error) {
+    console.error('Cancel job error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to cancel job' });
+  }
+});
+
+export default router;
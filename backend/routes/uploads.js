@@ -0,0 +1,175 @@
+// backend/routes/uploads.js - Upload, list, delete and re-index a user's private documents
+import crypto from 'crypto';
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import UserDocument from '../models/UserDocument.js';
+import { auth, requireRole } from '../middleware/auth.js';
+import { hashContent } from '../lib/pdf.js';
+import { FILE_TYPES, detectFileType } from '../lib/extract.js';
+import { storeUploadFile, removeUploadFile, deleteUploadChunks } from '../lib/uploads.js';
+import { enqueueJob, cancelUploadJobs, hasActiveJob } from '../lib/jobs/index.js';
+
+const MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_MB, 10) || 20;
+const MAX_FILES = 10;
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!detectFileType(file.originalname, file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', `${file.originalname} is not a PDF, DOCX or TXT file`));
+    }
+    cb(null, true);
+  }
+});
+
+// Guests are read-only
+router.use(auth, requireRole('member'));
+
+function serializeDocument(doc) {
+  return {
+    id: doc._id,
+    name: doc.originalName,
+    fileType: doc.fileType,
+    size: doc.size,
+    status: doc.status,
+    progress: doc.progress,
+    error: doc.error,
+    ingestedAt: doc.ingestedAt,
+    createdAt: doc.createdAt
+  };
+}
+
+async function findUpload(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return UserDocument.findOne({ _id: id, user: userId });
+}
+
+// Turn multer's errors (size, count, type) into the usual 400 JSON
+function receiveFiles(req, res, next) {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = {
+        LIMIT_FILE_SIZE: `Files must be at most ${MAX_FILE_MB} MB`,
+        LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES} files at a time`
+      }[error.code] || error.field || error.message;
+      return res.status(400).json({ success: false, message });
+    }
+    if (error) return next(error);
+    next();
+  });
+}
+
+// The caller's uploads, newest first
+router.get('/', async (req, res) => {
+  try {
+    const docs = await UserDocument.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, documents: docs.map(serializeDocument) });
+  } catch (error) {
+    console.error('List uploads error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load documents' });
+  }
+});
+
+// Accept files (multipart field "files") and queue them for ingestion
+router.post('/', receiveFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: `Choose a file to upload (${Object.keys(FILE_TYPES).join(', ')})` });
+    }
+
+    const created = [];
+    const skipped = [];
+    for (const file of req.files) {
+      const contentHash = hashContent(file.buffer);
+      if (await UserDocument.exists({ user: req.user.id, contentHash })) {
+        skipped.push({ name: file.originalname, reason: 'Already uploaded' });
+        continue;
+      }
+
+      const fileType = detectFileType(file.originalname, file.mimetype);
+      const doc = new UserDocument({
+        user: req.user.id,
+        originalName: file.originalname.substring(0, 255),
+        storedName: `${crypto.randomUUID()}${FILE_TYPES[fileType].extension}`,
+        fileType,
+        size: file.size,
+        contentHash
+      });
+      storeUploadFile(doc, file.buffer);
+      await doc.save();
+      await enqueueJob('ingest', { uploadId: doc._id }, { user: req.user.id });
+      created.push(doc);
+    }
+
+    res.status(created.length > 0 ? 202 : 409).json({
+      success: created.length > 0,
+      message: created.length > 0
+        ? `${created.length} file(s) queued for indexing`
+        : 'These files have already been uploaded',
+      documents: created.map(serializeDocument),
+      skipped
+    });
+  } catch (error) {
+    console.error('Upload error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to upload files' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const doc = await findUpload(req.params.id, req.user.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    res.json({ success: true, document: serializeDocument(doc) });
+  } catch (error) {
+    console.error('Get upload error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load document' });
+  }
+});
+
+// Stop any indexing job, then remove the file, its chunks and its record
+router.delete('/:id', async (req, res) => {
+  try {
+    const doc = await findUpload(req.params.id, req.user.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    await cancelUploadJobs(doc._id);
+    await doc.deleteOne();
+    await deleteUploadChunks(doc);
+    removeUploadFile(doc);
+    res.json({ success: true, message: 'Document deleted' });
+  } catch (error) {
+    console.error('Delete upload error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to delete document' });
+  }
+});
+
+// Parse, chunk and embed the stored file again
+router.post('/:id/reindex', async (req, res) => {
+  try {
+    const doc = await findUpload(req.params.id, req.user.id);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (await hasActiveJob({ 'payload.uploadId': String(doc._id) })) {
+      return res.status(409).json({ success: false, message: 'Document is already being indexed' });
+    }
+    doc.status = 'queued';
+    doc.error = undefined;
+    doc.progress = { chunksDone: 0, chunksTotal: 0 };
+    await doc.save();
+    await enqueueJob('reembed', { uploadId: doc._id }, { user: req.user.id });
+    res.status(202).json({ success: true, document: serializeDocument(doc) });
+  } catch (error) {
+    console.error('Re-index upload error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to re-index document' });
+  }
+});
+
+export default router;
@@ -0,0 +1,77 @@
+// backend/routes/usage.js - The signed-in user's quotas, token use and cost estimate
+import express from 'express';
+import mongoose from 'mongoose';
+import UsageRecord from '../models/UsageRecord.js';
+import { auth } from '../middleware/auth.js';
+import { getQuotaStatus } from '../lib/usage.js';
+
+const router = express.Router();
+const MAX_DAYS = 90;
+const RECENT_RECORDS = 20;
+
+router.use(auth);
+
+// Limits with what is left of them today and this month, daily totals for the last
+// ?days=30 days and the most recent questions
+router.get('/', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_DAYS);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const user = new mongoose.Types.ObjectId(req.user.id);
+
+    const [quota, perDay, recent] = await Promise.all([
+      getQuotaStatus(req.user.id, req.user.role),
+      UsageRecord.aggregate([
+        { $match: { user, createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            queries: { $sum: 1 },
+            inputTokens: { $sum: '$inputTokens' },
+            outputTokens: { $sum: '$outputTokens' },
+            costUsd: { $sum: '$costUsd' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      UsageRecord.find({ user }, { calls: 0 }).sort({ createdAt: -1 }).limit(RECENT_RECORDS).lean()
+    ]);
+
+    const remaining = (limit, used) => (limit > 0 ? Math.max(limit - used, 0) : null);
+    res.json({
+      success: true,
+      role: req.user.role,
+      limits: quota.limits,
+      today: {
+        ...quota.today,
+        queriesRemaining: remaining(quota.limits.dailyQueries, quota.today.queries),
+        tokensRemaining: remaining(quota.limits.dailyTokens, quota.today.tokens)
+      },
+      month: {
+        ...quota.month,
+        queriesRemaining: remaining(quota.limits.monthlyQueries, quota.month.queries),
+        tokensRemaining: remaining(quota.limits.monthlyTokens, quota.month.tokens)
+      },
+      perDay: perDay.map(({ _id, ...totals }) => ({ date: _id, ...totals })),
+      recent: recent.map(record => ({
+        id: record._id,
+        endpoint: record.endpoint,
+        status: record.status,
+        provider: record.provider || null,
+        model: record.model || null,
+        inputTokens: record.inputTokens,
+        outputTokens: record.outputTokens,
+        costUsd: record.costUsd,
+        latencyMs: record.latencyMs,
+        cache: record.cache || { embedding: false, answer: false },
+        conversationId: record.conversation || null,
+        createdAt: record.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Usage error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load usage' });
+  }
+});
+
+export default router;
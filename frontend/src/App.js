@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './components/Login';
 import Chat from './components/Chat';
+import FeedbackReview from './components/FeedbackReview';
+import CaseBrowser from './components/CaseBrowser';
+import CaseReader from './components/CaseReader';
 
 export default function App() {
   const [token, setToken] = useState(null);
@@ -38,6 +41,9 @@ export default function App() {
       <Routes>
         <Route path="/login" element={token ? <Navigate to="/chat" replace /> : <Login />} />
         <Route path="/chat" element={token ? <Chat /> : <Navigate to="/login" replace />} />
+        <Route path="/cases" element={token ? <CaseBrowser /> : <Navigate to="/login" replace />} />
+        <Route path="/cases/:id" element={token ? <CaseReader /> : <Navigate to="/login" replace />} />
+        <Route path="/admin/feedback" element={token ? <FeedbackReview /> : <Navigate to="/login" replace />} />
         <Route path="/" element={<Navigate to={token ? "/chat" : "/login"} replace />} />
       </Routes>
     </BrowserRouter>
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+
+const MODE_LABELS = {
+  hybrid: 'Hybrid (meaning + keywords)',
+  vector: 'Meaning only',
+  keyword: 'Keywords only'
+};
+
+// Convert the settings the user actually changed into request fields; blank ones fall back
+// to the server defaults
+export const activeSearchOptions = (settings) => {
+  const options = {};
+  for (const key of ['k', 'minScore', 'maxContextTokens']) {
+    if (settings[key] !== undefined && settings[key] !== '') options[key] = Number(settings[key]);
+  }
+  if (settings.mode) options.mode = settings.mode;
+  if (typeof settings.decompose === 'boolean') options.decompose = settings.decompose;
+  return options;
+};
+
+// Collapsible retrieval settings for power users (passages, similarity threshold, context
+// size, retrieval mode, splitting compound questions). search carries the server's { defaults, limits } from /api/filters.
+export default function AdvancedSearch({ settings, onChange, search, disabled }) {
+  const [open, setOpen] = useState(false);
+  const activeCount = Object.keys(activeSearchOptions(settings)).length;
+
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const defaults = search?.defaults || {};
+  const limits = search?.limits || {};
+  const modes = limits.modes || Object.keys(MODE_LABELS);
+
+  return (
+    <div className="search-filters advanced-search">
+      <div className="filters-toggle">
+        <button type="button" onClick={() => setOpen(o => !o)} className="filters-btn">
+          {open ? '▾' : '▸'} Advanced search{activeCount > 0 && ` (${activeCount})`}
+        </button>
+        {activeCount > 0 && (
+          <button type="button" onClick={() => onChange({})} className="filters-clear" disabled={disabled}>
+            Reset to defaults
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="filters-grid">
+          <label>
+            Passages in context
+            <input
+              type="number"
+              placeholder={defaults.k ? `Default ${defaults.k}` : 'Default'}
+              value={settings.k ?? ''}
+              min={limits.k?.min ?? 1}
+              max={limits.k?.max}
+              step={1}
+              onChange={e => update('k', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Minimum similarity (0–{limits.minScore?.max ?? 0.95})
+            <input
+              type="number"
+              placeholder={defaults.minScore !== undefined ? `Default ${defaults.minScore}` : 'Default'}
+              value={settings.minScore ?? ''}
+              min={limits.minScore?.min ?? 0}
+              max={limits.minScore?.max ?? 0.95}
+              step={0.05}
+              onChange={e => update('minScore', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Max context tokens
+            <input
+              type="number"
+              placeholder="Model default"
+              value={settings.maxContextTokens ?? ''}
+              min={limits.maxContextTokens?.min}
+              max={limits.maxContextTokens?.max}
+              step={500}
+              onChange={e => update('maxContextTokens', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Retrieval mode
+            <select
+              value={settings.mode || ''}
+              onChange={e => update('mode', e.target.value)}
+              disabled={disabled}
+            >
+              <option value="">Default{defaults.mode ? ` (${defaults.mode})` : ''}</option>
+              {modes.map(mode => (
+                <option key={mode} value={mode}>{MODE_LABELS[mode] || mode}</option>
+              ))}
+            </select>
+          </label>
+          <label className="filters-checkbox" title="Search each part of a compound question separately, then answer from all of them">
+            <input
+              type="checkbox"
+              checked={settings.decompose ?? Boolean(defaults.decompose)}
+              onChange={e => update('decompose', e.target.checked)}
+              disabled={disabled}
+            />
+            Split compound questions into parts
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+
+// Thumbs up/down on an answer, with an optional comment. The rating is saved as soon as it
+// is clicked; the comment box then lets the user explain what was wrong (or right).
+export default function AnswerFeedback({ messageId, feedback, onSubmit, disabled }) {
+  const [commenting, setCommenting] = useState(false);
+  const [comment, setComment] = useState(feedback?.comment || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!messageId) return null;
+
+  const submit = async (rating, text) => {
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit(messageId, { rating, comment: text });
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save your feedback.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rate = async (rating) => {
+    if (await submit(rating, comment)) setCommenting(true);
+  };
+
+  const sendComment = async (e) => {
+    e.preventDefault();
+    if (await submit(feedback.rating, comment.trim())) setCommenting(false);
+  };
+
+  return (
+    <div className="answer-feedback">
+      <span>Was this answer helpful?</span>
+      <button
+        type="button"
+        className={feedback?.rating === 'up' ? 'selected' : ''}
+        onClick={() => rate('up')}
+        disabled={disabled || saving}
+        title="Helpful"
+        aria-pressed={feedback?.rating === 'up'}
+      >
+        👍
+      </button>
+      <button
+        type="button"
+        className={feedback?.rating === 'down' ? 'selected' : ''}
+        onClick={() => rate('down')}
+        disabled={disabled || saving}
+        title="Wrong, unsupported or unhelpful"
+        aria-pressed={feedback?.rating === 'down'}
+      >
+        👎
+      </button>
+      {feedback && !commenting && (
+        <button type="button" className="feedback-comment-btn" onClick={() => setCommenting(true)} disabled={disabled}>
+          {feedback.comment ? 'Edit comment' : 'Add a comment'}
+        </button>
+      )}
+      {error && <small className="feedback-error">{error}</small>}
+
+      {commenting && feedback && (
+        <form className="feedback-form" onSubmit={sendComment}>
+          <textarea
+            placeholder={feedback.rating === 'down'
+              ? 'What was wrong? e.g. misstated holding, cited the wrong case, made something up'
+              : 'What was useful? (optional)'}
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            maxLength={2000}
+            rows={3}
+            disabled={saving}
+          />
+          <div className="feedback-form-actions">
+            <button type="button" onClick={() => setCommenting(false)} disabled={saving}>Close</button>
+            <button type="submit" disabled={saving}>Send</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import SearchFilters, { activeFilters } from './SearchFilters';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+const PAGE_SIZE = 20;
+
+// Searchable, filterable list of the judgments in the corpus
+export default function CaseBrowser() {
+  const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [filters, setFilters] = useState({});
+  const [filterOptions, setFilterOptions] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/filters`, { headers: authHeaders() })
+      .then(({ data }) => setFilterOptions(data))
+      .catch(err => console.error('Failed to load filter options:', err));
+  }, []);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedSearch(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // A new search starts again from the first page
+  const changeFilters = (next) => {
+    setFilters(next);
+    setPage(1);
+  };
+
+  const changeSort = (next) => {
+    setSort(next);
+    setPage(1);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    axios.get(`${API_BASE_URL}/api/documents`, {
+      params: { ...activeFilters(filters), search: appliedSearch || undefined, sort, page, pageSize: PAGE_SIZE },
+      headers: authHeaders()
+    })
+      .then(({ data }) => !cancelled && setResult(data))
+      .catch(err => !cancelled && setError(err.response?.data?.message || 'Failed to load judgments.'))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [appliedSearch, filters, sort, page]);
+
+  return (
+    <div className="chat-layout">
+      <div className="chat-container case-browser">
+        <div className="chat-header">
+          <div className="user-info">
+            <h2>Judgments</h2>
+            {result && <span>{result.total} {result.total === 1 ? 'judgment' : 'judgments'}</span>}
+          </div>
+          <div className="header-actions">
+            <Link to="/chat" className="clear-btn">Back to chat</Link>
+          </div>
+        </div>
+
+        <div className="query-section">
+          <div className="case-search">
+            <input
+              type="search"
+              placeholder="Search by case title, party or file name"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              maxLength={200}
+            />
+            <select value={sort} onChange={e => changeSort(e.target.value)} aria-label="Sort">
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="title">Title A–Z</option>
+            </select>
+          </div>
+          <SearchFilters filters={filters} onChange={changeFilters} options={filterOptions} />
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && !result && <p>Loading...</p>}
+        {result && result.documents.length === 0 && <p className="sidebar-empty">No judgments match.</p>}
+
+        {result && result.documents.length > 0 && (
+          <ul className="case-list">
+            {result.documents.map(document => (
+              <li key={document.id} className="chat-item">
+                <Link to={`/cases/${encodeURIComponent(document.id)}`} className="case-title">
+                  {document.title}
+                  {document.hasHeadnote && <span className="case-badge" title="A headnote has been generated">Headnote</span>}
+                </Link>
+                <small className="case-meta">
+                  {[
+                    document.decisionDate,
+                    document.court,
+                    document.category,
+                    document.bench && `Bench: ${document.bench}`
+                  ].filter(Boolean).join(' · ')}
+                </small>
+                {document.statutes.length > 0 && (
+                  <small className="case-meta">Statutes: {document.statutes.join('; ')}</small>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {result && result.totalPages > 1 && (
+          <div className="case-pagination">
+            <button type="button" onClick={() => setPage(p => p - 1)} disabled={loading || page <= 1}>‹ Previous</button>
+            <span>Page {result.page} of {result.totalPages}</span>
+            <button type="button" onClick={() => setPage(p => p + 1)} disabled={loading || page >= result.totalPages}>Next ›</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
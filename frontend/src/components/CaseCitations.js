@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+const caseLink = (id, chunks = []) => `/cases/${encodeURIComponent(id)}${chunks.length > 0 ? `?highlight=${chunks.join(',')}` : ''}`;
+
+const caseName = (entry) => (entry.parties ? `${entry.parties[0]} v. ${entry.parties[1]}` : null);
+
+// Provisions grouped by statute: [[statute, ['Section 41', 'Section 437']]]
+const groupStatutes = (statutes) => {
+  const groups = new Map();
+  statutes.forEach(({ statute, provision }) => {
+    if (!groups.has(statute)) groups.set(statute, []);
+    groups.get(statute).push(provision);
+  });
+  return [...groups.entries()];
+};
+
+// The cases and statutes a judgment cites and the judgments in the corpus that cite it.
+// Links to a judgment in the corpus highlight the passages carrying the citation.
+export default function CaseCitations({ id }) {
+  const [citations, setCitations] = useState(null);
+  const [citedBy, setCitedBy] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCitations(null);
+    setCitedBy([]);
+    const url = `${API_BASE_URL}/api/documents/${encodeURIComponent(id)}`;
+    axios.get(`${url}/citations`, { headers: authHeaders() })
+      .then(({ data }) => !cancelled && setCitations(data))
+      .catch(() => {}); // Not extracted yet: the panel stays hidden
+    axios.get(`${url}/cited-by`, { headers: authHeaders() })
+      .then(({ data }) => !cancelled && setCitedBy(data.citedBy))
+      .catch(err => console.error('Failed to load citing judgments:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  if (!citations && citedBy.length === 0) return null;
+
+  const resolved = citations ? citations.cases.filter(entry => entry.cited) : [];
+  const unresolved = citations ? citations.cases.filter(entry => !entry.cited) : [];
+  const statutes = citations ? groupStatutes(citations.statutes) : [];
+
+  return (
+    <details className="case-citations">
+      <summary>
+        Citations
+        <small>
+          {[
+            citations && `cites ${citations.cases.length} ${citations.cases.length === 1 ? 'case' : 'cases'}`,
+            `cited by ${citedBy.length} in this collection`
+          ].filter(Boolean).join(' · ')}
+        </small>
+      </summary>
+
+      {citations?.ownCitations.length > 0 && (
+        <p><strong>Reported as:</strong> {citations.ownCitations.join('; ')}</p>
+      )}
+
+      {citedBy.length > 0 && (
+        <div>
+          <strong>Cited by:</strong>
+          <ul>
+            {citedBy.map(citing => (
+              <li key={citing.id}>
+                <Link to={caseLink(citing.id, citing.chunks)}>{citing.title}</Link>
+                <small className="case-meta"> as {citing.citations.join('; ')}</small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {resolved.length > 0 && (
+        <div>
+          <strong>Cases cited that are in this collection:</strong>
+          <ul>
+            {resolved.map(entry => (
+              <li key={entry.citation}>
+                <Link to={caseLink(entry.cited.id)}>{entry.cited.title}</Link>
+                <small className="case-meta">
+                  {' '}{entry.citation} · <Link to={caseLink(id, entry.chunks)}>where cited</Link>
+                </small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unresolved.length > 0 && (
+        <div>
+          <strong>Other cases cited:</strong>
+          <ul>
+            {unresolved.map(entry => (
+              <li key={entry.citation}>
+                {caseName(entry) ? `${caseName(entry)}, ` : ''}{entry.citation}
+                <small className="case-meta"> · <Link to={caseLink(id, entry.chunks)}>where cited</Link></small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {statutes.length > 0 && (
+        <div>
+          <strong>Provisions referred to:</strong>
+          <ul>
+            {statutes.map(([statute, provisions]) => (
+              <li key={statute}>{statute}: {provisions.join(', ')}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,190 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import CaseCitations from './CaseCitations';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+// Character ranges of the highlighted chunks, with overlapping neighbours merged into one passage
+const highlightRanges = (chunks, indexes) => {
+  const ranges = chunks
+    .filter(chunk => indexes.has(chunk.index) && chunk.start !== null)
+    .map(chunk => ({ start: chunk.start, end: chunk.end, pageStart: chunk.pageStart }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+  return merged;
+};
+
+// Split a page into plain and highlighted segments; a passage's first segment carries its number
+const pageSegments = (page, ranges) => {
+  const pageEnd = page.start + page.text.length;
+  const segments = [];
+  let cursor = page.start;
+  ranges.forEach((range, n) => {
+    const start = Math.max(range.start, page.start);
+    const end = Math.min(range.end, pageEnd);
+    if (start >= end) return;
+    if (start > cursor) segments.push({ text: page.text.slice(cursor - page.start, start - page.start) });
+    segments.push({ text: page.text.slice(start - page.start, end - page.start), passage: n, first: start === range.start });
+    cursor = end;
+  });
+  if (cursor < pageEnd) segments.push({ text: page.text.slice(cursor - page.start) });
+  return segments;
+};
+
+const HeadnoteList = ({ label, items }) => (items.length > 0 ? (
+  <div>
+    <strong>{label}:</strong>
+    <ul>{items.map((item, i) => <li key={i}>{item}</li>)}</ul>
+  </div>
+) : null);
+
+// The generated headnote: issues, statutes and precedents, holding and final order
+function HeadnotePanel({ headnote }) {
+  return (
+    <details className="case-headnote" open>
+      <summary>Headnote</summary>
+      <HeadnoteList label="Issues" items={headnote.issues} />
+      <HeadnoteList label="Statutes" items={headnote.statutes} />
+      <HeadnoteList label="Precedents cited" items={headnote.precedents} />
+      {headnote.holding && <p><strong>Held:</strong> {headnote.holding}</p>}
+      {headnote.finalOrder && <p><strong>Final order:</strong> {headnote.finalOrder}</p>}
+      <small className="case-meta">
+        Generated{headnote.provider ? ` by ${headnote.provider}${headnote.model ? `/${headnote.model}` : ''}` : ''} from the judgment text; check it against the judgment before relying on it.
+      </small>
+    </details>
+  );
+}
+
+// Full text of one judgment, page by page, with the chunks listed in ?highlight= (chunk
+// numbers, as linked from a cited answer) marked and scrolled into view
+export default function CaseReader() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [pdfLoading, setPdfLoading] = useState(false);
+  const firstHighlight = useRef(null);
+
+  const highlight = searchParams.get('highlight') || '';
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError('');
+    axios.get(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}`, { headers: authHeaders() })
+      .then(({ data: loaded }) => !cancelled && setData(loaded))
+      .catch(err => !cancelled && setError(err.response?.data?.message || 'Failed to load the judgment.'));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    if (data) firstHighlight.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [data]);
+
+  // The PDF needs the auth header, so fetch it and open it from a blob URL
+  const openPdf = async () => {
+    setPdfLoading(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}/pdf`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      setError('Could not open the PDF.');
+    } finally {
+      setPdfLoading(false);
+    }
+  };
+
+  const indexes = new Set(highlight.split(',').filter(Boolean).map(Number).filter(Number.isInteger));
+  const ranges = data ? highlightRanges(data.chunks, indexes) : [];
+  const document = data?.document;
+
+  const scrollToPassage = (n) => {
+    window.document.getElementById(`passage-${n}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  return (
+    <div className="chat-layout">
+      <div className="chat-container case-reader">
+        <div className="chat-header">
+          <div className="user-info">
+            <h2>{document?.title || 'Judgment'}</h2>
+            {document && (
+              <span>
+                {[document.decisionDate, document.court, data.numPages && `${data.numPages} pages`].filter(Boolean).join(' · ')}
+              </span>
+            )}
+          </div>
+          <div className="header-actions">
+            <button onClick={openPdf} className="clear-btn" disabled={!document || pdfLoading}>
+              {pdfLoading ? 'Opening...' : 'Original PDF'}
+            </button>
+            <Link to="/cases" className="clear-btn">All judgments</Link>
+          </div>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {!data && !error && <p>Loading...</p>}
+
+        {document && (
+          <div className="case-details">
+            {document.petitioner && <div><strong>Petitioner:</strong> {document.petitioner}</div>}
+            {document.respondent && <div><strong>Respondent:</strong> {document.respondent}</div>}
+            {document.bench && <div><strong>Bench:</strong> {document.bench}</div>}
+            {document.statutes.length > 0 && <div><strong>Statutes:</strong> {document.statutes.join('; ')}</div>}
+          </div>
+        )}
+
+        {data?.headnote && <HeadnotePanel headnote={data.headnote} />}
+        {data && !data.headnote && <p className="sidebar-empty">No headnote has been generated for this judgment yet.</p>}
+        {document && <CaseCitations id={document.id} />}
+
+        {ranges.length > 0 && (
+          <div className="case-highlights">
+            <small>Cited passages:</small>
+            {ranges.map((range, n) => (
+              <button key={range.start} type="button" className="citation-chip" onClick={() => scrollToPassage(n)}>
+                {n + 1}{range.pageStart ? ` · p. ${range.pageStart}` : ''}
+              </button>
+            ))}
+          </div>
+        )}
+        {data && indexes.size > 0 && ranges.length === 0 && (
+          <p className="sidebar-empty">The cited passages could not be located in this version of the judgment.</p>
+        )}
+
+        {data?.pages.map(page => (
+          <section key={page.number} className="case-page">
+            <div className="case-page-number">Page {page.number}</div>
+            <div className="case-page-text">
+              {pageSegments(page, ranges).map((segment, i) => (segment.passage === undefined ? (
+                <span key={i}>{segment.text}</span>
+              ) : (
+                <mark
+                  key={i}
+                  id={segment.first ? `passage-${segment.passage}` : undefined}
+                  ref={segment.first && segment.passage === 0 ? firstHighlight : undefined}
+                >
+                  {segment.text}
+                </mark>
+              )))}
+            </div>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
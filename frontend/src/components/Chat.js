@@ -1,16 +1,62 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import CitedAnswer from './CitedAnswer';
+import ComparisonTable from './ComparisonTable';
+import ComparePanel from './ComparePanel';
+import QueryPlan from './QueryPlan';
+import ConversationSidebar from './ConversationSidebar';
+import SearchFilters, { activeFilters } from './SearchFilters';
+import AdvancedSearch, { activeSearchOptions } from './AdvancedSearch';
+import UploadPanel from './UploadPanel';
+import AnswerFeedback from './AnswerFeedback';
+import { streamQuery } from '../streamQuery';
+import { clearSession, authHeaders } from '../session';
 
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
 
+// Pair stored user/assistant turns into history items (newest first)
+const messagesToHistory = (messages) => {
+  const items = [];
+  for (let i = 0; i < messages.length; i++) {
+    if (messages[i].role !== 'user') continue;
+    const reply = messages[i + 1]?.role === 'assistant' ? messages[i + 1] : null;
+    items.push({
+      id: messages[i].id,
+      question: messages[i].content,
+      searchQuestion: messages[i].rewrittenQuestion,
+      answer: reply?.content || '',
+      timestamp: new Date(messages[i].createdAt).toLocaleString(),
+      sources: reply?.sources || [],
+      comparison: reply?.comparison,
+      plan: reply?.plan,
+      messageId: reply?.id,
+      info: reply ? { provider: reply.provider, model: reply.model, cancelled: reply.cancelled } : null
+    });
+  }
+  return items.reverse();
+};
+
 export default function Chat() {
   const [question, setQuestion] = useState('');
   const [answer, setAnswer] = useState('');
+  const [sources, setSources] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [user, setUser] = useState(null);
   const [chatHistory, setChatHistory] = useState([]);
+  const [answerInfo, setAnswerInfo] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [filterOptions, setFilterOptions] = useState(null);
+  const [searchSettings, setSearchSettings] = useState({});
+  const [compareCases, setCompareCases] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [plan, setPlan] = useState(null);
+  // The user's rating of each answer, keyed by answer message id
+  const [feedback, setFeedback] = useState({});
+  const abortRef = useRef(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -23,27 +69,97 @@ export default function Chat() {
         console.error('Error parsing user data:', e);
       }
     }
+
+    // Cancel any in-flight answer when leaving the page
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/conversations`, { headers: authHeaders() });
+      setConversations(data.conversations || []);
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
   }, []);
 
-  const logout = async () => {
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/filters`, { headers: authHeaders() })
+      .then(({ data }) => setFilterOptions(data))
+      .catch(error => console.error('Failed to load filter options:', error));
+  }, []);
+
+  const resetCurrentAnswer = () => {
+    setAnswer('');
+    setSources([]);
+    setComparison(null);
+    setPlan(null);
+    setAnswerInfo(null);
+    setError('');
+  };
+
+  const openConversation = async (id) => {
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/conversations/${id}/messages`, { headers: authHeaders() });
+      setConversationId(id);
+      setChatHistory(messagesToHistory(data.messages || []));
+      setFeedback(Object.fromEntries((data.messages || []).filter(m => m.feedback).map(m => [m.id, m.feedback])));
+      resetCurrentAnswer();
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+      setError('Could not load that conversation. Please try again.');
+    }
+  };
+
+  const startNewConversation = () => {
+    setConversationId(null);
+    setChatHistory([]);
+    resetCurrentAnswer();
+  };
+
+  const renameConversation = async (id, title) => {
+    try {
+      await axios.patch(`${API_BASE_URL}/api/conversations/${id}`, { title }, { headers: authHeaders() });
+      setConversations(prev => prev.map(c => (c.id === id ? { ...c, title } : c)));
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
+      setError('Could not rename the conversation.');
+    }
+  };
+
+  const deleteConversation = async (id) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/conversations/${id}`, { headers: authHeaders() });
+      setConversations(prev => prev.filter(c => c.id !== id));
+      if (id === conversationId) {
+        startNewConversation();
+      }
+    } catch (error) {
+      console.error('Failed to delete conversation:', error);
+      setError('Could not delete the conversation.');
+    }
+  };
+
+  // End this session, or every session of the account with everywhere
+  const logout = async ({ everywhere = false } = {}) => {
     try {
       const token = localStorage.getItem('token');
       if (token) {
-        // Call logout endpoint
-        await axios.post(`${API_BASE_URL}/api/logout`, {}, {
-          headers: { Authorization: `Bearer ${token}` }
+        // Revoke the session server-side (also clears the refresh token cookie)
+        await axios.post(`${API_BASE_URL}/api/logout${everywhere ? '/all' : ''}`, {}, {
+          headers: { Authorization: `Bearer ${token}` },
+          withCredentials: true
         });
       }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      // Clear local storage and redirect
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      
-      // Trigger token update event for App.js
-      window.dispatchEvent(new Event('tokenUpdate'));
-      
+      // Clear local storage; App.js redirects once the token is gone
+      clearSession();
       navigate('/login');
     }
   };
@@ -52,6 +168,31 @@ export default function Chat() {
     return q && q.trim().length >= 3 && q.trim().length <= 1000;
   };
 
+  // Explain a failed query or comparison request
+  const showRequestError = (error) => {
+    if (error.response) {
+      const { status, data } = error.response;
+      if (status === 401) {
+        setError('Session expired. Please login again.');
+        setTimeout(() => {
+          clearSession();
+          navigate('/login');
+        }, 2000);
+      } else if (status === 400) {
+        setError(data.message || 'Invalid question format');
+      } else if (status === 429) {
+        // Quota and rate limit responses explain which limit was hit and when it resets
+        setError(data.message || 'Too many requests. Please wait a moment and try again.');
+      } else {
+        setError(data.message || 'Server error. Please try again.');
+      }
+    } else if (error.request) {
+      setError('Cannot connect to server. Please check your internet connection.');
+    } else {
+      setError('An unexpected error occurred. Please try again.');
+    }
+  };
+
   async function askQuestion() {
     if (!isValidQuestion(question)) {
       setError('Please enter a question (3-1000 characters)');
@@ -61,72 +202,197 @@ export default function Chat() {
     setLoading(true);
     setError('');
     setAnswer('');
+    setSources([]);
+    setComparison(null);
+    setPlan(null);
+    setAnswerInfo(null);
+
+    const askedQuestion = question.trim();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let streamed = '';
+    let retrieved = [];
+    let retrievedPlan = null;
+    let searchQuestion;
+    let streamConversationId = null;
 
     try {
-    const token = localStorage.getItem('token');
+      const token = localStorage.getItem('token');
       if (!token) {
         setError('Session expired. Please login again.');
         setTimeout(() => navigate('/login'), 2000);
         return;
       }
 
-    const { data } = await axios.post(
-        `${API_BASE_URL}/api/query`,
-        { question: question.trim(), k: 5 },
-        {
-          headers: { Authorization: `Bearer ${token}` },
-          timeout: 30000 // 30 seconds timeout
+      let result = null;
+      await streamQuery(`${API_BASE_URL}/api/query/stream`, {
+        token,
+        body: { question: askedQuestion, conversationId, filters: activeFilters(filters), ...activeSearchOptions(searchSettings) },
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'retrieval') {
+            retrieved = data.sources || [];
+            retrievedPlan = data.plan || null;
+            searchQuestion = data.searchQuestion;
+            streamConversationId = data.conversationId || null;
+            setSources(retrieved);
+            setPlan(retrievedPlan);
+          } else if (event === 'token') {
+            streamed += data.text;
+            setAnswer(streamed);
+          } else if (event === 'done') {
+            result = data;
+          }
         }
-    );
+      });
 
-      if (data.success) {
-        setAnswer(data.answer || 'No answer found');
+      if (result) {
+        const info = { provider: result.provider, model: result.model, timing: result.timing, usage: result.usage, cached: result.cache?.answer, messageId: result.messageId };
+        setAnswer(result.answer || 'No answer found');
+        setSources(result.sources || []);
+        setPlan(result.plan || null);
+        setAnswerInfo(info);
         
         // Add to chat history
         const newChat = {
           id: Date.now(),
-          question: question.trim(),
-          answer: data.answer || 'No answer found',
+          question: askedQuestion,
+          searchQuestion,
+          answer: result.answer || 'No answer found',
           timestamp: new Date().toLocaleString(),
-          matches: data.matches || []
+          sources: result.sources || [],
+          plan: result.plan,
+          messageId: result.messageId,
+          info
         };
         
         setChatHistory(prev => [newChat, ...prev]);
         setQuestion(''); // Clear input after successful query
+
+        // First question of a new thread creates the conversation on the server
+        if (result.conversationId) {
+          setConversationId(result.conversationId);
+        }
+        loadConversations();
       } else {
-        setError(data.message || 'Failed to get answer');
+        setError('The answer stream ended unexpectedly. Please try again.');
       }
 
     } catch (error) {
-      console.error('Query error:', error);
-      
-      if (error.response) {
-        const { status, data } = error.response;
-        if (status === 401) {
-          setError('Session expired. Please login again.');
-          setTimeout(() => {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.dispatchEvent(new Event('tokenUpdate'));
-            navigate('/login');
-          }, 2000);
-        } else if (status === 400) {
-          setError(data.message || 'Invalid question format');
-        } else if (status === 429) {
-          setError('Too many requests. Please wait a moment and try again.');
-        } else {
-          setError(data.message || 'Server error. Please try again.');
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user cancelled
+        setAnswerInfo({ cancelled: true });
+        if (streamed) {
+          setChatHistory(prev => [{
+            id: Date.now(),
+            question: askedQuestion,
+            searchQuestion,
+            answer: streamed,
+            timestamp: new Date().toLocaleString(),
+            sources: retrieved,
+            plan: retrievedPlan,
+            info: { cancelled: true }
+          }, ...prev]);
+          // The server saves the partial answer, starting the thread if this was its first question
+          if (streamConversationId) {
+            setConversationId(streamConversationId);
+          }
+          loadConversations();
         }
-      } else if (error.request) {
-        setError('Cannot connect to server. Please check your internet connection.');
-      } else {
-        setError('An unexpected error occurred. Please try again.');
+        return;
       }
+
+      console.error('Query error:', error);
+      showRequestError(error);
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   }
 
+  // Compare the selected judgments side by side; the question, if any, says on what
+  async function compareSelected() {
+    if (question.trim() && !isValidQuestion(question)) {
+      setError('Please enter a question (3-1000 characters) or leave it empty to compare the whole judgments');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setAnswer('');
+    setSources([]);
+    setComparison(null);
+    setPlan(null);
+    setAnswerInfo(null);
+
+    const askedQuestion = question.trim();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const { data } = await axios.post(`${API_BASE_URL}/api/compare`, {
+        caseIds: compareCases.map(item => item.id),
+        question: askedQuestion || undefined,
+        conversationId,
+        ...activeSearchOptions(searchSettings)
+      }, { headers: authHeaders(), signal: controller.signal });
+
+      const info = { provider: data.provider, model: data.model, usage: data.usage, messageId: data.messageId };
+      setComparison(data);
+      setSources(data.sources || []);
+      setAnswerInfo(info);
+      setChatHistory(prev => [{
+        id: Date.now(),
+        question: askedQuestion || `Compare ${compareCases.map(item => item.title).join(' and ')}`,
+        answer: data.answer,
+        timestamp: new Date().toLocaleString(),
+        sources: data.sources || [],
+        comparison: data,
+        messageId: data.messageId,
+        info
+      }, ...prev]);
+      setQuestion('');
+
+      if (data.conversationId) {
+        setConversationId(data.conversationId);
+      }
+      loadConversations();
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        setAnswerInfo({ cancelled: true });
+        return;
+      }
+      console.error('Compare error:', error);
+      showRequestError(error);
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
+  }
+
+  const cancelQuestion = () => {
+    abortRef.current?.abort();
+  };
+
+  const describeAnswer = (info) => {
+    if (!info) return null;
+    if (info.cancelled) return 'Answer cancelled';
+    const parts = [];
+    if (info.provider === 'headnote') parts.push("Answered from the judgment's headnote");
+    else if (info.provider) parts.push(`Answered by ${info.provider}${info.model ? `/${info.model}` : ''}`);
+    if (info.timing) parts.push(`in ${(info.timing.totalMs / 1000).toFixed(1)}s`);
+    if (info.cached) parts.push('(cached)');
+    if (info.usage?.inputTokens || info.usage?.outputTokens) {
+      parts.push(`· ${(info.usage.inputTokens + info.usage.outputTokens).toLocaleString()} tokens`);
+    }
+    return parts.join(' ');
+  };
+
+  const submitFeedback = async (messageId, { rating, comment }) => {
+    const { data } = await axios.post(`${API_BASE_URL}/api/feedback`, { messageId, rating, comment }, { headers: authHeaders() });
+    setFeedback(prev => ({ ...prev, [messageId]: { rating: data.feedback.rating, comment: data.feedback.comment } }));
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -134,107 +400,186 @@ export default function Chat() {
     }
   };
 
-  const clearHistory = () => {
-    setChatHistory([]);
-    setAnswer('');
-    setError('');
-  };
-
   return (
-    <div className="chat-container">
-      <div className="chat-header">
-        <div className="user-info">
-          <h2>Legal QA Assistant</h2>
-          {user && <span>Welcome, {user.username}</span>}
-        </div>
-        <div className="header-actions">
-          <button onClick={clearHistory} className="clear-btn" title="Clear History">
-            Clear History
-          </button>
-          <button onClick={logout} className="logout-btn">
-            Logout
-          </button>
-        </div>
-      </div>
-
-      <div className="query-section">
-      <textarea
-          placeholder="Ask about your legal cases... (e.g., 'What are the key points about contract disputes?' or 'Show me cases related to property law')"
-          value={question}
-          onChange={e => setQuestion(e.target.value)}
-          onKeyPress={handleKeyPress}
-          disabled={loading}
-          maxLength={1000}
-          rows={4}
-        />
-        
-        <div className="query-actions">
-          <span className="char-count">
-            {question.length}/1000 characters
-          </span>
-          <button 
-            onClick={askQuestion}
-            disabled={loading || !isValidQuestion(question)}
-            className={loading ? 'loading' : ''}
-          >
-            {loading ? (
-              <>
-                <span className="spinner"></span>
-                Searching...
-              </>
-            ) : (
-              'Ask Question'
+    <div className="chat-layout">
+      <ConversationSidebar
+        conversations={conversations}
+        activeId={conversationId}
+        onSelect={openConversation}
+        onNew={startNewConversation}
+        onRename={renameConversation}
+        onDelete={deleteConversation}
+        disabled={loading}
+      />
+      <div className="chat-container">
+        <div className="chat-header">
+          <div className="user-info">
+            <h2>Legal QA Assistant</h2>
+            {user && <span>Welcome, {user.username}{user.role && user.role !== 'member' && ` (${user.role})`}</span>}
+          </div>
+          <div className="header-actions">
+            <button onClick={startNewConversation} className="clear-btn" title="Start a new conversation" disabled={loading}>
+              New Chat
+            </button>
+            <button onClick={() => navigate('/cases')} className="clear-btn" title="Browse and read the judgments">
+              Browse cases
+            </button>
+            {user?.role === 'admin' && (
+              <button onClick={() => navigate('/admin/feedback')} className="clear-btn" title="Review answer feedback">
+                Feedback
+              </button>
             )}
-          </button>
+            <button onClick={() => logout()} className="logout-btn">
+              Logout
+            </button>
+            <button
+              onClick={() => window.confirm('Log out of all devices?') && logout({ everywhere: true })}
+              className="logout-btn"
+              title="Sign out every browser and device using this account"
+            >
+              Logout everywhere
+            </button>
+          </div>
         </div>
-      </div>
 
-      {error && (
-        <div className="error-message">
-          {error}
-        </div>
-      )}
+        <div className="query-section">
+        <textarea
+            placeholder="Ask about your legal cases... (e.g., 'What are the key points about contract disputes?' or 'Show me cases related to property law')"
+            value={question}
+            onChange={e => setQuestion(e.target.value)}
+            onKeyPress={handleKeyPress}
+            disabled={loading}
+            maxLength={1000}
+            rows={4}
+          />
 
-      {answer && (
-        <div className="current-answer">
-          <h3>Answer:</h3>
-          <pre className="response">{answer}</pre>
-        </div>
-      )}
-
-      {chatHistory.length > 0 && (
-        <div className="chat-history">
-          <h3>Recent Questions:</h3>
-          {chatHistory.map((chat) => (
-            <div key={chat.id} className="chat-item">
-              <div className="chat-question">
-                <strong>Q:</strong> {chat.question}
-                <span className="timestamp">{chat.timestamp}</span>
-              </div>
-              <div className="chat-answer">
-                <strong>A:</strong>
-                <pre>{chat.answer}</pre>
-              </div>
-              {chat.matches && chat.matches.length > 0 && (
-                <div className="chat-sources">
-                  <small>Sources: {chat.matches.length} relevant documents found</small>
-                </div>
+          <SearchFilters
+            filters={filters}
+            onChange={setFilters}
+            options={filterOptions}
+            disabled={loading}
+          />
+
+          <AdvancedSearch
+            settings={searchSettings}
+            onChange={setSearchSettings}
+            search={filterOptions?.search}
+            disabled={loading}
+          />
+
+          <ComparePanel
+            selected={compareCases}
+            onChange={setCompareCases}
+            max={filterOptions?.compare?.maxCases}
+            disabled={loading}
+          />
+
+          {user?.role !== 'guest' && <UploadPanel disabled={loading} />}
+          
+          <div className="query-actions">
+            <span className="char-count">
+              {question.length}/1000 characters
+            </span>
+            <div className="query-buttons">
+              {loading && (
+                <button onClick={cancelQuestion} className="cancel-btn">
+                  Cancel
+                </button>
+              )}
+              {compareCases.length >= 2 && (
+                <button onClick={compareSelected} disabled={loading} className="compare-btn">
+                  Compare {compareCases.length} judgments
+                </button>
               )}
+              <button 
+                onClick={askQuestion}
+                disabled={loading || !isValidQuestion(question)}
+                className={loading ? 'loading' : ''}
+              >
+                {loading ? (
+                  <>
+                    <span className="spinner"></span>
+                    {answer ? 'Answering...' : 'Searching...'}
+                  </>
+                ) : (
+                  'Ask Question'
+                )}
+              </button>
             </div>
-          ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            {error}
+          </div>
+        )}
+
+        {(answer || comparison || (loading && sources.length > 0)) && (
+          <div className="current-answer">
+            <h3>{comparison ? 'Comparison:' : 'Answer:'}</h3>
+            {comparison
+              ? <ComparisonTable comparison={comparison} sources={sources} />
+              : <CitedAnswer answer={answer} sources={sources} />}
+            <QueryPlan plan={plan} />
+            {answerInfo && <small className="answer-info">{describeAnswer(answerInfo)}</small>}
+            {!loading && answerInfo?.messageId && (
+              <AnswerFeedback
+                key={answerInfo.messageId}
+                messageId={answerInfo.messageId}
+                feedback={feedback[answerInfo.messageId]}
+                onSubmit={submitFeedback}
+              />
+            )}
+          </div>
+        )}
+
+        {chatHistory.length > 0 && (
+          <div className="chat-history">
+            <h3>{conversationId ? 'Conversation:' : 'Recent Questions:'}</h3>
+            {chatHistory.map((chat) => (
+              <div key={chat.id} className="chat-item">
+                <div className="chat-question">
+                  <strong>Q:</strong> {chat.question}
+                  <span className="timestamp">{chat.timestamp}</span>
+                </div>
+                {chat.searchQuestion && chat.searchQuestion !== chat.question && (
+                  <div className="search-question">
+                    <small>Searched as: {chat.searchQuestion}</small>
+                  </div>
+                )}
+                <div className="chat-answer">
+                  <strong>A:</strong>
+                  {chat.comparison
+                    ? <ComparisonTable comparison={chat.comparison} sources={chat.sources} />
+                    : <CitedAnswer answer={chat.answer} sources={chat.sources} compact />}
+                  <QueryPlan plan={chat.plan} />
+                  {chat.info && <small className="answer-info">{describeAnswer(chat.info)}</small>}
+                  {chat.messageId && !chat.info?.cancelled && (
+                    <AnswerFeedback
+                      messageId={chat.messageId}
+                      feedback={feedback[chat.messageId]}
+                      onSubmit={submitFeedback}
+                      disabled={loading}
+                    />
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="chat-help">
+          <details>
+            <summary>💡 Tips for better results</summary>
+            <ul>
+              <li>Be specific in your questions</li>
+              <li>Use legal terminology when appropriate</li>
+              <li>Ask about specific case types, laws, or legal concepts</li>
+              <li>Try different phrasings if you don't get good results</li>
+            </ul>
+          </details>
         </div>
-      )}
-
-      <div className="chat-help">
-        <details>
-          <summary>💡 Tips for better results</summary>
-          <ul>
-            <li>Be specific in your questions</li>
-            <li>Use legal terminology when appropriate</li>
-            <li>Ask about specific case types, laws, or legal concepts</li>
-            <li>Try different phrasings if you don't get good results</li>
-          </ul>
-        </details>
       </div>
     </div>
   );
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+
+const formatPages = (pages) => {
+  if (!pages) return null;
+  return pages.start === pages.end ? `p. ${pages.start}` : `pp. ${pages.start}–${pages.end}`;
+};
+
+// Which retriever(s) found a passage, e.g. "vector #2, keyword #5"
+const describeRetrieval = (retrieval) => {
+  if (!retrieval) return null;
+  const ranks = [];
+  if (retrieval.vectorRank) ranks.push(`vector #${retrieval.vectorRank}`);
+  if (retrieval.keywordRank) ranks.push(`keyword #${retrieval.keywordRank}`);
+  return ranks.join(', ') || null;
+};
+
+// Why re-ranking lifted a passage through the citation graph
+const describeBoost = (boost) => {
+  if (!boost) return null;
+  return boost.relation === 'cites' ? `cites ${boost.title}` : `from a judgment cited by ${boost.title}`;
+};
+
+// Chunk number from a stored chunk id ("<file name>_chunk_<n>")
+const chunkIndexOf = (chunkId) => {
+  const match = /_chunk_(\d+)$/.exec(chunkId || '');
+  return match ? Number(match[1]) : null;
+};
+
+// Case reader link for a corpus source, highlighting every chunk of that judgment the answer used
+const readerLink = (source, sources) => {
+  const indexes = sources
+    .filter(other => other.filename === source.filename && !other.private)
+    .flatMap(other => (other.chunkIds || [other.chunkId]).map(chunkIndexOf))
+    .filter(index => index !== null);
+  const highlight = [...new Set(indexes)].sort((a, b) => a - b).join(',');
+  return `/cases/${encodeURIComponent(source.filename)}${highlight ? `?highlight=${highlight}` : ''}`;
+};
+
+// Text with its [n] markers rendered by renderChip(source, key); markers that don't match
+// a source stay as plain text
+export const renderCitedText = (text, sourcesById, renderChip) =>
+  text.split(/(\[\d+\])/g).map((part, i) => {
+    const match = part.match(/^\[(\d+)\]$/);
+    const source = match && sourcesById.get(Number(match[1]));
+    return source ? renderChip(source, `marker-${i}`) : part;
+  });
+
+// The expanded excerpt of one cited source, with a link to it in the case reader
+export function SourceExcerpt({ source, sources }) {
+  return (
+    <div className="citation-excerpt">
+      <div className="citation-meta">
+        <strong>[{source.id}] {source.title}</strong>
+        <small>
+          {[
+            source.private ? 'your upload' : source.filename,
+            source.headnote && 'generated headnote',
+            formatPages(source.pages),
+            source.chunkIndex !== null && `chunk ${source.chunkIndex}`,
+            source.score !== null && source.score !== undefined && `similarity ${source.score.toFixed(2)}`,
+            describeRetrieval(source.retrieval),
+            typeof source.rerank?.score === 'number' && `rerank ${source.rerank.score.toFixed(2)} (${source.rerank.reranker})`,
+            describeBoost(source.rerank?.boost),
+            source.subQueries?.length > 0 && `found for part ${source.subQueries.join(', ')}`
+          ].filter(Boolean).join(' · ')}
+        </small>
+      </div>
+      <blockquote>{source.excerpt}</blockquote>
+      {!source.private && source.filename && (
+        <Link to={readerLink(source, sources)} target="_blank" rel="noopener noreferrer" className="citation-reader-link">
+          Read in the full judgment →
+        </Link>
+      )}
+    </div>
+  );
+}
+
+// Answer text with its [n] markers rendered as chips that expand the cited excerpt
+export default function CitedAnswer({ answer, sources = [], compact = false }) {
+  const [openId, setOpenId] = useState(null);
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const openSource = sourcesById.get(openId);
+
+  const toggleSource = (id) => {
+    setOpenId(current => (current === id ? null : id));
+  };
+
+  const renderChip = (source, label, key) => (
+    <button
+      key={key}
+      type="button"
+      className={`citation-chip${openId === source.id ? ' active' : ''}`}
+      onClick={() => toggleSource(source.id)}
+      title={source.title}
+    >
+      {label}
+    </button>
+  );
+
+  const parts = renderCitedText(answer, sourcesById, (source, key) => renderChip(source, source.id, key));
+
+  return (
+    <div className="cited-answer">
+      <div className={compact ? 'answer-text' : 'response'}>{parts}</div>
+
+      {sources.length > 0 && (
+        <div className="chat-sources">
+          <small>Sources:</small>
+          {sources.map(source => renderChip(source, `${source.id}. ${source.private ? '🔒 ' : ''}${source.title}`, `source-${source.id}`))}
+        </div>
+      )}
+
+      {openSource && <SourceExcerpt source={openSource} sources={sources} />}
+    </div>
+  );
+}
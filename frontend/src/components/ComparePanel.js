@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+const RESULT_COUNT = 8;
+const SEARCH_DELAY_MS = 300;
+
+// Collapsible picker for the judgments to compare side by side: search by title or party and
+// add up to max of them. selected holds { id, title } entries.
+export default function ComparePanel({ selected, onChange, max = 4, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (!open || search.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      axios.get(`${API_BASE_URL}/api/documents`, {
+        params: { search: search.trim(), pageSize: RESULT_COUNT },
+        headers: authHeaders()
+      })
+        .then(({ data }) => !cancelled && setResults(data.documents))
+        .catch(err => console.error('Failed to search judgments:', err));
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, search]);
+
+  const selectedIds = new Set(selected.map(item => item.id));
+  const add = (document) => onChange([...selected, { id: document.id, title: document.title }]);
+  const remove = (id) => onChange(selected.filter(item => item.id !== id));
+
+  return (
+    <div className="search-filters compare-panel">
+      <div className="filters-toggle">
+        <button type="button" onClick={() => setOpen(o => !o)} className="filters-btn">
+          {open ? '▾' : '▸'} Compare judgments{selected.length > 0 && ` (${selected.length})`}
+        </button>
+        {selected.length > 0 && (
+          <button type="button" onClick={() => onChange([])} className="filters-clear" disabled={disabled}>
+            Clear selection
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="compare-body">
+          <p className="compare-hint">
+            Pick 2 to {max} judgments. Each is searched separately and compared point by point;
+            the question above, if any, says what to compare.
+          </p>
+          {selected.length > 0 && (
+            <ul className="compare-selected">
+              {selected.map(item => (
+                <li key={item.id}>
+                  <span>{item.title}</span>
+                  <button type="button" onClick={() => remove(item.id)} disabled={disabled} title="Remove from the comparison">✕</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <input
+            type="search"
+            placeholder="Find a judgment by title or party"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            disabled={disabled || selected.length >= max}
+          />
+          {results.length > 0 && (
+            <ul className="compare-results">
+              {results.map(document => (
+                <li key={document.id}>
+                  <button
+                    type="button"
+                    onClick={() => add(document)}
+                    disabled={disabled || selectedIds.has(document.id) || selected.length >= max}
+                  >
+                    {selectedIds.has(document.id) ? '✓' : '+'} {document.title}
+                  </button>
+                  {document.decisionDate && <small className="compare-date">{document.decisionDate}</small>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
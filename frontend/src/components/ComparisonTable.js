@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { renderCitedText, SourceExcerpt } from './CitedAnswer';
+
+// Side-by-side comparison from /api/compare: one row per point of comparison, one column per
+// judgment. A cell's [n] markers only cite that judgment's passages.
+export default function ComparisonTable({ comparison, sources = [] }) {
+  const [openId, setOpenId] = useState(null);
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const openSource = sourcesById.get(openId);
+
+  const renderChip = (source, key) => (
+    <button
+      key={key}
+      type="button"
+      className={`citation-chip${openId === source.id ? ' active' : ''}`}
+      onClick={() => setOpenId(current => (current === source.id ? null : source.id))}
+      title={source.title}
+    >
+      {source.id}
+    </button>
+  );
+
+  return (
+    <div className="comparison">
+      <p className="comparison-focus">Compared on: {comparison.focus}</p>
+      <div className="comparison-scroll">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th />
+              {comparison.cases.map(entry => (
+                <th key={entry.label}>
+                  <span className="comparison-label">{entry.label}</span>
+                  <Link to={`/cases/${encodeURIComponent(entry.id)}`} target="_blank" rel="noopener noreferrer">{entry.title}</Link>
+                  {(entry.court || entry.decisionDate) && (
+                    <small>{[entry.court, entry.decisionDate].filter(Boolean).join(', ')}</small>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.aspects.map(({ aspect, cells }) => (
+              <tr key={aspect}>
+                <th scope="row">{aspect}</th>
+                {cells.map(cell => (
+                  <td key={cell.label} className={cell.text ? '' : 'comparison-empty'}>
+                    {cell.text ? renderCitedText(cell.text, sourcesById, renderChip) : 'Not addressed'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {comparison.summary && (
+        <p className="comparison-summary">
+          <strong>Summary: </strong>
+          {renderCitedText(comparison.summary.text, sourcesById, renderChip)}
+        </p>
+      )}
+
+      {openSource && <SourceExcerpt source={openSource} sources={sources} />}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+
+// List of saved conversations with new / rename / delete actions
+export default function ConversationSidebar({ conversations, activeId, onSelect, onNew, onRename, onDelete, disabled }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const title = draftTitle.trim();
+    if (title) {
+      onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <aside className="conversation-sidebar">
+      <button onClick={onNew} className="new-chat-btn" disabled={disabled}>
+        + New Chat
+      </button>
+
+      {conversations.length === 0 ? (
+        <p className="sidebar-empty">No saved conversations yet.</p>
+      ) : (
+        <ul className="conversation-list">
+          {conversations.map(conversation => (
+            <li
+              key={conversation.id}
+              className={conversation.id === activeId ? 'active' : ''}
+            >
+              {editingId === conversation.id ? (
+                <form onSubmit={submitRename} className="rename-form">
+                  <input
+                    value={draftTitle}
+                    onChange={e => setDraftTitle(e.target.value)}
+                    onBlur={submitRename}
+                    maxLength={200}
+                    autoFocus
+                  />
+                </form>
+              ) : (
+                <>
+                  <button
+                    className="conversation-title"
+                    onClick={() => onSelect(conversation.id)}
+                    disabled={disabled}
+                    title={conversation.title}
+                  >
+                    {conversation.title}
+                  </button>
+                  <div className="conversation-actions">
+                    <button onClick={() => startRename(conversation)} title="Rename" disabled={disabled}>✎</button>
+                    <button onClick={() => confirmDelete(conversation)} title="Delete" disabled={disabled}>🗑</button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import CitedAnswer from './CitedAnswer';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+const STATUSES = ['new', 'reviewed', 'resolved', 'dismissed'];
+
+const toLines = (list) => (list || []).join('\n');
+const fromLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Save a downloaded export as a file
+const saveFile = (data, filename, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Triage form for one feedback item, with the chunks and prompt behind the answer
+function FeedbackDetail({ item, onSaved }) {
+  const [status, setStatus] = useState(item.status);
+  const [reviewNote, setReviewNote] = useState(item.reviewNote);
+  const [cases, setCases] = useState(toLines(item.expected.cases));
+  const [passages, setPassages] = useState(toLines(item.expected.passages));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await axios.patch(`${API_BASE_URL}/api/admin/feedback/${item.id}`, {
+        status,
+        reviewNote,
+        expected: { cases: fromLines(cases), passages: fromLines(passages) }
+      }, { headers: authHeaders() });
+      onSaved(data.feedback);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save the review.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Use a cited case as the expected case with one click
+  const addCase = (filename) => {
+    const current = fromLines(cases);
+    if (!current.includes(filename)) setCases(toLines([...current, filename]));
+  };
+
+  return (
+    <div className="feedback-detail">
+      {item.searchQuestion && item.searchQuestion !== item.question && (
+        <p><small>Searched as: {item.searchQuestion}</small></p>
+      )}
+      <CitedAnswer answer={item.answer} sources={item.sources} compact />
+      <small className="answer-info">
+        {item.provider ? `Answered by ${item.provider}${item.model ? `/${item.model}` : ''}` : 'No model call'}
+        {` · ${item.sources.length} sources`}
+      </small>
+
+      {item.sources.length > 0 && (
+        <details>
+          <summary>Retrieved chunks</summary>
+          <ol className="feedback-sources">
+            {item.sources.map(source => (
+              <li key={source.id}>
+                <strong>[{source.id}] {source.title}</strong>
+                {source.score !== null && source.score !== undefined && <small> · score {source.score.toFixed(2)}</small>}
+                {source.filename && !source.private && (
+                  <button type="button" className="feedback-link-btn" onClick={() => addCase(source.filename)}>
+                    Mark as expected case
+                  </button>
+                )}
+                <p>{source.excerpt}</p>
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+      {item.prompt && (
+        <details>
+          <summary>Prompt</summary>
+          <pre className="feedback-prompt">{item.prompt}</pre>
+        </details>
+      )}
+
+      <form className="feedback-triage" onSubmit={save}>
+        <label>
+          Status
+          <select value={status} onChange={e => setStatus(e.target.value)} disabled={saving}>
+            {STATUSES.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <label>
+          Review note
+          <textarea value={reviewNote} onChange={e => setReviewNote(e.target.value)} maxLength={2000} rows={2} disabled={saving} />
+        </label>
+        <label>
+          Expected cases (file name or title, one per line)
+          <textarea value={cases} onChange={e => setCases(e.target.value)} rows={2} disabled={saving} />
+        </label>
+        <label>
+          Expected passages (text the answer should rest on, one per line)
+          <textarea value={passages} onChange={e => setPassages(e.target.value)} rows={3} disabled={saving} />
+        </label>
+        {error && <div className="error-message">{error}</div>}
+        <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save review'}</button>
+      </form>
+    </div>
+  );
+}
+
+// Admin view of answer feedback: filter, open an item to see what produced the answer,
+// triage it and export reviewed thumbs-down items as an evaluation golden set
+export default function FeedbackReview() {
+  const [filters, setFilters] = useState({ status: 'new', rating: 'down' });
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [openItem, setOpenItem] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const { data } = await axios.get(`${API_BASE_URL}/api/admin/feedback`, { params, headers: authHeaders() });
+      setItems(data.feedback || []);
+      setCounts(data.counts);
+    } catch (err) {
+      setError(err.response?.status === 403 ? 'Only admins can review feedback.' : 'Failed to load feedback.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggleItem = async (id) => {
+    if (openItem?.id === id) {
+      setOpenItem(null);
+      return;
+    }
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/admin/feedback/${id}`, { headers: authHeaders() });
+      setOpenItem(data.feedback);
+    } catch (err) {
+      setError('Failed to load that feedback item.');
+    }
+  };
+
+  const onSaved = (saved) => {
+    setOpenItem(saved);
+    setItems(prev => prev.map(item => (item.id === saved.id ? { ...item, ...saved } : item)));
+    setMessage('Review saved.');
+  };
+
+  const exportGolden = async () => {
+    setError('');
+    setMessage('');
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/admin/feedback/export`, { headers: authHeaders() });
+      if (data.items.length > 0) {
+        saveFile(JSON.stringify(data, null, 2), `feedback-golden-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+      }
+      setMessage(`Exported ${data.items.length} items${data.skipped.length > 0 ? `; ${data.skipped.length} reviewed items have no expected case or passage yet` : ''}.`);
+    } catch (err) {
+      setError('Failed to export feedback.');
+    }
+  };
+
+  return (
+    <div className="chat-layout">
+      <div className="chat-container feedback-review">
+        <div className="chat-header">
+          <div className="user-info">
+            <h2>Answer feedback</h2>
+            {counts && (
+              <span>
+                👍 {counts.byRating.up} · 👎 {counts.byRating.down} · {counts.byStatus.new} awaiting review
+              </span>
+            )}
+          </div>
+          <div className="header-actions">
+            <button onClick={exportGolden} className="clear-btn" title="Download reviewed thumbs-down items as an evaluation golden set">
+              Export golden set
+            </button>
+            <Link to="/chat" className="clear-btn">Back to chat</Link>
+          </div>
+        </div>
+
+        <div className="feedback-filters">
+          <label>
+            Status
+            <select value={filters.status} onChange={e => setFilters(f => ({ ...f, status: e.target.value }))}>
+              <option value="">Any</option>
+              {STATUSES.map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+          <label>
+            Rating
+            <select value={filters.rating} onChange={e => setFilters(f => ({ ...f, rating: e.target.value }))}>
+              <option value="">Any</option>
+              <option value="down">👎 Thumbs down</option>
+              <option value="up">👍 Thumbs up</option>
+            </select>
+          </label>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="feedback-message">{message}</div>}
+        {loading && <p>Loading...</p>}
+        {!loading && items.length === 0 && !error && <p className="sidebar-empty">No feedback matches these filters.</p>}
+
+        {items.map(item => (
+          <div key={item.id} className="chat-item feedback-item">
+            <button type="button" className="feedback-item-header" onClick={() => toggleItem(item.id)}>
+              <span>{item.rating === 'down' ? '👎' : '👍'} <strong>{item.question}</strong></span>
+              <span className="timestamp">
+                {item.username || 'deleted user'} · {new Date(item.createdAt).toLocaleString()} · {item.status}
+              </span>
+            </button>
+            {item.comment && <p className="feedback-comment">“{item.comment}”</p>}
+            {openItem?.id === item.id && <FeedbackDetail key={openItem.updatedAt} item={openItem} onSaved={onSaved} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -25,8 +25,9 @@ export default function Login() {
       setError('Password is required');
       return false;
     }
-    if (form.password.length < 6) {
-      setError('Password must be at least 6 characters long');
+    // The server enforces the full password policy on signup; existing passwords may be shorter
+    if (isNew && form.password.length < 8) {
+      setError('Password must be at least 8 characters long');
       return false;
     }
     if (!/^[a-zA-Z0-9_-]+$/.test(form.username)) {
@@ -51,8 +52,10 @@ export default function Login() {
       const endpoint = isNew ? '/api/signup' : '/api/login';
       const url = `${API_BASE_URL}${endpoint}`;
       
+      // withCredentials lets the browser store the refresh token cookie
       const { data } = await axios.post(url, form, {
         timeout: 10000,
+        withCredentials: true,
         headers: {
           'Content-Type': 'application/json'
         }
@@ -93,7 +96,7 @@ export default function Login() {
         } else if (status === 400) {
           setError(data.message || 'Please check your input and try again.');
         } else if (status === 429) {
-          setError('Too many attempts. Please wait a few minutes and try again.');
+          setError(data.message || 'Too many attempts. Please wait a few minutes and try again.');
         } else {
           setError(data.message || 'Server error. Please try again later.');
         }
@@ -150,11 +153,11 @@ export default function Login() {
         />
         <input
           type="password"
-          placeholder="Password (minimum 6 characters)"
+          placeholder={isNew ? 'Password (minimum 8 characters)' : 'Password'}
           value={form.password}
           onChange={e => handleInputChange('password', e.target.value)}
           disabled={loading}
-          minLength={6}
+          minLength={isNew ? 8 : undefined}
           required
         />
         <button 
@@ -0,0 +1,23 @@
+// Evidence map of a decomposed question: the sub-queries it was searched as, each with the
+// sources found for it
+export default function QueryPlan({ plan }) {
+  if (!plan?.subQueries?.length) return null;
+
+  return (
+    <div className="query-plan">
+      <small>
+        Searched in {plan.subQueries.length} parts{plan.planner === 'heuristic' && ' (split at conjunctions)'}:
+      </small>
+      <ol>
+        {plan.subQueries.map(part => (
+          <li key={part.id}>
+            {part.query}
+            <small className="query-plan-sources">
+              {' → '}{part.sources.length > 0 ? part.sources.map(id => `[${id}]`).join(' ') : 'no passages kept'}
+            </small>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
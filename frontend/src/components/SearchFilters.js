@@ -0,0 +1,121 @@
+import { useState } from 'react';
+
+const CATEGORY_LABELS = {
+  criminal: 'Criminal',
+  civil: 'Civil',
+  constitutional: 'Constitutional / writ',
+  tax: 'Tax',
+  other: 'Other'
+};
+
+// Drop empty fields so only filters the user actually set are sent
+export const activeFilters = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== false && value != null));
+
+// Collapsible search filters (decision date, party, State as a party, category, judge, statute)
+export default function SearchFilters({ filters, onChange, options, disabled }) {
+  const [open, setOpen] = useState(false);
+  const activeCount = Object.keys(activeFilters(filters)).length;
+
+  const update = (key, value) => onChange({ ...filters, [key]: value });
+  const categories = options?.categories?.length
+    ? options.categories.map(category => category.value)
+    : Object.keys(CATEGORY_LABELS);
+
+  return (
+    <div className="search-filters">
+      <div className="filters-toggle">
+        <button type="button" onClick={() => setOpen(o => !o)} className="filters-btn">
+          {open ? '▾' : '▸'} Filters{activeCount > 0 && ` (${activeCount})`}
+        </button>
+        {activeCount > 0 && (
+          <button type="button" onClick={() => onChange({})} className="filters-clear" disabled={disabled}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="filters-grid">
+          <label>
+            Decided from
+            <input
+              type="date"
+              value={filters.dateFrom || ''}
+              min={options?.dateRange?.from}
+              max={options?.dateRange?.to}
+              onChange={e => update('dateFrom', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Decided to
+            <input
+              type="date"
+              value={filters.dateTo || ''}
+              min={options?.dateRange?.from}
+              max={options?.dateRange?.to}
+              onChange={e => update('dateTo', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Party name
+            <input
+              type="text"
+              placeholder="e.g. Directorate of Enforcement"
+              value={filters.party || ''}
+              onChange={e => update('party', e.target.value)}
+              maxLength={200}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Case category
+            <select
+              value={filters.category || ''}
+              onChange={e => update('category', e.target.value)}
+              disabled={disabled}
+            >
+              <option value="">Any</option>
+              {categories.map(category => (
+                <option key={category} value={category}>{CATEGORY_LABELS[category] || category}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Judge on the bench
+            <input
+              type="text"
+              placeholder="e.g. Abhay S. Oka"
+              value={filters.bench || ''}
+              onChange={e => update('bench', e.target.value)}
+              maxLength={200}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Statute cited
+            <input
+              type="text"
+              placeholder="e.g. Indian Penal Code"
+              value={filters.statute || ''}
+              onChange={e => update('statute', e.target.value)}
+              maxLength={200}
+              disabled={disabled}
+            />
+          </label>
+          <label className="filters-checkbox">
+            <input
+              type="checkbox"
+              checked={filters.stateParty === true}
+              onChange={e => update('stateParty', e.target.checked)}
+              disabled={disabled}
+            />
+            State is a party
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { authHeaders } from '../session';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+const POLL_INTERVAL_MS = 2000;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Indexing',
+  ready: 'Ready',
+  failed: 'Failed'
+};
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const describeStatus = (doc) => {
+  if (doc.status === 'processing' && doc.progress?.chunksTotal > 0) {
+    return `Indexing ${doc.progress.chunksDone}/${doc.progress.chunksTotal} chunks`;
+  }
+  if (doc.status === 'failed' && doc.error) {
+    return `Failed: ${doc.error}`;
+  }
+  return STATUS_LABELS[doc.status] || doc.status;
+};
+
+// Collapsible panel for uploading private PDF/DOCX/TXT files that are searched alongside the corpus
+export default function UploadPanel({ disabled }) {
+  const [open, setOpen] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [message, setMessage] = useState('');
+  const inputRef = useRef(null);
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/uploads`, { headers: authHeaders() });
+      setDocuments(data.documents || []);
+    } catch (error) {
+      console.error('Failed to load uploads:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  // Poll while anything is still being indexed
+  const indexing = documents.some(doc => doc.status === 'queued' || doc.status === 'processing');
+  useEffect(() => {
+    if (!indexing) return undefined;
+    const timer = setInterval(loadDocuments, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [indexing, loadDocuments]);
+
+  const uploadFiles = async (files) => {
+    if (files.length === 0) return;
+    const form = new FormData();
+    Array.from(files).forEach(file => form.append('files', file));
+
+    setMessage('');
+    setUploadProgress(0);
+    try {
+      const { data } = await axios.post(`${API_BASE_URL}/api/uploads`, form, {
+        headers: authHeaders(),
+        onUploadProgress: (event) => {
+          if (event.total) setUploadProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      });
+      const skipped = data.skipped?.length ? ` (${data.skipped.map(file => file.name).join(', ')} already uploaded)` : '';
+      setMessage(`${data.message}${skipped}`);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Upload failed. Please try again.');
+    } finally {
+      setUploadProgress(null);
+      if (inputRef.current) inputRef.current.value = '';
+      loadDocuments();
+    }
+  };
+
+  const deleteDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.name}"? It will no longer be searched.`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/api/uploads/${doc.id}`, { headers: authHeaders() });
+      setDocuments(docs => docs.filter(d => d.id !== doc.id));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to delete document');
+    }
+  };
+
+  const reindexDocument = async (doc) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/uploads/${doc.id}/reindex`, {}, { headers: authHeaders() });
+      loadDocuments();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to re-index document');
+    }
+  };
+
+  return (
+    <div className="upload-panel">
+      <button type="button" onClick={() => setOpen(o => !o)} className="filters-btn">
+        {open ? '▾' : '▸'} My documents{documents.length > 0 && ` (${documents.length})`}
+      </button>
+
+      {open && (
+        <div className="upload-body">
+          <div className="upload-picker">
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              accept=".pdf,.docx,.txt,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain"
+              onChange={e => uploadFiles(e.target.files)}
+              disabled={disabled || uploadProgress !== null}
+            />
+            {uploadProgress !== null && <span className="upload-progress">Uploading... {uploadProgress}%</span>}
+          </div>
+          <small className="upload-hint">
+            PDF, DOCX or TXT. Your documents are private and are searched with the shared cases when no filters are set.
+          </small>
+          {message && <div className="upload-message">{message}</div>}
+
+          {documents.length > 0 && (
+            <ul className="upload-list">
+              {documents.map(doc => (
+                <li key={doc.id} className={`upload-item status-${doc.status}`}>
+                  <div className="upload-details">
+                    <span className="upload-name" title={doc.name}>{doc.name}</span>
+                    <small>{formatSize(doc.size)} · {describeStatus(doc)}</small>
+                    {doc.status === 'processing' && doc.progress?.chunksTotal > 0 && (
+                      <progress value={doc.progress.chunksDone} max={doc.progress.chunksTotal} />
+                    )}
+                  </div>
+                  <div className="upload-actions">
+                    <button
+                      type="button"
+                      onClick={() => reindexDocument(doc)}
+                      disabled={doc.status === 'queued' || doc.status === 'processing'}
+                    >
+                      Re-index
+                    </button>
+                    <button type="button" onClick={() => deleteDocument(doc)} className="upload-delete">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
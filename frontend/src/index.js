@@ -1,9 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { setupSessionRefresh } from './session';
 import './index.css';
 import './components/Login.css';
 import './components/Chat.css';
+import './components/FeedbackReview.css';
+import './components/Cases.css';
+
+setupSessionRefresh();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(<App />);
\ No newline at end of file
@@ -0,0 +1,68 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
+
+// Routes that must never trigger a refresh themselves
+const NO_REFRESH_PATHS = ['/api/login', '/api/signup', '/api/token/refresh'];
+
+let refreshing = null;
+
+// Forget the session and let App.js send the user to the login page
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.dispatchEvent(new Event('tokenUpdate'));
+};
+
+// Headers for API requests made with the current access token
+export const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+// Get a new access token with the refresh token cookie. Concurrent callers share one
+// request, since each refresh rotates the cookie. Rejects (and clears the session) when
+// the refresh token is no longer valid.
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = axios.post(`${API_BASE_URL}/api/token/refresh`, {}, { withCredentials: true })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        if (data.user) {
+          localStorage.setItem('user', JSON.stringify(data.user));
+        }
+        return data.token;
+      })
+      .catch(error => {
+        if (error.response?.status === 401 || error.response?.status === 403) {
+          clearSession();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Retry requests that failed with 401 once, after refreshing the access token
+export const setupSessionRefresh = () => {
+  axios.interceptors.response.use(
+    response => response,
+    async (error) => {
+      const { config, response } = error;
+      const path = config?.url?.replace(API_BASE_URL, '') || '';
+      if (response?.status !== 401 || !config || config.retriedAfterRefresh || NO_REFRESH_PATHS.includes(path)) {
+        throw error;
+      }
+
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch (refreshError) {
+        throw error;
+      }
+      config.retriedAfterRefresh = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return axios(config);
+    }
+  );
+};
@@ -0,0 +1,92 @@
+import { refreshAccessToken } from './session';
+
+// POST a question to the streaming query endpoint and hand each server-sent event to
+// onEvent(event, data). Errors mirror axios (error.response / error.request) so callers
+// can share their error handling; cancelling through `signal` rejects with an AbortError.
+// An expired access token is refreshed once and the request retried.
+export async function streamQuery(url, { token, body, signal, onEvent }) {
+  const post = async (accessToken) => {
+    try {
+      return await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${accessToken}`
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        error.request = true; // Network failure: no response received
+      }
+      throw error;
+    }
+  };
+
+  let response = await post(token);
+  if (response.status === 401) {
+    let refreshed = null;
+    try {
+      refreshed = await refreshAccessToken();
+    } catch (error) {
+      // Fall through and report the original 401
+    }
+    if (refreshed) {
+      response = await post(refreshed);
+    }
+  }
+
+  if (!response.ok) {
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (e) {
+      // Non-JSON error body
+    }
+    const error = new Error(data.message || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const dispatch = (raw) => {
+    let event = 'message';
+    let data = '';
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (!data) return;
+
+    const payload = JSON.parse(data);
+    if (event === 'error') {
+      const error = new Error(payload.message);
+      error.response = { status: 500, data: payload };
+      throw error;
+    }
+    onEvent(event, payload);
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let separator;
+      while ((separator = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, separator));
+        buffer = buffer.slice(separator + 2);
+      }
+    }
+    if (buffer.trim()) dispatch(buffer);
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}